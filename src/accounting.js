@@ -0,0 +1,226 @@
+/**
+ * accounting.js
+ * Library-computed storage totals: bytes stored, bytes still to download, and
+ * bytes that deleting non-protected files would free, overall and broken down
+ * by MIME type and by metadata value.
+ *
+ * The totals are running counters. The first getStorageUsage() call seeds
+ * them from one registry scan; after that every registry write (status
+ * changes from the downloader, registration, metadata updates, deletion)
+ * passes the new record to trackRegistryRecord(), which replaces that file's
+ * share of the totals. Reading them never scans a store. Writes made by other
+ * contexts on the same database (another tab, the service worker) arrive as
+ * registry change messages (see broadcast.js) and are applied the same way,
+ * so the totals stay current while a download runs elsewhere.
+ *
+ * A file counts towards:
+ *   storedBytes      — its storedBytes (the data that is stored now)
+ *   pendingBytes     — totalBytes minus bytesDownloaded, while it is queued or
+ *                      downloading (not when complete or failed); 0 if the
+ *                      size is unknown
+ *   reclaimableBytes — its storedBytes, unless it is protected
+ *
+ * Breakdowns:
+ *   byMimeType — keyed by mimeType ('unknown' until a download resolves it)
+ *   byMetadata — keyed by metadata key, then by value, for string, number and
+ *                boolean values, e.g. byMetadata.category.maps
+ */
+
+import { dbGetAll, STORES } from './db.js';
+import { DOWNLOAD_STATUS } from './registry.js';
+import { formatBytes } from './storage.js';
+import { announceRegistryChange, onRegistryChange } from './broadcast.js';
+
+// Counters live on the instance's context (ctx.accounting):
+//
+//   totals     — null until seeded
+//   shares     — id → the file's share of the totals, so a new record can
+//                replace it
+//   seeding    — the seeding promise, while the scan runs
+//   pending    — records written while the scan runs, applied after it
+//   generation — bumped by resetAccounting() so a running scan is discarded
+//   unsubscribe — stops applying other contexts' writes, while seeded or seeding
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+function emptyBucket() {
+  return { files: 0, storedBytes: 0, pendingBytes: 0, reclaimableBytes: 0 };
+}
+
+function emptyTotals() {
+  return { ...emptyBucket(), byMimeType: new Map(), byMetadata: new Map() };
+}
+
+/** Computes a registry record's share of the totals. */
+function shareOf(reg) {
+  const storedBytes = reg.storedBytes ?? 0;
+  const queued = reg.status !== DOWNLOAD_STATUS.COMPLETE && reg.status !== DOWNLOAD_STATUS.FAILED;
+  const pendingBytes = (queued && reg.totalBytes)
+    ? Math.max(0, reg.totalBytes - (reg.bytesDownloaded ?? 0))
+    : 0;
+
+  const metadata = Object.entries(reg.metadata ?? {})
+    .filter(([, value]) => ['string', 'number', 'boolean'].includes(typeof value))
+    .map(([key, value]) => [key, String(value)]);
+
+  return {
+    files: 1,
+    storedBytes,
+    pendingBytes,
+    reclaimableBytes: reg.protected ? 0 : storedBytes,
+    mimeType: reg.mimeType ?? 'unknown',
+    metadata,
+  };
+}
+
+/** Adds (sign 1) or removes (sign -1) a share from a bucket. */
+function addToBucket(bucket, share, sign) {
+  bucket.files += sign * share.files;
+  bucket.storedBytes += sign * share.storedBytes;
+  bucket.pendingBytes += sign * share.pendingBytes;
+  bucket.reclaimableBytes += sign * share.reclaimableBytes;
+}
+
+/** Adds or removes a share in a keyed bucket, dropping buckets that empty out. */
+function addToKeyed(map, key, share, sign) {
+  if (!map.has(key)) map.set(key, emptyBucket());
+  const bucket = map.get(key);
+  addToBucket(bucket, share, sign);
+  if (bucket.files === 0) map.delete(key);
+}
+
+function applyShare(totals, share, sign) {
+  addToBucket(totals, share, sign);
+  addToKeyed(totals.byMimeType, share.mimeType, share, sign);
+  for (const [key, value] of share.metadata) {
+    if (!totals.byMetadata.has(key)) totals.byMetadata.set(key, new Map());
+    const values = totals.byMetadata.get(key);
+    addToKeyed(values, value, share, sign);
+    if (values.size === 0) totals.byMetadata.delete(key);
+  }
+}
+
+/** Replaces a file's share of the totals; a null record removes it. */
+function applyRecord(accounting, id, record) {
+  const previous = accounting.shares.get(id);
+  if (previous) applyShare(accounting.totals, previous, -1);
+
+  if (record) {
+    const share = shareOf(record);
+    applyShare(accounting.totals, share, 1);
+    accounting.shares.set(id, share);
+  } else {
+    accounting.shares.delete(id);
+  }
+}
+
+/** Applies a written record to the totals, or keeps it for after the scan. */
+function track(accounting, id, record) {
+  if (accounting.totals) applyRecord(accounting, id, record);
+  else if (accounting.pending) accounting.pending.set(id, record);
+}
+
+async function ensureSeeded(ctx) {
+  const accounting = ctx.accounting;
+  if (accounting.totals) return;
+
+  accounting.seeding ??= (async () => {
+    const { generation } = accounting;
+    accounting.pending = new Map();
+    // Listening before the scan, so writes elsewhere during it are not missed
+    accounting.unsubscribe ??= onRegistryChange(ctx, ({ id, record }) => track(accounting, id, record));
+    try {
+      const registryEntries = await dbGetAll(ctx, STORES.REGISTRY);
+      if (accounting.generation !== generation) return;
+
+      accounting.totals = emptyTotals();
+      for (const reg of registryEntries) applyRecord(accounting, reg.id, reg);
+      // Records written during the scan replace whatever the scan read
+      for (const [id, record] of accounting.pending) applyRecord(accounting, id, record);
+    } finally {
+      accounting.pending = null;
+      accounting.seeding = null;
+    }
+  })();
+
+  await accounting.seeding;
+  if (!accounting.totals) await ensureSeeded(ctx);
+}
+
+function formatBucket(bucket) {
+  return { ...bucket, storedFormatted: formatBytes(bucket.storedBytes) };
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Updates the totals after a registry record was written or, with null,
+ * deleted, and tells the other contexts about it. Called by every function
+ * that writes the registry.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object|null} record — the registry record as written
+ */
+export function trackRegistryRecord(ctx, id, record) {
+  track(ctx.accounting, id, record);
+  announceRegistryChange(ctx, id, record);
+}
+
+/**
+ * Discards the totals, e.g. when the storage adapter changes; the next
+ * getStorageUsage() seeds them again.
+ * @param {object} ctx
+ */
+export function resetAccounting(ctx) {
+  const accounting = ctx.accounting;
+  accounting.generation++;
+  accounting.totals = null;
+  accounting.shares.clear();
+  accounting.unsubscribe?.();
+  accounting.unsubscribe = null;
+}
+
+/**
+ * Returns readers for the bytes stored overall and by each file. They read the
+ * live counters, so calls made in the same synchronous step agree.
+ * @param {object} ctx
+ * @returns {Promise<{ total: () => number, of: (id: string) => number }>}
+ */
+export async function getStoredBytes(ctx) {
+  await ensureSeeded(ctx);
+  const { accounting } = ctx;
+  return {
+    total: () => accounting.totals?.storedBytes ?? 0,
+    of: (id) => accounting.shares.get(id)?.storedBytes ?? 0,
+  };
+}
+
+/**
+ * Returns the library's own storage totals and their breakdowns.
+ * @param {object} ctx
+ * @returns {Promise<{
+ *   files: number, storedBytes: number, pendingBytes: number, reclaimableBytes: number,
+ *   storedFormatted: string, pendingFormatted: string, reclaimableFormatted: string,
+ *   byMimeType: Object<string, object>, byMetadata: Object<string, Object<string, object>>
+ * }>}
+ */
+export async function getStorageUsage(ctx) {
+  // resetAccounting() may run between the seeding and this read: seed again
+  while (!ctx.accounting.totals) await ensureSeeded(ctx);
+  const { byMimeType, byMetadata, ...totals } = ctx.accounting.totals;
+
+  return {
+    ...formatBucket(totals),
+    pendingFormatted: formatBytes(totals.pendingBytes),
+    reclaimableFormatted: formatBytes(totals.reclaimableBytes),
+    byMimeType: Object.fromEntries(
+      [...byMimeType].map(([mimeType, bucket]) => [mimeType, formatBucket(bucket)])
+    ),
+    byMetadata: Object.fromEntries(
+      [...byMetadata].map(([key, values]) => [
+        key,
+        Object.fromEntries([...values].map(([value, bucket]) => [value, formatBucket(bucket)])),
+      ])
+    ),
+  };
+}
\ No newline at end of file
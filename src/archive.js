@@ -0,0 +1,162 @@
+/**
+ * archive.js
+ * Child files extracted from downloaded ZIP archives (registry entries with
+ * extract: true).
+ *
+ * Each file in the archive gets a record in the archiveFiles store with the id
+ * 'parentId/path/in/archive' and its data in the blocks store under the same
+ * generation as the parent's data, so child ids work with every retrieve API.
+ * The blocks are keyed by [parentId, path] rather than the child id, so they
+ * never share keys with a registered file's blocks. A child id and a
+ * registered id never coincide either: registerFile() refuses child ids, and
+ * an archive with a path whose child id is taken fails to extract.
+ * Children have no registry or queue records of their own; readiness,
+ * expiry, and staleness always follow the parent, and the parent's storedBytes
+ * includes their bytes, so the storage budget, eviction, and the storage
+ * totals count them.
+ *
+ * Archive file record shape:
+ * {
+ *   id:          string — 'parentId/path/in/archive'
+ *   parentId:    string
+ *   path:        string — path inside the archive
+ *   dataKey:     [string, string] — [parentId, path], the id of its blocks; records
+ *                  written by older versions lack it and use id
+ *   mimeType:    string — from getMimeType(path)
+ *   generation:  number — generation of the parent download it was extracted from
+ *   blockSize:   number
+ *   storedBytes: number
+ * }
+ */
+
+import { dbGet, dbGetAllByIndex, dbPutMany, dbDelete, STORES } from './db.js';
+import { BLOCK_SIZE, writeBlocks, deleteBlocks } from './blocks.js';
+import { revokeObjectURL } from './objectUrls.js';
+import { getMimeType } from './mimeTypes.js';
+import { readZipEntries, readZipEntry } from './zip.js';
+
+/**
+ * Unpacks a ZIP archive in memory. Nothing is stored, so a corrupt archive
+ * fails before any data is written.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Array<{ path: string, data: Uint8Array }>>}
+ * @throws {Error} if the archive cannot be read
+ */
+export async function unpackArchive(bytes) {
+  const files = [];
+  for (const entry of readZipEntries(bytes)) {
+    files.push({ path: entry.path, data: await readZipEntry(bytes, entry) });
+  }
+  return files;
+}
+
+/** Returns the id a child's blocks are stored under. */
+const dataKeyOf = (child) => child.dataKey ?? child.id;
+
+/**
+ * Throws if an unpacked file's child id is taken: by a registered file, or by
+ * a child of another archive (a parent 'a' with 'b/c.json' and a parent 'a/b'
+ * with 'c.json' would share 'a/b/c.json').
+ * @param {object} ctx
+ * @param {string} parentId
+ * @param {Array<{ path: string }>} files
+ * @returns {Promise<void>}
+ */
+export async function assertChildIdsFree(ctx, parentId, files) {
+  for (const { path } of files) {
+    const id = `${parentId}/${path}`;
+    if (await dbGet(ctx, STORES.REGISTRY, id)) {
+      throw new Error(`"${path}" would be extracted as "${id}", which is already a registered file.`);
+    }
+    const child = await getArchiveFile(ctx, id);
+    if (child && child.parentId !== parentId) {
+      throw new Error(`"${path}" would be extracted as "${id}", which is already extracted from "${child.parentId}".`);
+    }
+  }
+}
+
+/**
+ * Stores unpacked files as children of a parent under the given generation.
+ * Existing children with the same path are switched to the new data; call
+ * removeArchiveFiles() afterwards to drop what the new archive no longer has.
+ * @param {object} ctx
+ * @param {string} parentId
+ * @param {number} generation
+ * @param {Array<{ path: string, data: Uint8Array }>} files
+ * @returns {Promise<string[]>} the child ids
+ */
+export async function storeArchiveFiles(ctx, parentId, generation, files) {
+  const records = [];
+  for (const { path, data } of files) {
+    const id = `${parentId}/${path}`;
+    const dataKey = [parentId, path];
+    await writeBlocks(ctx, dataKey, generation, data);
+    records.push({
+      id,
+      parentId,
+      path,
+      dataKey,
+      mimeType: getMimeType(path),
+      generation,
+      blockSize: BLOCK_SIZE,
+      storedBytes: data.byteLength,
+    });
+  }
+  await dbPutMany(ctx, STORES.ARCHIVE_FILES, records);
+  return records.map((r) => r.id);
+}
+
+/**
+ * Returns the child file record for an id, or undefined.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<object|undefined>}
+ */
+export function getArchiveFile(ctx, id) {
+  return dbGet(ctx, STORES.ARCHIVE_FILES, id);
+}
+
+/**
+ * Returns all child file records of a parent.
+ * @param {object} ctx
+ * @param {string} parentId
+ * @returns {Promise<object[]>}
+ */
+export function getArchiveFiles(ctx, parentId) {
+  return dbGetAllByIndex(ctx, STORES.ARCHIVE_FILES, 'parentId', parentId);
+}
+
+/**
+ * Removes a parent's child files and their blocks, revoking their object URLs.
+ * @param {object} ctx
+ * @param {string} parentId
+ * @param {number} [keepGeneration] — keep children written for this generation
+ *   and only remove older data
+ * @returns {Promise<void>}
+ */
+export async function removeArchiveFiles(ctx, parentId, keepGeneration) {
+  const children = await getArchiveFiles(ctx, parentId);
+
+  for (const child of children) {
+    if (child.generation === keepGeneration) continue;
+    await dbDelete(ctx, STORES.ARCHIVE_FILES, child.id);
+    await deleteBlocks(ctx, dataKeyOf(child));
+    revokeObjectURL(ctx, child.id);
+  }
+}
+
+/**
+ * Removes the blocks a set of children held before they were switched to a
+ * new generation.
+ * @param {object} ctx
+ * @param {object[]} previous — child records read before storeArchiveFiles()
+ * @param {number} generation — the new generation
+ * @returns {Promise<void>}
+ */
+export async function removeReplacedArchiveData(ctx, previous, generation) {
+  for (const child of previous) {
+    if (child.generation === generation) continue;
+    await deleteBlocks(ctx, dataKeyOf(child), child.generation);
+    revokeObjectURL(ctx, child.id);
+  }
+}
\ No newline at end of file
@@ -0,0 +1,131 @@
+/**
+ * blocks.js
+ * Block storage for completed file data.
+ *
+ * A finished download is split into BLOCK_SIZE records in the blocks store,
+ * keyed by [id, generation, offset]. A byte-range read then only loads the
+ * blocks that overlap the range instead of the whole file. Files extracted
+ * from an archive use their dataKey, [parentId, path], as the id (see
+ * archive.js).
+ *
+ * Each completed download gets a new generation number. The new blocks are
+ * written first, the queue record is switched to the new generation, and only
+ * then are the old blocks removed — so a re-download never leaves readers
+ * without data, and a reader always sees one consistent generation.
+ *
+ * Queue records written by older versions of the library keep the whole file
+ * in `data` instead, and records with storedIn: 'opfs' keep each generation as
+ * a file in the Origin Private File System (see opfs.js); readData() and
+ * readRange() handle every layout, and deleteBlocks() removes both kinds of
+ * generation.
+ */
+
+import { dbPutMany, dbGetAllInRange, dbDeleteRange, STORES } from './db.js';
+import { isOPFSAvailable, readOPFSRange, deleteOPFSFiles } from './opfs.js';
+
+export const BLOCK_SIZE = 1024 * 1024; // 1 MB per stored block
+
+/**
+ * Returns true if a queue record has stored file data in either layout.
+ * @param {object|undefined} queueEntry
+ * @returns {boolean}
+ */
+export function hasData(queueEntry) {
+  return !!queueEntry?.data || (queueEntry?.generation ?? null) !== null;
+}
+
+/**
+ * Returns the stored size in bytes of a queue record's data.
+ * @param {object} queueEntry
+ * @returns {number}
+ */
+export function getDataSize(queueEntry) {
+  return queueEntry.data?.byteLength ?? queueEntry.storedBytes ?? 0;
+}
+
+/**
+ * Writes file data as a new generation of blocks in one transaction.
+ * @param {object} ctx
+ * @param {string|string[]} id — a registry id, or an extracted file's dataKey
+ * @param {number} generation
+ * @param {Uint8Array} bytes
+ * @returns {Promise<void>}
+ */
+export async function writeBlocks(ctx, id, generation, bytes) {
+  const records = [];
+  for (let offset = 0; offset < bytes.byteLength; offset += BLOCK_SIZE) {
+    const data = bytes.slice(offset, offset + BLOCK_SIZE).buffer;
+    records.push({ id, generation, offset, data });
+  }
+  await dbPutMany(ctx, STORES.BLOCKS, records);
+}
+
+/**
+ * Reads a queue record's whole file.
+ * @param {object} ctx
+ * @param {object} queueEntry
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readData(ctx, queueEntry) {
+  if (queueEntry.data) return queueEntry.data;
+  return readRange(ctx, queueEntry, 0, getDataSize(queueEntry));
+}
+
+/**
+ * Reads bytes [start, end) of a queue record's file, loading only the blocks
+ * that overlap the range. The caller clamps the range to the file size.
+ *
+ * @param {object} ctx
+ * @param {object} queueEntry
+ * @param {number} start
+ * @param {number} end — exclusive
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error} if blocks are missing (e.g. the file was deleted mid-read)
+ */
+export async function readRange(ctx, queueEntry, start, end) {
+  if (queueEntry.data) return queueEntry.data.slice(start, end);
+  if (end <= start) return new ArrayBuffer(0);
+
+  const { id, generation } = queueEntry;
+  if (queueEntry.storedIn === 'opfs') return readOPFSRange(ctx, id, generation, start, end);
+  const key = queueEntry.dataKey ?? id;
+
+  const blockSize = queueEntry.blockSize ?? BLOCK_SIZE;
+  const firstOffset = Math.floor(start / blockSize) * blockSize;
+  const lastOffset = Math.floor((end - 1) / blockSize) * blockSize;
+
+  const blocks = await dbGetAllInRange(ctx, 
+    STORES.BLOCKS,
+    [key, generation, firstOffset],
+    [key, generation, lastOffset]
+  );
+
+  const expected = (lastOffset - firstOffset) / blockSize + 1;
+  if (blocks.length !== expected) {
+    throw new Error(`Stored data for "${id}" is incomplete; it may have been deleted or replaced.`);
+  }
+
+  const result = new Uint8Array(end - start);
+  for (const block of blocks) {
+    const from = Math.max(start, block.offset);
+    const to = Math.min(end, block.offset + block.data.byteLength);
+    result.set(new Uint8Array(block.data, from - block.offset, to - from), from - start);
+  }
+  return result.buffer;
+}
+
+/**
+ * Removes stored blocks for a file, and its OPFS data files.
+ * @param {object} ctx
+ * @param {string|string[]} id — a registry id, or an extracted file's dataKey
+ * @param {number} [generation] — only this generation; all generations when omitted
+ * @returns {Promise<void>}
+ */
+export async function deleteBlocks(ctx, id, generation) {
+  if (generation === undefined || generation === null) {
+    await dbDeleteRange(ctx, STORES.BLOCKS, [id, -Infinity, -Infinity], [id, Infinity, Infinity]);
+  } else {
+    await dbDeleteRange(ctx, STORES.BLOCKS, [id, generation, 0], [id, generation, Infinity]);
+  }
+  if (isOPFSAvailable() && typeof id === 'string') await deleteOPFSFiles(ctx, id, generation);
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+/**
+ * broadcast.js
+ * Announces registry writes to the other contexts that use the same database
+ * (other tabs, the service worker) over a BroadcastChannel, so state they
+ * derive from the registry follows writes they did not make: the running
+ * totals in accounting.js and the URL map of a fetch handler (fetchHandler.js).
+ *
+ * The channel is named by the storage adapter's optional channelName (see the
+ * adapter interface in db.js). Adapters whose data is private to the instance,
+ * like the in-memory one, have none, and nothing is sent. A message carries
+ * the registry record as written (null once deleted), so receivers apply it
+ * without reading the store. A channel never delivers a message back to the
+ * instance that sent it.
+ */
+
+import { getStorageAdapter } from './db.js';
+
+// State lives on the instance's context: ctx.broadcast = { channel, listeners }
+
+/** Returns the channel for the active adapter, opening or replacing it as needed. */
+function openChannel(ctx) {
+  const state = ctx.broadcast;
+  const { channelName = null } = getStorageAdapter(ctx);
+  if ((state.channel?.name ?? null) === channelName) return state.channel;
+
+  state.channel?.close();
+  state.channel = null;
+  if (!channelName || typeof BroadcastChannel === 'undefined') return null;
+
+  state.channel = new BroadcastChannel(channelName);
+  state.channel.onmessage = ({ data }) => {
+    if (data?.type !== 'registry') return;
+    for (const listener of state.listeners) {
+      try { listener(data); } catch (err) {
+        console.error('[offline-data-manager] Error in a registry change listener:', err);
+      }
+    }
+  };
+  return state.channel;
+}
+
+/**
+ * Tells the other contexts that a registry record was written or, with null,
+ * deleted.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object|null} record — the registry record as written
+ */
+export function announceRegistryChange(ctx, id, record) {
+  openChannel(ctx)?.postMessage({ type: 'registry', id, record });
+}
+
+/**
+ * Subscribes to registry writes made by other contexts. Returns an
+ * unsubscribe function.
+ * @param {object} ctx
+ * @param {(change: { id: string, record: object|null }) => void} listener
+ * @returns {Function}
+ */
+export function onRegistryChange(ctx, listener) {
+  ctx.broadcast.listeners.add(listener);
+  openChannel(ctx);
+  return () => { ctx.broadcast.listeners.delete(listener); };
+}
+
+/**
+ * Moves the channel to the active adapter after setStorageAdapter(), so
+ * subscribers stop hearing about the previous database.
+ * @param {object} ctx
+ */
+export function resetBroadcast(ctx) {
+  if (ctx.broadcast.channel || ctx.broadcast.listeners.size > 0) openChannel(ctx);
+}
+
+/**
+ * Closes the channel. Subscribers stay registered and hear changes again once
+ * the instance announces or subscribes anything.
+ * @param {object} ctx
+ */
+export function closeBroadcast(ctx) {
+  ctx.broadcast.channel?.close();
+  ctx.broadcast.channel = null;
+}
\ No newline at end of file
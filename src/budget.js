@@ -0,0 +1,110 @@
+/**
+ * budget.js
+ * Library-level storage budget: a cap on the bytes one manager stores,
+ * independent of the browser quota, which covers the whole origin.
+ *
+ * The bytes counted against the budget are the storedBytes of every registry
+ * record (from the running counters in accounting.js) plus the reservations of
+ * downloads in progress. drainQueue() (see downloader.js) reserves an entry's
+ * expected size before it starts it; a download whose size is unknown until
+ * its probe reserves it then. A download that would take the total over the
+ * budget first tries to evict lower-priority files (see eviction.js) and is
+ * otherwise deferred with reason 'budget-exceeded'. Replacing a file (TTL
+ * refresh or new version) only counts by how much it grows.
+ *
+ * Budget values:
+ *   number                    — bytes
+ *   { percentOfQuota: number } — share (0–100) of the browser quota, read
+ *                                from getStorageEstimate() at every check
+ *   null                      — no budget (the default)
+ */
+
+import { getStorageEstimate } from './storage.js';
+import { getStoredBytes } from './accounting.js';
+import { _notifyNewWork } from './downloader.js';
+
+// The budget lives on the instance's context (ctx.budget.limit), along with
+// the reservations of running downloads (ctx.budget.reservations, id → size).
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+/** Returns the budget in bytes, or null if none is set. */
+async function resolveBudget(ctx) {
+  const { limit } = ctx.budget;
+  if (limit === null) return null;
+  if (typeof limit === 'number') return limit;
+
+  const { quota } = await getStorageEstimate();
+  return quota === Infinity ? null : Math.floor(quota * limit.percentOfQuota / 100);
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Sets (or with null, removes) the most bytes this manager may store. Raising
+ * or removing it wakes the download loop, so deferred entries are retried.
+ * @param {object} ctx
+ * @param {number|{ percentOfQuota: number }|null} budget
+ */
+export function setStorageBudget(ctx, budget) {
+  const isBytes = typeof budget === 'number' && Number.isFinite(budget) && budget >= 0;
+  const isPercent = budget !== null && typeof budget === 'object'
+    && typeof budget.percentOfQuota === 'number' && budget.percentOfQuota >= 0 && budget.percentOfQuota <= 100;
+
+  if (budget !== null && !isBytes && !isPercent) {
+    throw new Error('setStorageBudget: budget must be a non-negative number of bytes, { percentOfQuota } between 0 and 100, or null.');
+  }
+  ctx.budget.limit = isPercent ? { percentOfQuota: budget.percentOfQuota } : budget;
+  _notifyNewWork(ctx);
+}
+
+/**
+ * Reserves room in the budget for a download of `bytes` (0 if unknown). The
+ * reservation replaces any earlier one for the entry and is only made if the
+ * total stays within the budget.
+ * @param {object} ctx
+ * @param {object} registryEntry
+ * @param {number} bytes
+ * @returns {Promise<number>} 0 if reserved, else how many bytes the total would be over
+ */
+export async function reserveBudget(ctx, registryEntry, bytes) {
+  const [budget, stored] = await Promise.all([
+    resolveBudget(ctx),
+    getStoredBytes(ctx),
+  ]);
+  if (budget === null) return 0;
+
+  // From here on synchronous, so parallel calls see each other's reservations
+  const { reservations } = ctx.budget;
+  const growth = (id, size) => Math.max(0, size - stored.of(id));
+
+  let total = stored.total();
+  for (const [id, size] of reservations) {
+    if (id !== registryEntry.id) total += growth(id, size);
+  }
+  total += growth(registryEntry.id, bytes);
+
+  if (total > budget) return total - budget;
+  reservations.set(registryEntry.id, bytes);
+  return 0;
+}
+
+/**
+ * Returns the size reserved for an entry, or null if it holds no reservation
+ * (always, without a budget).
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {number|null}
+ */
+export function getReservation(ctx, id) {
+  return ctx.budget.reservations.get(id) ?? null;
+}
+
+/**
+ * Releases an entry's reservation once its download has ended.
+ * @param {object} ctx
+ * @param {string} id
+ */
+export function releaseBudget(ctx, id) {
+  ctx.budget.reservations.delete(id);
+}
\ No newline at end of file
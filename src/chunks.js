@@ -0,0 +1,142 @@
+/**
+ * chunks.js
+ * Persistence for the Range request chunks of in-flight downloads.
+ *
+ * Each completed chunk is written to the chunks store as its own record keyed
+ * by [id, offset], so a chunked download interrupted by a page reload or
+ * service worker restart only fetches the chunks that are still missing.
+ * Chunks are laid out on a fixed CHUNK_SIZE grid and each record is written
+ * in a single put, so a stored chunk is always complete. That lets chunks
+ * arrive out of order (parallel Range requests) and lets a resume work out
+ * what is stored from the keys alone, without loading any data.
+ *
+ * Once a download finishes the chunks are assembled into a single ArrayBuffer,
+ * or read back one at a time to be decompressed, and removed. Leftover chunks
+ * are also removed on delete and version bump.
+ *
+ * Downloads stored in the Origin Private File System write their chunks
+ * straight into the file of the generation being downloaded (see
+ * openOPFSChunkWriter() in opfs.js). recordChunks() then writes records
+ * without data for them, so getChunkOffsets() finds the stored chunks the
+ * same way for both backends.
+ */
+
+import { dbGet, dbPut, dbPutMany, dbGetAllInRange, dbGetKeysInRange, dbDeleteRange, STORES } from './db.js';
+import { isOPFSAvailable, deleteOPFSFiles } from './opfs.js';
+
+export const CHUNK_SIZE = 2 * 1024 * 1024; // 2 MB per Range request
+
+/**
+ * Persists a single downloaded chunk.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} offset — byte offset of the chunk within the file
+ * @param {Uint8Array} bytes
+ * @returns {Promise<void>}
+ */
+export async function saveChunk(ctx, id, offset, bytes) {
+  // Copy out of the view so only the chunk's own bytes are stored
+  const data = bytes.byteOffset === 0 && bytes.byteLength === bytes.buffer.byteLength
+    ? bytes.buffer
+    : bytes.slice().buffer;
+  await dbPut(ctx, STORES.CHUNKS, { id, offset, data });
+}
+
+/**
+ * Records chunks whose bytes are on disk in the download's OPFS file. The
+ * records hold no data; they only tell a resume that the chunks are stored.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number[]} offsets
+ * @returns {Promise<void>}
+ */
+export async function recordChunks(ctx, id, offsets) {
+  if (offsets.length > 0) await dbPutMany(ctx, STORES.CHUNKS, offsets.map((offset) => ({ id, offset, data: null })));
+}
+
+/**
+ * Returns the offsets of every chunk already stored for a file, in ascending
+ * order. Only the keys are read, so this is cheap even for very large files.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<number[]>}
+ */
+export async function getChunkOffsets(ctx, id) {
+  const keys = await dbGetKeysInRange(ctx, STORES.CHUNKS, [id, 0], [id, Infinity]);
+  return keys.map((key) => key[1]);
+}
+
+/**
+ * Returns the byte length of the chunk starting at `offset`. Every chunk is
+ * CHUNK_SIZE bytes except the last one in the file.
+ * @param {number} offset
+ * @param {number} totalBytes
+ * @returns {number}
+ */
+export function chunkLength(offset, totalBytes) {
+  return Math.min(CHUNK_SIZE, totalBytes - offset);
+}
+
+/**
+ * Returns the number of bytes stored contiguously from the start of the file,
+ * i.e. the end of the last chunk before the first gap.
+ * @param {Set<number>} offsets — offsets of the stored chunks
+ * @param {number} totalBytes
+ * @returns {number}
+ */
+export function contiguousLength(offsets, totalBytes) {
+  let length = 0;
+  while (length < totalBytes && offsets.has(length)) {
+    length += chunkLength(length, totalBytes);
+  }
+  return length;
+}
+
+/**
+ * Reads every stored chunk for a file and merges them into one contiguous
+ * Uint8Array in offset order.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<Uint8Array>}
+ */
+export async function assembleChunks(ctx, id) {
+  const records = await dbGetAllInRange(ctx, STORES.CHUNKS, [id, 0], [id, Infinity]);
+  const totalLength = records.reduce((n, r) => n + r.data.byteLength, 0);
+  const merged = new Uint8Array(totalLength);
+  for (const record of records) {
+    merged.set(new Uint8Array(record.data), record.offset);
+  }
+  return merged;
+}
+
+/**
+ * Streams every stored chunk for a file in offset order, reading one chunk at
+ * a time, so the file can be processed without assembling it.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function streamChunks(ctx, id) {
+  let offsets = null;
+  return new ReadableStream({
+    async pull(controller) {
+      offsets ??= await getChunkOffsets(ctx, id);
+      if (offsets.length === 0) return controller.close();
+      const record = await dbGet(ctx, STORES.CHUNKS, [id, offsets.shift()]);
+      controller.enqueue(new Uint8Array(record.data));
+    },
+  });
+}
+
+/**
+ * Removes all stored chunks for a file. With an `opfsGeneration` the OPFS file
+ * the chunks were written into is removed as well.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number|null} [opfsGeneration=null]
+ * @returns {Promise<void>}
+ */
+export async function clearChunks(ctx, id, opfsGeneration = null) {
+  await dbDeleteRange(ctx, STORES.CHUNKS, [id, 0], [id, Infinity]);
+  if (opfsGeneration !== null && isOPFSAvailable()) await deleteOPFSFiles(ctx, id, opfsGeneration);
+}
\ No newline at end of file
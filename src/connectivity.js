@@ -25,40 +25,41 @@
 
 import { emit } from './events.js';
 
-// Injected by startConnectivityMonitor — avoids a circular import with downloader.js
-let _pauseAll = null;
-let _resumeAll = null;
-let _monitoring = false;
-let _online = true;
-
-function handleOffline() {
-  emit('connectivity', { online: false });
-  _pauseAll?.();
-}
-
-function handleOnline() {
-  emit('connectivity', { online: true });
-  _resumeAll?.();
-}
+// Monitoring state lives on the instance's context (ctx.connectivity, see
+// context.js). pauseAll/resumeAll are injected by startConnectivityMonitor —
+// avoids a circular import with downloader.js.
 
 /**
  * Starts monitoring window online/offline events.
  * Downloads are paused when offline and resumed when online.
  * If running in a worker, this will be ignored since "window" is not available.
  *
+ * @param {object} ctx
  * @param {object} handlers
  * @param {Function} handlers.pauseAll  — called when offline; should abort active downloads
  * @param {Function} handlers.resumeAll — called when online; should call downloadFiles()
  */
-export function startConnectivityMonitor({ pauseAll, resumeAll }) {
-  if (_monitoring) return;
-  _pauseAll = pauseAll;
-  _resumeAll = resumeAll;
-  if (window) {
-    window.addEventListener('offline', handleOffline);
-    window.addEventListener('online', handleOnline);
+export function startConnectivityMonitor(ctx, { pauseAll, resumeAll }) {
+  const state = ctx.connectivity;
+  if (state.monitoring) return;
+  state.pauseAll = pauseAll;
+  state.resumeAll = resumeAll;
+  if (globalThis.window) {
+    // Bound to this instance so each one can remove only its own listeners
+    state.handlers = {
+      offline: () => {
+        emit(ctx, 'connectivity', { online: false });
+        state.pauseAll?.();
+      },
+      online: () => {
+        emit(ctx, 'connectivity', { online: true });
+        state.resumeAll?.();
+      },
+    };
+    window.addEventListener('offline', state.handlers.offline);
+    window.addEventListener('online', state.handlers.online);
   }
-  _monitoring = true;
+  state.monitoring = true;
 }
 
 /**
@@ -66,52 +67,58 @@ export function startConnectivityMonitor({ pauseAll, resumeAll }) {
  * After calling this, online/offline events will no longer trigger pause/resume.
  * If running in a worker, this will be ignored since "window" is not available.
  */
-export function stopConnectivityMonitor() {
-  if (globalThis.window) {
-    window.removeEventListener('offline', handleOffline);
-    window.removeEventListener('online', handleOnline);
+export function stopConnectivityMonitor(ctx) {
+  const state = ctx.connectivity;
+  if (globalThis.window && state.handlers) {
+    window.removeEventListener('offline', state.handlers.offline);
+    window.removeEventListener('online', state.handlers.online);
   }
 
-  _pauseAll = null;
-  _resumeAll = null;
-  _monitoring = false;
+  state.handlers = null;
+  state.pauseAll = null;
+  state.resumeAll = null;
+  state.monitoring = false;
 }
 
 /**
  * Returns the current online status from navigator.onLine.
  * Note: true does not guarantee the download servers are reachable,
  * only that the browser believes it has a network connection.
+ * @param {object} ctx
  * @returns {boolean}
  */
-export function isOnline() {
+export function isOnline(ctx) {
   if (globalThis.window) {
     return navigator.onLine ?? true;
   }
 
-  return _online;
+  return ctx.connectivity.online;
 }
 
 /**
  * Returns true if connectivity monitoring is currently active.
+ * @param {object} ctx
  * @returns {boolean}
  */
-export function isMonitoring() {
-  return _monitoring;
+export function isMonitoring(ctx) {
+  return ctx.connectivity.monitoring;
 }
 
 /**
  * A manual override option for setting the online/offline status. 
  * seful when running this solution in a worker that doesn't have access to the window event for monitoring this status.
+ * @param {object} ctx
  * @param {boolean} online True if online, false otherwise.
  */
-export function updateConnectivityStatus(online) {
-  _online = online;
+export function updateConnectivityStatus(ctx, online) {
+  const state = ctx.connectivity;
+  state.online = online;
 
-  if (_monitoring) {
-    if (_online) {
-      _resumeAll?.();
+  if (state.monitoring) {
+    if (state.online) {
+      state.resumeAll?.();
     } else {
-      _pauseAll?.();
+      state.pauseAll?.();
     }
   }
 }
\ No newline at end of file
@@ -0,0 +1,94 @@
+/**
+ * context.js
+ * Per-instance state of an offline data manager.
+ *
+ * Everything that used to live in module-level variables — the storage
+ * adapter and DB name, event listeners, the download loop, connectivity
+ * monitoring, auth and URL resolvers, object URLs — lives on a context
+ * object instead. Every module function that touches state takes the context
+ * as its first argument, so instances created with createOfflineDataManager()
+ * (see index.js) share no state. The default export of index.js is bound to
+ * defaultContext.
+ */
+
+/**
+ * @typedef {object} Context
+ * @property {{ name: string, version: number, adapter: object|null, opened: Promise<void>|null }} db
+ *   — the adapter is created on first use unless one is set (see db.js)
+ * @property {object[]} migrations — app steps from registerMigration() (see migrations.js)
+ * @property {Map<string, Set<Function>>} listeners
+ * @property {object} loop — download loop state (see downloader.js)
+ * @property {object} connectivity — monitoring state (see connectivity.js)
+ * @property {{ authProvider: Function|null, urlResolver: Function|null, entryUrlResolvers: Map<string, Function> }} requests
+ * @property {Map<string, any>} scheduledProgress — group → pending 'group-progress' timer
+ * @property {Map<string, { generation: number|null, url: string }>} objectUrls
+ * @property {Map<string, Promise<string>>} pendingObjectUrls
+ * @property {{ policy: string|Function|null, evicting: Set<string> }} eviction — see eviction.js
+ * @property {{ limit: number|{ percentOfQuota: number }|null, reservations: Map<string, number> }} budget
+ *   — see budget.js
+ * @property {{ totals: object|null, shares: Map<string, object>, seeding: Promise<void>|null,
+ *   pending: Map<string, object|null>|null, generation: number, unsubscribe: Function|null }} accounting
+ *   — see accounting.js
+ * @property {{ channel: BroadcastChannel|null, listeners: Set<Function> }} broadcast — see broadcast.js
+ * @property {{ formats: Map<string, Function>, mimeTypes: Map<string, string> }} decoders
+ *   — from registerDecoder() (see decoders.js)
+ */
+
+export const DEFAULT_DB_NAME = 'offline-data-manager';
+export const DEFAULT_DB_VERSION = 7;
+export const DEFAULT_CONCURRENCY = 2;
+export const DEFAULT_RANGE_CONCURRENCY = 1;
+
+/**
+ * Creates the state of a new, independent instance.
+ * @param {object} [options]
+ * @param {string} [options.dbName='offline-data-manager']
+ * @param {number} [options.dbVersion=7]
+ * @param {number} [options.concurrency=2] — default for startDownloads()
+ * @param {number} [options.rangeConcurrency=1] — default for startDownloads()
+ * @param {number|null} [options.opfsThreshold=null] — default for startDownloads()
+ * @param {number|null} [options.maxBytesPerSecond=null] — default for startDownloads()
+ * @returns {Context}
+ */
+export function createContext({
+  dbName = DEFAULT_DB_NAME,
+  dbVersion = DEFAULT_DB_VERSION,
+  concurrency = DEFAULT_CONCURRENCY,
+  rangeConcurrency = DEFAULT_RANGE_CONCURRENCY,
+  opfsThreshold = null,
+  maxBytesPerSecond = null,
+} = {}) {
+  return {
+    db: { name: dbName, version: dbVersion, adapter: null, opened: null },
+    migrations: [],
+    listeners: new Map(),
+    loop: {
+      // Defaults for startDownloads()
+      defaults: { concurrency, rangeConcurrency, opfsThreshold, maxBytesPerSecond },
+      running: false,
+      wakeResolve: null,
+      activeDownloads: new Map(),
+      concurrency,
+      rangeConcurrency,
+      opfsThreshold,
+      maxBytesPerSecond,
+      bandwidthAvailableAt: 0,
+      bandwidthWaiters: new Set(),
+      slotsInUse: 0,
+      onSlotReleased: null,
+    },
+    connectivity: { pauseAll: null, resumeAll: null, monitoring: false, online: true, handlers: null },
+    requests: { authProvider: null, urlResolver: null, entryUrlResolvers: new Map() },
+    scheduledProgress: new Map(),
+    objectUrls: new Map(),
+    pendingObjectUrls: new Map(),
+    eviction: { policy: 'lru', evicting: new Set() },
+    budget: { limit: null, reservations: new Map() },
+    accounting: { totals: null, shares: new Map(), seeding: null, pending: null, generation: 0, unsubscribe: null },
+    broadcast: { channel: null, listeners: new Set() },
+    decoders: { formats: new Map(), mimeTypes: new Map() },
+  };
+}
+
+/** State of the default instance (the default export of index.js). */
+export const defaultContext = createContext();
\ No newline at end of file
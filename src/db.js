@@ -1,20 +1,102 @@
 /**
  * db.js
- * IndexedDB setup and store management.
+ * Store definitions and the storage helpers the rest of the library uses.
+ *
+ * The helpers delegate to a storage adapter. By default that is IndexedDB
+ * (indexedDBAdapter.js); setStorageAdapter() swaps in another backend, such as
+ * the in-memory adapter (memoryAdapter.js), without any change to the code
+ * above this module.
  *
  * Stores:
- *   registry      — one record per registered file
+ *   registry      — one record per registered file; the multiEntry 'groups' index
+ *                   lists the members of each group (see groups.js)
  *   downloadQueue — one record per file tracking download state and stored array buffer
+ *   chunks        — Range request chunks of in-flight downloads, keyed by [id, offset]
+ *   blocks        — completed file data split into fixed-size blocks, keyed by
+ *                   [id, generation, offset] (see blocks.js)
+ *   archiveFiles  — one record per file extracted from a ZIP archive, keyed by
+ *                   'parentId/path/in/archive' (see archive.js)
+ *   meta          — library bookkeeping records keyed by 'key', e.g. cached manifests
+ *
+ * Completed file data is stored in the blocks store so a byte-range read only
+ * loads the blocks it needs. The chunks store only holds partial downloads so
+ * they survive a page reload or service worker restart. Records written by
+ * older versions of the library hold the whole file as an ArrayBuffer in the
+ * downloadQueue record's `data` field until the version 7 library migration
+ * moves it into blocks (see migrations.js); readers handle both, for adapters
+ * that do not run migrations.
+ *
+ * ─── Storage adapter interface ───────────────────────────────────────────────
+ *
+ * An adapter is an object with the methods below. All of them except close()
+ * return promises. Keys are IndexedDB-style keys (numbers, strings, or arrays
+ * of them) compared by the IndexedDB ordering rules; range bounds are
+ * inclusive; records are stored as copies, so mutating a returned record does
+ * not change the stored one.
  *
- * All file data is stored as an ArrayBuffer directly on the downloadQueue record.
- * There is no separate data store — the download manager is purely a
- * fetch-and-store layer with no knowledge of file contents.
+ *   open(schema, upgrade)                   — create/open the stores in SCHEMA; called once
+ *                                             before any other method. Upgrade the database
+ *                                             when it is new, a store or index is missing,
+ *                                             or upgrade.isPending(tx, { appVersion })
+ *                                             resolves true: create the missing stores and
+ *                                             indexes and call upgrade.run(tx, { oldVersion,
+ *                                             appVersion }) in the same transaction, and
+ *                                             roll all of it back if that rejects.
+ *                                             appVersion is the app's database version;
+ *                                             oldVersion is the adapter's own version before
+ *                                             the upgrade, 0 for a new database. tx has get,
+ *                                             getAll, getAllKeys, put, and delete (see
+ *                                             migrations.js). Adapters that always start
+ *                                             empty may ignore upgrade.
+ *   close()                                 — release resources (optional)
+ *   channelName                             — name of a BroadcastChannel on which instances in
+ *                                             other contexts (tabs, the service worker) using
+ *                                             the same data hear about registry writes
+ *                                             (optional; see broadcast.js). Leave it out when
+ *                                             the data is private to the instance.
+ *   get(store, key)                         — record or undefined
+ *   getAll(store)                           — all records, in key order
+ *   getAllKeys(store)                       — all keys, in key order
+ *   getAllByIndex(store, index, value)      — records whose index value equals value
+ *                                             (any element, for multiEntry indexes)
+ *   getAllInRange(store, lower, upper)      — records with lower <= key <= upper
+ *   getKeysInRange(store, lower, upper)     — keys with lower <= key <= upper
+ *   put(store, record)                      — insert or replace; key read from keyPath
+ *   putMany(store, records)                 — put all records, or none on failure
+ *   delete(store, key)
+ *   deleteRange(store, lower, upper)
  */
 
-let DB_NAME = 'offline-data-manager';
-let DB_VERSION = 1;
+import { createIndexedDBAdapter } from './indexedDBAdapter.js';
+import { DEFAULT_DB_NAME, DEFAULT_DB_VERSION } from './context.js';
+import { getMigrations, isUpgradePending, runMigrations } from './migrations.js';
+import { resetAccounting } from './accounting.js';
+import { resetBroadcast } from './broadcast.js';
 
-let _db = null;
+// The DB name, version, and active adapter belong to an instance's context
+// (ctx.db, see context.js); the adapter is null until first use, when the
+// IndexedDB default is created.
+
+/**
+ * @typedef {object} StorageAdapter
+ * @property {string} [name]
+ * @property {(schema: object, upgrade?: {
+ *   isPending: (tx: object, versions: { appVersion: number }) => Promise<boolean>,
+ *   run: (tx: object, versions: { oldVersion: number, appVersion: number }) => Promise<void>
+ * }) => Promise<void>} open
+ * @property {() => void} [close]
+ * @property {string} [channelName]
+ * @property {(storeName: string, key: any) => Promise<any>} get
+ * @property {(storeName: string) => Promise<any[]>} getAll
+ * @property {(storeName: string) => Promise<any[]>} getAllKeys
+ * @property {(storeName: string, indexName: string, value: any) => Promise<any[]>} getAllByIndex
+ * @property {(storeName: string, lower: any, upper: any) => Promise<any[]>} getAllInRange
+ * @property {(storeName: string, lower: any, upper: any) => Promise<any[]>} getKeysInRange
+ * @property {(storeName: string, record: object) => Promise<void>} put
+ * @property {(storeName: string, records: object[]) => Promise<void>} putMany
+ * @property {(storeName: string, key: any) => Promise<void>} delete
+ * @property {(storeName: string, lower: any, upper: any) => Promise<void>} deleteRange
+ */
 
 /**
  * List of all the data stores in the DB.
@@ -22,121 +104,230 @@ let _db = null;
 export const STORES = {
   REGISTRY:       'registry',
   DOWNLOAD_QUEUE: 'downloadQueue',
+  CHUNKS:         'chunks',
+  BLOCKS:         'blocks',
+  ARCHIVE_FILES:  'archiveFiles',
+  META:           'meta',
+};
+
+/**
+ * Key paths and indexes of each store, passed to the adapter's open().
+ */
+export const SCHEMA = {
+  [STORES.REGISTRY]: {
+    keyPath: 'id',
+    indexes: {
+      protected: { keyPath: 'protected' },
+      priority:  { keyPath: 'priority' },
+      groups:    { keyPath: 'groups', multiEntry: true }, // added in version 6
+    },
+  },
+  [STORES.DOWNLOAD_QUEUE]: {
+    keyPath: 'id',
+    indexes: {
+      status:   { keyPath: 'status' },
+      priority: { keyPath: 'priority' },
+    },
+  },
+  [STORES.CHUNKS]:        { keyPath: ['id', 'offset'] },
+  [STORES.BLOCKS]:        { keyPath: ['id', 'generation', 'offset'] },
+  [STORES.ARCHIVE_FILES]: { keyPath: 'id', indexes: { parentId: { keyPath: 'parentId' } } },
+  [STORES.META]:          { keyPath: 'key' },
 };
 
 /**
  * Overrides the default DB name and version number. 
+ * Only applies to the default IndexedDB adapter, before it is first used.
+ * The version is the app's own, for registerMigration() steps; the library
+ * versions its schema separately (see migrations.js).
+ * @param {object} ctx
  * @param {string|undefined} dbName Optional DB name. Default: 'offline-data-manager'
- * @param {number|undefined} dbVersion Optional DB version. Default: 1
+ * @param {number|undefined} dbVersion Optional DB version. Default: 7
  */
-export async function setDBInfo(dbName, dbVersion) {
-  DB_NAME = dbName ?? 'offline-data-manager';
-  DB_VERSION = dbVersion ?? 1;
+export async function setDBInfo(ctx, dbName, dbVersion) {
+  ctx.db.name = dbName ?? DEFAULT_DB_NAME;
+  ctx.db.version = dbVersion ?? DEFAULT_DB_VERSION;
 }
 
 /**
- * Opens (or returns the cached) database connection.
- * @returns {Promise<IDBDatabase>}
+ * Replaces the storage backend. Call it before registering or downloading
+ * anything: data is not copied between adapters, and the previous adapter is
+ * closed.
+ * @param {object} ctx
+ * @param {StorageAdapter} adapter — e.g. createMemoryAdapter()
  */
-export async function openDB() {
-  if (_db) return _db;
-
-  _db = await new Promise((resolve, reject) => {
-    const request = indexedDB.open(DB_NAME, DB_VERSION);
+export function setStorageAdapter(ctx, adapter) {
+  for (const method of ['open', 'get', 'getAll', 'getAllKeys', 'getAllByIndex', 'getAllInRange',
+    'getKeysInRange', 'put', 'putMany', 'delete', 'deleteRange']) {
+    if (typeof adapter?.[method] !== 'function') {
+      throw new Error(`setStorageAdapter: Adapter is missing the ${method}() method.`);
+    }
+  }
+  if (adapter === ctx.db.adapter) return;
 
-    request.onupgradeneeded = (event) => {
-      const db = event.target.result;
+  ctx.db.adapter?.close?.();
+  ctx.db.adapter = adapter;
+  ctx.db.opened = null;
+  resetAccounting(ctx);
+  resetBroadcast(ctx);
+}
 
-      if (!db.objectStoreNames.contains(STORES.REGISTRY)) {
-        const registryStore = db.createObjectStore(STORES.REGISTRY, { keyPath: 'id' });
-        registryStore.createIndex('protected', 'protected', { unique: false });
-        registryStore.createIndex('priority',  'priority',  { unique: false });
-      }
+/**
+ * Returns the active storage adapter (the IndexedDB default unless
+ * setStorageAdapter() was called).
+ * @param {object} ctx
+ * @returns {StorageAdapter}
+ */
+export function getStorageAdapter(ctx) {
+  ctx.db.adapter ??= createIndexedDBAdapter({ dbName: ctx.db.name, dbVersion: ctx.db.version });
+  return ctx.db.adapter;
+}
 
-      if (!db.objectStoreNames.contains(STORES.DOWNLOAD_QUEUE)) {
-        const queueStore = db.createObjectStore(STORES.DOWNLOAD_QUEUE, { keyPath: 'id' });
-        queueStore.createIndex('status',   'status',   { unique: false });
-        queueStore.createIndex('priority', 'priority', { unique: false });
-      }
+/**
+ * Opens the active adapter once and returns it. Opening a database whose
+ * library or app version is behind runs the migration steps (see migrations.js).
+ * @param {object} ctx
+ * @returns {Promise<StorageAdapter>}
+ * @throws {Error} with reason 'migration-failed' if a migration step fails
+ * @throws {Error} with reason 'upgrade-blocked' if another connection blocks the upgrade
+ */
+export async function openDB(ctx) {
+  const adapter = getStorageAdapter(ctx);
+  if (!ctx.db.opened) {
+    const steps = getMigrations(ctx);
+    const upgrade = {
+      isPending: (tx, versions) => isUpgradePending(tx, versions),
+      run: (tx, versions) => runMigrations(steps, tx, versions),
     };
+    const opened = adapter.open(SCHEMA, upgrade).catch((err) => {
+      if (ctx.db.opened === opened) ctx.db.opened = null; // let the next call try again
+      throw err;
+    });
+    ctx.db.opened = opened;
+  }
+  await ctx.db.opened;
+  return adapter;
+}
 
-    request.onsuccess = () => resolve(request.result);
-    request.onerror  = () => reject(request.error);
-  });
-
-  return _db;
+/**
+ * Closes the active adapter's connection. The next helper call opens it again.
+ * @param {object} ctx
+ */
+export function closeDB(ctx) {
+  ctx.db.adapter?.close?.();
+  ctx.db.opened = null;
+  resetAccounting(ctx);
 }
 
 /**
  * Get a single record by key.
+ * @param {object} ctx
  * @param {string} storeName
  * @param {string} key
  * @returns {Promise<any|undefined>}
  */
-export async function dbGet(storeName, key) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction(storeName, 'readonly').objectStore(storeName).get(key);
-    req.onsuccess = () => resolve(req.result);
-    req.onerror  = () => reject(req.error);
-  });
+export async function dbGet(ctx, storeName, key) {
+  return (await openDB(ctx)).get(storeName, key);
 }
 
 /**
  * Get all records from a store.
+ * @param {object} ctx
  * @param {string} storeName
  * @returns {Promise<any[]>}
  */
-export async function dbGetAll(storeName) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
-    req.onsuccess = () => resolve(req.result);
-    req.onerror  = () => reject(req.error);
-  });
+export async function dbGetAll(ctx, storeName) {
+  return (await openDB(ctx)).getAll(storeName);
 }
 
 /**
  * Get all record ids from a store.
+ * @param {object} ctx
  * @param {string} storeName
  * @returns {Promise<string[]>}
  */
-export async function dbGetAllIds(storeName) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction(storeName, 'readonly').objectStore(storeName).getAllKeys();
-    req.onsuccess = () => resolve(req.result);
-    req.onerror  = () => reject(req.error);
-  });
+export async function dbGetAllIds(ctx, storeName) {
+  return (await openDB(ctx)).getAllKeys(storeName);
+}
+
+/**
+ * Get all records whose index value equals `value`.
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {any} value
+ * @returns {Promise<any[]>}
+ */
+export async function dbGetAllByIndex(ctx, storeName, indexName, value) {
+  return (await openDB(ctx)).getAllByIndex(storeName, indexName, value);
+}
+
+/**
+ * Get all records whose key falls within [lower, upper] (inclusive).
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {any} lower
+ * @param {any} upper
+ * @returns {Promise<any[]>}
+ */
+export async function dbGetAllInRange(ctx, storeName, lower, upper) {
+  return (await openDB(ctx)).getAllInRange(storeName, lower, upper);
+}
+
+/**
+ * Get all keys within [lower, upper] (inclusive) without loading the record values.
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {any} lower
+ * @param {any} upper
+ * @returns {Promise<any[]>}
+ */
+export async function dbGetKeysInRange(ctx, storeName, lower, upper) {
+  return (await openDB(ctx)).getKeysInRange(storeName, lower, upper);
 }
 
 /**
  * Put (insert or replace) a record.
+ * @param {object} ctx
  * @param {string} storeName
  * @param {object} record
  * @returns {Promise<void>}
  */
-export async function dbPut(storeName, record) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction(storeName, 'readwrite').objectStore(storeName).put(record);
-    req.onsuccess = () => resolve();
-    req.onerror  = () => reject(req.error);
-    req.onerror  = () => reject(req.error);
-  });
+export async function dbPut(ctx, storeName, record) {
+  return (await openDB(ctx)).put(storeName, record);
+}
+
+/**
+ * Put (insert or replace) several records in a single transaction, so either
+ * all of them are written or none are.
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {object[]} records
+ * @returns {Promise<void>}
+ */
+export async function dbPutMany(ctx, storeName, records) {
+  return (await openDB(ctx)).putMany(storeName, records);
 }
 
 /**
  * Delete a record by key.
+ * @param {object} ctx
  * @param {string} storeName
  * @param {string} key
  * @returns {Promise<void>}
  */
-export async function dbDelete(storeName, key) {
-  const db = await openDB();
-  return new Promise((resolve, reject) => {
-    const req = db.transaction(storeName, 'readwrite').objectStore(storeName).delete(key);
-    req.onsuccess = () => resolve();
-    req.onerror  = () => reject(req.error);
-  });
+export async function dbDelete(ctx, storeName, key) {
+  return (await openDB(ctx)).delete(storeName, key);
+}
+
+/**
+ * Delete all records whose key falls within [lower, upper] (inclusive).
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {any} lower
+ * @param {any} upper
+ * @returns {Promise<void>}
+ */
+export async function dbDeleteRange(ctx, storeName, lower, upper) {
+  return (await openDB(ctx)).deleteRange(storeName, lower, upper);
 }
\ No newline at end of file
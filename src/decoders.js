@@ -0,0 +1,141 @@
+/**
+ * decoders.js
+ * Named decoders that turn stored file data into usable values, used by
+ * retrieveAs(), retrieveJSON() and retrieveText().
+ *
+ * Built-in formats:
+ *   'arraybuffer' — the raw ArrayBuffer
+ *   'blob'        — a Blob typed with the stored mimeType
+ *   'text'        — a string (TextDecoder, default encoding 'utf-8')
+ *   'json'        — JSON.parse() of the text
+ *   'xml'         — a Document (DOMParser; window contexts only)
+ *
+ * When no format is given, the stored mimeType picks one: custom decoders
+ * registered for that mimeType first, then the mimeTypes.js classification
+ * (json, xml, text), falling back to 'arraybuffer'.
+ *
+ * Custom decoders live on the instance's context (ctx.decoders), so one
+ * registered on an instance is not seen by the others.
+ */
+
+import { getMimeTypeFormat } from './mimeTypes.js';
+
+// ─── Errors ───────────────────────────────────────────────────────────────────
+
+/**
+ * Thrown when stored data cannot be decoded in the requested format.
+ * The original error is available as `cause`.
+ */
+export class DecodeError extends Error {
+  /**
+   * @param {string} message
+   * @param {{ id: string, mimeType: string, format: string, cause?: unknown }} details
+   */
+  constructor(message, { id, mimeType, format, cause }) {
+    super(message, { cause });
+    this.name = 'DecodeError';
+    this.id = id;
+    this.mimeType = mimeType;
+    this.format = format;
+  }
+}
+
+// ─── Decoder registry ─────────────────────────────────────────────────────────
+
+function decodeText(data, { encoding = 'utf-8' }) {
+  return new TextDecoder(encoding).decode(data);
+}
+
+// format → (data: ArrayBuffer, context) => any | Promise<any>
+const BUILT_IN_DECODERS = new Map([
+  ['arraybuffer', (data) => data],
+  ['blob', (data, { mimeType }) => new Blob([data], { type: mimeType ?? '' })],
+  ['text', decodeText],
+  ['json', (data, context) => JSON.parse(decodeText(data, context))],
+  ['xml', (data, context) => {
+    if (typeof DOMParser === 'undefined') {
+      throw new Error('DOMParser is not available in this context.');
+    }
+    const doc = new DOMParser().parseFromString(decodeText(data, context), 'application/xml');
+    const parserError = doc.getElementsByTagName('parsererror')[0];
+    if (parserError) throw new Error(parserError.textContent);
+    return doc;
+  }],
+]);
+
+// Registered decoders live on ctx.decoders:
+//
+//   formats   — format → decoder, consulted before the built-in ones
+//   mimeTypes — mimeType → format, from registerDecoder(..., { mimeTypes })
+
+/**
+ * Registers a decoder for a format name, e.g. 'csv', 'kml', or 'geojsonseq'.
+ * Registering an existing name (including a built-in one) replaces it.
+ *
+ * The decoder receives the stored ArrayBuffer and a context object
+ * { id, mimeType, format, encoding } and may return a value or a Promise.
+ *
+ * @param {object}   ctx
+ * @param {string}   format
+ * @param {Function} decode — (data: ArrayBuffer, context: object) => any
+ * @param {object}   [options]
+ * @param {string[]} [options.mimeTypes] — mime types that select this decoder
+ *   when retrieveAs() is called without a format
+ */
+export function registerDecoder(ctx, format, decode, { mimeTypes = [] } = {}) {
+  if (!format || typeof format !== 'string') {
+    throw new Error('registerDecoder: format must be a non-empty string.');
+  }
+  if (typeof decode !== 'function') {
+    throw new Error(`registerDecoder: decode for "${format}" must be a function.`);
+  }
+
+  ctx.decoders.formats.set(format, decode);
+  for (const mimeType of mimeTypes) {
+    ctx.decoders.mimeTypes.set(mimeType.toLowerCase(), format);
+  }
+}
+
+/**
+ * Picks the format to decode a mime type with when none was requested.
+ * @param {object} ctx
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export function resolveFormat(ctx, mimeType) {
+  const custom = ctx.decoders.mimeTypes.get((mimeType ?? '').toLowerCase());
+  if (custom) return custom;
+
+  const kind = getMimeTypeFormat(mimeType);
+  if (kind === 'xml') return typeof DOMParser === 'undefined' ? 'text' : 'xml';
+  return kind === 'binary' ? 'arraybuffer' : kind;
+}
+
+/**
+ * Decodes stored data with the named decoder.
+ * @param {object} ctx
+ * @param {ArrayBuffer} data
+ * @param {{ id: string, mimeType: string, format: string, encoding?: string }} context
+ * @returns {Promise<any>}
+ * @throws {DecodeError} if the format is unknown or decoding fails
+ */
+export async function decode(ctx, data, context) {
+  const { id, mimeType, format } = context;
+  const decoder = ctx.decoders.formats.get(format) ?? BUILT_IN_DECODERS.get(format);
+
+  if (!decoder) {
+    throw new DecodeError(
+      `No decoder registered for format "${format}" (file "${id}", ${mimeType}).`,
+      { id, mimeType, format }
+    );
+  }
+
+  try {
+    return await decoder(data, context);
+  } catch (err) {
+    throw new DecodeError(
+      `Failed to decode file "${id}" (${mimeType}) as ${format}: ${err.message}`,
+      { id, mimeType, format, cause: err }
+    );
+  }
+}
\ No newline at end of file
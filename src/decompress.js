@@ -0,0 +1,127 @@
+/**
+ * decompress.js
+ * Decompression of downloaded data for registry entries with a `decompress`
+ * option, using the platform DecompressionStream.
+ *
+ * The download is decompressed as it streams in, so the compressed file is
+ * never held in memory as a whole. Progress, the integrity check and resumable
+ * chunks always deal in the compressed bytes the server sent. 'auto'
+ * decompresses only data that starts with the gzip magic bytes and stores
+ * anything else unchanged.
+ */
+
+export const DECOMPRESS_FORMATS = ['gzip', 'deflate', 'auto'];
+
+// Content types that describe the compression wrapper rather than the content
+const COMPRESSED_MIME_TYPES = new Set([
+  'application/gzip',
+  'application/x-gzip',
+  'application/zlib',
+  'application/x-deflate',
+]);
+
+// File extensions added by compression, stripped to infer the inner mime type
+const COMPRESSED_EXTENSION = /\.(gz|gzip|z|zz|deflate)$/i;
+
+/**
+ * Returns 'gzip' if the data starts with the gzip magic bytes, otherwise null.
+ * @param {Uint8Array} bytes
+ * @returns {'gzip'|null}
+ */
+export function detectCompression(bytes) {
+  return bytes.byteLength >= 2 && bytes[0] === 0x1f && bytes[1] === 0x8b ? 'gzip' : null;
+}
+
+/**
+ * Returns true if a content type only describes the compression wrapper.
+ * @param {string|null} mimeType
+ * @returns {boolean}
+ */
+export function isCompressedMimeType(mimeType) {
+  return !!mimeType && COMPRESSED_MIME_TYPES.has(mimeType.toLowerCase());
+}
+
+/**
+ * Strips a compression extension from a URL's path, e.g.
+ * 'https://host/roads.geojson.gz?v=2' → 'https://host/roads.geojson'.
+ * @param {string} url
+ * @returns {string}
+ */
+export function stripCompressionExtension(url) {
+  const [path] = url.split(/[?#]/);
+  return path.replace(COMPRESSED_EXTENSION, '');
+}
+
+/**
+ * Decompresses a stream of downloaded data as it is read. 'auto' reads ahead
+ * until it has the first two bytes and passes data without the gzip magic
+ * bytes through unchanged.
+ *
+ * Errors of the source stream reach the reader unchanged; data that is not
+ * valid for the format fails the stream with reason 'decompression-failed'.
+ * @param {ReadableStream<Uint8Array>} source
+ * @param {'gzip'|'deflate'|'auto'} format
+ * @returns {Promise<{ stream: ReadableStream<Uint8Array>, decompressed: boolean }>}
+ *   decompressed is false when 'auto' found no gzip header
+ * @throws {Error} with reason 'decompression-failed' if DecompressionStream is unavailable
+ */
+export async function decompressStream(source, format) {
+  const reader = source.getReader();
+
+  // Chunks read ahead for 'auto', handed on before the rest of the source
+  const head = [];
+  let actual = format;
+  if (format === 'auto') {
+    let length = 0;
+    while (length < 2) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      head.push(value);
+      length += value.byteLength;
+    }
+    const start = head.flatMap((chunk) => [...chunk.subarray(0, 2)]).slice(0, 2);
+    actual = detectCompression(Uint8Array.from(start));
+  }
+
+  let sourceFailed = false;
+  const input = new ReadableStream({
+    async pull(controller) {
+      if (head.length > 0) return controller.enqueue(head.shift());
+      try {
+        const { done, value } = await reader.read();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (err) {
+        sourceFailed = true;
+        controller.error(err);
+      }
+    },
+    cancel: (reason) => reader.cancel(reason),
+  });
+  if (!actual) return { stream: input, decompressed: false };
+
+  if (typeof DecompressionStream === 'undefined') {
+    await reader.cancel().catch(() => {});
+    const unsupported = new Error('Decompression requires DecompressionStream, which this browser does not support.');
+    unsupported.reason = 'decompression-failed';
+    throw unsupported;
+  }
+
+  const output = input.pipeThrough(new DecompressionStream(actual)).getReader();
+  const stream = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await output.read();
+        if (done) controller.close();
+        else controller.enqueue(value);
+      } catch (err) {
+        if (sourceFailed) return controller.error(err);
+        const invalid = new Error(err.message, { cause: err });
+        invalid.reason = 'decompression-failed';
+        controller.error(invalid);
+      }
+    },
+    cancel: (reason) => output.cancel(reason),
+  });
+  return { stream, decompressed: true };
+}
\ No newline at end of file
@@ -12,36 +12,73 @@
  *   Non-protected entries (protected: false)
  *     BlArrayBufferob, queue entry, and registry entry are all removed.
  *
- *   In-progress downloads are aborted before deletion.
+ *   In-progress downloads are aborted before deletion, and the stored blocks and
+ *   any partially downloaded chunks are removed in both cases, along with any
+ *   files extracted from an archive. Object URLs handed out by getObjectURL()
+ *   are revoked. Extracted files cannot be deleted on their own.
  */
 
 import { dbGet, dbGetAllIds, dbDelete, dbPut, STORES } from './db.js';
-import { DOWNLOAD_STATUS } from './registry.js';
+import { DOWNLOAD_STATUS, syncStatusToRegistry } from './registry.js';
 import { abortDownload, abortAllDownloads } from './downloader.js';
 import { emit } from './events.js';
+import { clearChunks } from './chunks.js';
+import { deleteBlocks } from './blocks.js';
+import { revokeObjectURL } from './objectUrls.js';
+import { removeArchiveFiles } from './archive.js';
+import { setEntryUrlResolver } from './requests.js';
+import { trackRegistryRecord } from './accounting.js';
 
 // ─── Internal helpers ─────────────────────────────────────────────────────────
 
 /**
- * Resets a queue entry to pending, clearing the array buffer and all progress state.
- * Used for protected entries where the registry survives.
+ * Resets a queue entry to pending, clearing the array buffer and all progress state,
+ * and mirrors the reset onto the registry record.
+ * Used for protected and evicted entries, where the registry survives.
+ * @param {object} ctx
  * @param {string} id
  */
-async function resetQueueEntry(id) {
-  const existing = await dbGet(STORES.DOWNLOAD_QUEUE, id);
+async function resetQueueEntry(ctx, id) {
+  const existing = await dbGet(ctx, STORES.DOWNLOAD_QUEUE, id);
   if (!existing) return;
-  await dbPut(STORES.DOWNLOAD_QUEUE, {
-    ...existing,
+  const reset = {
     status:          DOWNLOAD_STATUS.PENDING,
     data:            null,
+    generation:      null,
+    storedIn:        null,
+    chunksIn:        null,
+    chunkSource:     null,
+    storedBytes:     0,
     bytesDownloaded: 0,
     byteOffset:      0,
     retryCount:      0,
     errorMessage:    null,
     deferredReason:  null,
+    blockedBy:       null,
     completedAt:     null,
     expiresAt:       null,
-  });
+    staleUntil:      null,
+    etag:            null,
+    lastModified:    null,
+    lastAccessedAt:  null,
+  };
+  await dbPut(ctx, STORES.DOWNLOAD_QUEUE, { ...existing, ...reset });
+
+  const { data: _omit, ...statusPatch } = reset;
+  await syncStatusToRegistry(ctx, id, statusPatch);
+}
+
+/**
+ * Removes a file's stored data: blocks, partial chunks, extracted archive
+ * files, and its object URL.
+ * @param {object} ctx
+ * @param {string} id
+ */
+async function removeStoredData(ctx, id) {
+  await clearChunks(ctx, id);
+  await deleteBlocks(ctx, id);
+  revokeObjectURL(ctx, id);
+  await removeArchiveFiles(ctx, id);
 }
 
 // ─── Public API ───────────────────────────────────────────────────────────────
@@ -49,40 +86,63 @@ async function resetQueueEntry(id) {
 /**
  * Deletes a single file's array buffer and optionally its registry entry.
  *
+ * @param {object} ctx
  * @param {string} id
  * @param {object}  [options]
  * @param {boolean} [options.removeProtected=false] — force registry removal for protected entries
  * @returns {Promise<{ id: string, registryRemoved: boolean }>}
  */
-export async function deleteFile(id, { removeProtected = false } = {}) {
-  const registryEntry = await dbGet(STORES.REGISTRY, id);
+export async function deleteFile(ctx, id, { removeProtected = false } = {}) {
+  const registryEntry = await dbGet(ctx, STORES.REGISTRY, id);
   if (!registryEntry) throw new Error(`deleteFile: No registered file with id "${id}".`);
 
-  await abortDownload(id);
+  await abortDownload(ctx, id);
 
   const shouldRemoveRegistry = removeProtected || !registryEntry.protected;
 
   if (shouldRemoveRegistry) {
-    await dbDelete(STORES.REGISTRY, id);
-    await dbDelete(STORES.DOWNLOAD_QUEUE, id);
+    await dbDelete(ctx, STORES.REGISTRY, id);
+    trackRegistryRecord(ctx, id, null);
+    await dbDelete(ctx, STORES.DOWNLOAD_QUEUE, id);
+    setEntryUrlResolver(ctx, id, null);
   } else {
     // Protected — wipe array buffer and reset queue; registry stays, re-downloads next run
-    await resetQueueEntry(id);
+    await resetQueueEntry(ctx, id);
   }
 
-  emit('deleted', { id, registryRemoved: shouldRemoveRegistry });
+  await removeStoredData(ctx, id);
+
+  emit(ctx, 'deleted', { id, registryRemoved: shouldRemoveRegistry });
   return { id, registryRemoved: shouldRemoveRegistry };
 }
 
+/**
+ * Removes a file's stored data but keeps its registration: the queue is reset
+ * to 'pending' as deleteFile() does for protected files, so the file downloads
+ * again once there is room. Used by eviction (see eviction.js); emits nothing.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export async function evictFileData(ctx, id) {
+  if (!(await dbGet(ctx, STORES.REGISTRY, id))) throw new Error(`evictFileData: No registered file with id "${id}".`);
+
+  await abortDownload(ctx, id);
+  await resetQueueEntry(ctx, id);
+  await removeStoredData(ctx, id);
+}
+
 /**
  * Deletes all files. Protected entries follow the same rules as deleteFile().
  *
+ * @param {object} ctx
  * @param {object}  [options]
  * @param {boolean} [options.removeProtected=false]
  * @returns {Promise<Array<{ id: string, registryRemoved: boolean }>>}
  */
-export async function deleteAllFiles({ removeProtected = false } = {}) {
-  await abortAllDownloads();
-  const allRegistryIds = await dbGetAllIds(STORES.REGISTRY);
-  return Promise.all(allRegistryIds.map((id) => deleteFile(id, { removeProtected })));
+export async function deleteAllFiles(ctx, { removeProtected = false } = {}) {
+  await abortAllDownloads(ctx);
+  const allRegistryIds = await dbGetAllIds(ctx, STORES.REGISTRY);
+  return Promise.all(allRegistryIds.map((id) => deleteFile(ctx, id, { removeProtected })));
 }
\ No newline at end of file
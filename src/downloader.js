@@ -4,7 +4,8 @@
  * downloads, exponential backoff retry, TTL expiry evaluation, storage-aware
  * deferral, resume on startup, and online/offline coordination.
  *
- * Files are stored as ArrayBuffers with no interpretation of their contents.
+ * Files are stored as raw bytes (in IndexedDB, or OPFS for large files) with no
+ * interpretation of their contents.
  * MIME type is taken from the registry entry when set, or inferred from the
  * Content-Type response header when the registry entry has mimeType: null.
  *
@@ -24,41 +25,135 @@
  */
 
 import { dbGet, dbGetAll, dbPut, STORES } from './db.js';
-import { DOWNLOAD_STATUS, evaluateExpiry, computeExpiresAt, syncStatusToRegistry } from './registry.js';
+import {
+  DOWNLOAD_STATUS,
+  evaluateExpiry,
+  computeExpiresAt,
+  computeStaleUntil,
+  syncStatusToRegistry,
+} from './registry.js';
 import { emit } from './events.js';
-import { hasEnoughSpace } from './storage.js';
+import { getStorageShortfall } from './storage.js';
+import { makeRoom } from './eviction.js';
+import { reserveBudget, getReservation, releaseBudget } from './budget.js';
 import { startConnectivityMonitor, isOnline } from './connectivity.js';
 import { getMimeType } from './mimeTypes.js';
+import {
+  CHUNK_SIZE,
+  saveChunk,
+  recordChunks,
+  getChunkOffsets,
+  chunkLength,
+  contiguousLength,
+  assembleChunks,
+  streamChunks,
+  clearChunks,
+} from './chunks.js';
+import { verifyIntegrity, createIntegrityHasher } from './integrity.js';
+import { BLOCK_SIZE, hasData, writeBlocks, deleteBlocks } from './blocks.js';
+import { isOPFSAvailable, createOPFSWriter, openOPFSChunkWriter, getOPFSFile } from './opfs.js';
+import { revokeObjectURL } from './objectUrls.js';
+import { decompressStream, isCompressedMimeType, stripCompressionExtension } from './decompress.js';
+import {
+  unpackArchive,
+  storeArchiveFiles,
+  getArchiveFiles,
+  assertChildIdsFree,
+  removeArchiveFiles,
+  removeReplacedArchiveData,
+} from './archive.js';
+import { parseFreshness } from './httpCache.js';
+import { createDownloadTarget, fetchForEntry } from './requests.js';
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 
-const CHUNK_SIZE = 2 * 1024 * 1024; // 2 MB per Range request
 const LARGE_FILE_THRESHOLD = 5 * 1024 * 1024; // Files > 5 MB use chunked Range requests
-const DEFAULT_CONCURRENCY = 2;
 const MAX_RETRY_COUNT = 5;
 const BACKOFF_BASE_MS = 1000;             // Doubles per retry: 1s, 2s, 4s, 8s, 16s
 
 // ─── Loop state ───────────────────────────────────────────────────────────────
 
-// Active AbortControllers keyed by file id
-const _activeDownloads = new Map();
+// Each instance keeps its loop state on its context (ctx.loop, see context.js):
+//
+//   activeDownloads — active AbortControllers keyed by file id
+//   running         — set when the loop is running; cleared by stopDownloads()
+//   wakeResolve     — resolves the pending Promise the idle loop waits on;
+//                     _notifyNewWork() triggers it, the loop awaits _wakeSignal()
+//
+// Shared concurrency budget. Every running file download holds one slot, and
+// each extra parallel Range request within a file borrows one more. drainQueue()
+// and downloadInChunks() draw from the same pool (concurrency, slotsInUse) so
+// `concurrency` is never exceeded. Files of at least opfsThreshold bytes are
+// stored in OPFS; null routes by entry only.
+
+function tryAcquireSlot(ctx) {
+  const loop = ctx.loop;
+  if (loop.slotsInUse >= loop.concurrency) return false;
+  loop.slotsInUse++;
+  return true;
+}
+
+function releaseSlot(ctx) {
+  const loop = ctx.loop;
+  loop.slotsInUse = Math.max(0, loop.slotsInUse - 1);
+  loop.onSlotReleased?.();
+}
 
-// Set when the loop is running; cleared by stopDownloads()
-let _loopRunning = false;
+// Shared bandwidth budget. With maxBytesPerSecond set, every response body
+// read (downloadFull) and every Range request (downloadInChunks) first takes
+// its bytes from one schedule: bandwidthAvailableAt is when the bytes taken so
+// far have been paid for at the limit, and a caller waits until then before
+// taking more. All downloads of the instance share it, so together they stay
+// under the limit. Changing the limit wakes the waiters (bandwidthWaiters).
+
+/**
+ * Waits until `bytes` may be transferred under the bandwidth limit. Resolves
+ * at once without a limit.
+ * @throws {DOMException} AbortError if the signal aborts while waiting
+ */
+async function takeBandwidth(ctx, bytes, signal) {
+  const loop = ctx.loop;
+  while (loop.maxBytesPerSecond) {
+    const now = Date.now();
+    if (loop.bandwidthAvailableAt <= now) {
+      loop.bandwidthAvailableAt = now + (bytes / loop.maxBytesPerSecond) * 1000;
+      return;
+    }
+    await waitForBandwidth(ctx, loop.bandwidthAvailableAt - now, signal);
+  }
+}
 
-// Wake mechanism — a pending Promise that resolves when new work arrives.
-// _notifyNewWork() triggers it; the loop awaits _wakeSignal() when idle.
-let _wakeResolve = null;
+/** Sleeps for ms, or until the signal aborts or setBandwidthLimit() is called. */
+function waitForBandwidth(ctx, ms, signal) {
+  const waiters = ctx.loop.bandwidthWaiters;
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) { reject(new DOMException('Download aborted.', 'AbortError')); return; }
+
+    const finish = (err) => {
+      clearTimeout(timer);
+      waiters.delete(wake);
+      signal?.removeEventListener('abort', onAbort);
+      if (err) reject(err); else resolve();
+    };
+    const wake = () => finish();
+    const onAbort = () => finish(new DOMException('Download aborted.', 'AbortError'));
+    const timer = setTimeout(wake, ms);
+
+    waiters.add(wake);
+    signal?.addEventListener('abort', onAbort);
+  });
+}
 
-function _wakeSignal() {
-  return new Promise((resolve) => { _wakeResolve = resolve; });
+function _wakeSignal(ctx) {
+  return new Promise((resolve) => { ctx.loop.wakeResolve = resolve; });
 }
 
 /** Called by registerFile() and the connectivity monitor to wake the loop. */
-export function _notifyNewWork() {
-  if (_wakeResolve) {
-    const resolve = _wakeResolve;
-    _wakeResolve = null;
+export function _notifyNewWork(ctx) {
+  const loop = ctx.loop;
+  if (loop.wakeResolve) {
+    const resolve = loop.wakeResolve;
+    loop.wakeResolve = null;
     resolve();
   }
 }
@@ -74,41 +169,108 @@ const backoffDelay = (n) => BACKOFF_BASE_MS * Math.pow(2, n);
  * The `data` field is intentionally excluded from the registry mirror since
  * it is a large ArrayBuffer and the registry is status-only.
  */
-async function updateQueue(id, patch) {
-  const entry = await dbGet(STORES.DOWNLOAD_QUEUE, id);
+async function updateQueue(ctx, id, patch) {
+  const entry = await dbGet(ctx, STORES.DOWNLOAD_QUEUE, id);
   if (!entry) return;
-  await dbPut(STORES.DOWNLOAD_QUEUE, { ...entry, ...patch });
+  await dbPut(ctx, STORES.DOWNLOAD_QUEUE, { ...entry, ...patch });
 
   // Mirror all fields except `data` onto the registry record
   const { data: _omit, ...statusPatch } = patch;
   if (Object.keys(statusPatch).length > 0) {
-    await syncStatusToRegistry(id, statusPatch);
+    await syncStatusToRegistry(ctx, id, statusPatch);
   }
 }
 
+/** Sets an entry to 'deferred' and emits 'deferred'. */
+async function deferEntry(ctx, id, reason) {
+  await updateQueue(ctx, id, { status: DOWNLOAD_STATUS.DEFERRED, deferredReason: reason });
+  emit(ctx, 'deferred', { id, reason });
+}
+
 /**
- * Probes a URL with HEAD to determine Range support, content size, and MIME type.
+ * Reserves room in the storage budget for a download (see budget.js),
+ * evicting lower-priority files if it does not fit.
+ * @returns {Promise<boolean>} false if the download must be deferred
+ */
+async function claimBudget(ctx, registryEntry, bytes) {
+  let over = await reserveBudget(ctx, registryEntry, bytes);
+  if (over > 0 && await makeRoom(ctx, registryEntry, over)) {
+    over = await reserveBudget(ctx, registryEntry, bytes);
+  }
+  return over === 0;
+}
+
+/**
+ * Probes a download target's URL with HEAD to determine Range support, content size, MIME type,
+ * the ETag / Last-Modified validators, and freshness from the caching headers.
  *
  * Content-Length is only reliable when the server is NOT applying
  * content-encoding. When Content-Encoding is present it reflects the compressed
  * transfer size, not the stored bytes — so we return totalBytes: null and let
  * progress show as indeterminate.
+ *
+ * When conditional `headers` are passed and the server answers 304, the result
+ * has notModified: true and the stored copy is still current.
  */
-async function probeFile(url, signal) {
+async function probeFile(ctx, target, signal, headers = {}) {
   try {
-    const res = await fetch(url, { method: 'HEAD', signal });
+    const res = await fetchForEntry(ctx, target, { method: 'HEAD', signal, headers });
+    if (res.status === 304) return { notModified: true, freshness: parseFreshness(res.headers) };
+
     const acceptsRanges = res.headers.get('Accept-Ranges') === 'bytes';
     const encoding = res.headers.get('Content-Encoding');
     const isEncoded = !!encoding && encoding !== 'identity';
     const contentLength = res.headers.get('Content-Length');
     const totalBytes = (contentLength && !isEncoded) ? parseInt(contentLength, 10) : null;
     const mimeType = parseMimeType(res.headers.get('Content-Type'));
-    return { supportsRange: acceptsRanges, totalBytes, mimeType };
+    return {
+      supportsRange: acceptsRanges,
+      totalBytes,
+      mimeType,
+      freshness: parseFreshness(res.headers),
+      ...readValidators(res),
+    };
   } catch {
-    return { supportsRange: false, totalBytes: null, mimeType: null };
+    return { supportsRange: false, totalBytes: null, mimeType: null, freshness: null, etag: null, lastModified: null };
   }
 }
 
+/** Reads the ETag and Last-Modified validators from a response. */
+function readValidators(response) {
+  return {
+    etag: response.headers.get('ETag'),
+    lastModified: response.headers.get('Last-Modified'),
+  };
+}
+
+/**
+ * Builds If-None-Match / If-Modified-Since headers from the validators saved
+ * on a queue entry when its data was last downloaded.
+ */
+function conditionalHeaders(queueEntry) {
+  const headers = {};
+  if (queueEntry?.etag) headers['If-None-Match'] = queueEntry.etag;
+  if (queueEntry?.lastModified) headers['If-Modified-Since'] = queueEntry.lastModified;
+  return headers;
+}
+
+/**
+ * Returns the If-Range value for the validators a chunked download started
+ * with: a strong ETag, else Last-Modified; null if there is neither.
+ */
+function ifRangeValue({ etag, lastModified }) {
+  if (etag && !etag.startsWith('W/')) return etag;
+  return lastModified ?? null;
+}
+
+/** Returns true if a response's validators differ from the ones a download started with. */
+function validatorsChanged({ etag, lastModified }, response) {
+  const current = readValidators(response);
+  if (etag && current.etag) return etag !== current.etag;
+  if (lastModified && current.lastModified) return lastModified !== current.lastModified;
+  return false;
+}
+
 /**
  * Strips charset and other parameters from a Content-Type header value.
  * e.g. 'application/json; charset=utf-8' → 'application/json'
@@ -119,6 +281,25 @@ function parseMimeType(contentType) {
   return mime || null;
 }
 
+/**
+ * Decides where a download's data is stored. Entries that extract are unpacked
+ * in memory, and compressed files fetched in Range chunks keep the chunks in
+ * the chunks store to decompress them, so both always use IndexedDB;
+ * otherwise the entry's `storage` option wins, then the opfsThreshold. OPFS
+ * falls back to IndexedDB where it is unavailable.
+ * @param {object} ctx
+ * @param {object} registryEntry
+ * @param {number} totalBytes
+ * @param {boolean} chunked — whether the file is fetched in Range chunks
+ * @returns {'indexeddb'|'opfs'}
+ */
+function chooseStorage(ctx, registryEntry, totalBytes, chunked) {
+  if ((registryEntry.decompress && chunked) || registryEntry.extract || !isOPFSAvailable()) return 'indexeddb';
+  if (registryEntry.storage) return registryEntry.storage;
+  const { opfsThreshold } = ctx.loop;
+  return opfsThreshold !== null && totalBytes >= opfsThreshold ? 'opfs' : 'indexeddb';
+}
+
 /** Merges an array of Uint8Array chunks into a single contiguous Uint8Array. */
 function mergeChunks(chunks) {
   const totalLength = chunks.reduce((n, c) => n + c.byteLength, 0);
@@ -128,142 +309,384 @@ function mergeChunks(chunks) {
   return merged;
 }
 
+/** Returns a TransformStream that passes every chunk on once `onChunk` has seen it. */
+function tapStream(onChunk) {
+  return new TransformStream({
+    async transform(chunk, controller) {
+      await onChunk(chunk);
+      controller.enqueue(chunk);
+    },
+  });
+}
+
+/**
+ * Reads a stream of file data into an OPFS writer, or into memory without one.
+ * Returns { uint8, dataBytes } where uint8 is null when the data went to OPFS.
+ * If reading or writing fails the writer is aborted and the stream cancelled.
+ */
+async function drainStream(stream, writer) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let dataBytes = 0;
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      if (writer) await writer.write(value);
+      else chunks.push(value);
+      dataBytes += value.byteLength;
+    }
+    await writer?.close();
+  } catch (err) {
+    await writer?.abort().catch(() => {});
+    await reader.cancel(err).catch(() => {});
+    throw err;
+  }
+
+  return { uint8: writer ? null : mergeChunks(chunks), dataBytes };
+}
+
 // ─── Core download logic ──────────────────────────────────────────────────────
 
 /**
  * Downloads a single file with retry/backoff. On success stores the result as
- * an ArrayBuffer with a resolved mimeType directly on the queue record.
+ * a new generation of blocks (see blocks.js) and records the resolved mimeType
+ * on the queue record.
  *
  * MIME type resolution order:
  *   1. registryEntry.mimeType if explicitly set
  *   2. Content-Type from the HEAD probe
  *   3. Content-Type from the GET response headers
  *   4. 'application/octet-stream' as a final fallback
+ *
+ * When the entry has an `integrity` value the data is hashed before it is
+ * stored. A mismatch is treated like any other failed attempt (retry with
+ * backoff) and the error event carries reason: 'integrity-mismatch'.
+ *
+ * When the entry has a `decompress` value the data is decompressed as it
+ * streams in, while the integrity check hashes the compressed bytes (see
+ * decompress.js). Range chunks are stored compressed and decompressed once
+ * they are all in, read back one at a time. The mimeType then describes the inner
+ * content: compression content types are skipped and a '.gz'-style extension
+ * is stripped before inferring from the URL. Failures retry like any other
+ * attempt with reason: 'decompression-failed'.
+ *
+ * Files routed to OPFS (see chooseStorage() and opfs.js) are written to disk
+ * as they arrive and are never assembled in memory; an integrity check hashes
+ * them on their way to disk.
+ *
+ * When the entry has `extract: true` the (decompressed) ZIP archive is unpacked
+ * into child files (see archive.js) that are switched over together with the
+ * parent's data; children the new archive no longer contains are removed. An
+ * unreadable archive retries with reason: 'extract-failed'.
+ *
+ * Every request carries the entry's `request` options and the auth provider's
+ * headers (see requests.js); a 401 is retried once with refreshed headers
+ * before it counts as a failed attempt. With a URL resolver, each attempt
+ * fetches a freshly resolved URL, which is replaced mid-download when the
+ * server rejects it as expired; the registry's downloadUrl is never changed.
+ *
+ * Refreshing an expired entry is conditional: the ETag / Last-Modified saved
+ * with the stored data are sent as If-None-Match / If-Modified-Since, and a 304
+ * only moves completedAt and expiresAt forward (see markRevalidated()).
  */
-async function downloadSingleFile(registryEntry) {
-  const { id, downloadUrl, ttl } = registryEntry;
+async function downloadSingleFile(ctx, registryEntry) {
+  const { id, downloadUrl, ttl, integrity, decompress, extract } = registryEntry;
   const abortController = new AbortController();
-  _activeDownloads.set(id, abortController);
+  ctx.loop.activeDownloads.set(id, abortController);
 
-  let queueEntry = await dbGet(STORES.DOWNLOAD_QUEUE, id);
+  let queueEntry = await dbGet(ctx, STORES.DOWNLOAD_QUEUE, id);
   let retryCount = queueEntry?.retryCount ?? 0;
+  let restarted = false;
+
+  // Only a TTL refresh of data we still hold can be answered with a 304
+  const revalidateHeaders = (queueEntry?.status === DOWNLOAD_STATUS.EXPIRED && hasData(queueEntry))
+    ? conditionalHeaders(queueEntry)
+    : {};
 
   while (retryCount <= MAX_RETRY_COUNT) {
     try {
-      await updateQueue(id, {
+      await updateQueue(ctx, id, {
         status: DOWNLOAD_STATUS.IN_PROGRESS,
         lastAttemptAt: Date.now(),
         retryCount,
         errorMessage: null,
       });
-      emit('status', { id, status: DOWNLOAD_STATUS.IN_PROGRESS });
+      emit(ctx, 'status', { id, status: DOWNLOAD_STATUS.IN_PROGRESS });
+
+      // Re-read to get current totalBytes in case we're resuming. Stored chunks
+      // from an earlier attempt mean the server supports Range requests, so the
+      // probe can be skipped.
+      queueEntry = await dbGet(ctx, STORES.DOWNLOAD_QUEUE, id);
+      let totalBytes = queueEntry?.totalBytes ?? registryEntry.totalBytes ?? null;
+      let storage = queueEntry?.chunksIn ?? 'indexeddb';
+
+      // The new data is written as the next generation; the current one stays
+      // readable until the queue record is switched over.
+      const previousGeneration = queueEntry?.generation ?? null;
+      const generation = (previousGeneration ?? 0) + 1;
+
+      // Chunks written into an OPFS file can only be resumed where OPFS is available
+      let resuming = (await getChunkOffsets(ctx, id)).length > 0;
+      if (resuming && (!totalBytes || (storage === 'opfs' && !isOPFSAvailable()))) {
+        await clearChunks(ctx, id, storage === 'opfs' ? generation : null);
+        resuming = false;
+      }
 
-      // Re-read to get current byteOffset in case we're resuming
-      queueEntry = await dbGet(STORES.DOWNLOAD_QUEUE, id);
-      const byteOffset = queueEntry?.byteOffset ?? 0;
+      // Resolved for every attempt; a resumed download continues from the
+      // stored chunks with the new URL
+      const target = await createDownloadTarget(ctx, registryEntry);
 
       let supportsRange = false;
-      let totalBytes = queueEntry?.totalBytes ?? registryEntry.totalBytes ?? null;
+      let validators = { etag: null, lastModified: null };
+      let freshness = null;
 
       //See if user specified the mime type in the registry info.
       let resolvedMimeType = registryEntry.mimeType ?? null;
 
-      if (byteOffset === 0) {
-        const probe = await probeFile(downloadUrl, abortController.signal);
+      if (!resuming) {
+        const probe = await probeFile(ctx, target, abortController.signal, revalidateHeaders);
+        if (probe.notModified) {
+          await markRevalidated(ctx, registryEntry, probe.freshness);
+          return;
+        }
+
         supportsRange = probe.supportsRange;
+        validators = { etag: probe.etag, lastModified: probe.lastModified };
+        freshness = probe.freshness;
         if (probe.totalBytes) {
           totalBytes = probe.totalBytes;
-          await updateQueue(id, { totalBytes });
+          await updateQueue(ctx, id, { totalBytes });
+
+          // drainQueue() reserved less (or nothing, for an unknown size)
+          if (totalBytes > (getReservation(ctx, id) ?? Infinity) && !(await claimBudget(ctx, registryEntry, totalBytes))) {
+            await deferEntry(ctx, id, 'budget-exceeded');
+            ctx.loop.activeDownloads.delete(id);
+            return;
+          }
         }
 
         //See if there is mime type info in the file header we can capture.
         if (!resolvedMimeType && probe.mimeType) {
           resolvedMimeType = probe.mimeType;
         }
+
       } else {
         supportsRange = true;
+        // Saved when the download started (see below)
+        const source = queueEntry.chunkSource ?? {};
+        validators = { etag: source.etag ?? null, lastModified: source.lastModified ?? null };
+        resolvedMimeType ??= source.mimeType ?? null;
       }
 
-      const useChunking = supportsRange && totalBytes && totalBytes > LARGE_FILE_THRESHOLD;
-      let uint8;
+      const useChunking = !!(supportsRange && totalBytes && totalBytes > LARGE_FILE_THRESHOLD);
+      if (!resuming) storage = chooseStorage(ctx, registryEntry, totalBytes ?? 0, useChunking);
+      let uint8;          // null when the data went straight to OPFS
+      let size;           // bytes the server sent
+      let dataBytes;      // bytes stored, after decompression
+      let decompressed = false;
       let responseMimeType = null;
+      const opfsGeneration = storage === 'opfs' ? generation : null;
+      // Data in OPFS, and compressed data, is hashed as it streams rather than
+      // assembled to be hashed
+      const hasher = integrity && (opfsGeneration !== null || decompress) ? createIntegrityHasher(integrity) : null;
+
+      try {
+        if (useChunking) {
+          // A resume skips the probe, so keep what it found with the chunks
+          if (!resuming) {
+            await updateQueue(ctx, id, {
+              chunksIn: storage,
+              chunkSource: { ...validators, mimeType: resolvedMimeType },
+            });
+          }
+          const rangeConcurrency = registryEntry.rangeConcurrency ?? ctx.loop.rangeConcurrency;
+          const result = await downloadInChunks(ctx, target, totalBytes, validators, rangeConcurrency, abortController.signal, opfsGeneration, hasher, decompress);
+          ({ uint8, size, dataBytes, decompressed } = result);
+          freshness = result.freshness ?? freshness;
+        } else {
+          const result = await downloadFull(ctx, target, abortController.signal, revalidateHeaders, opfsGeneration, hasher, decompress);
+          if (result.notModified) {
+            await markRevalidated(ctx, registryEntry, result.freshness);
+            return;
+          }
 
-      if (useChunking) {
-        uint8 = await downloadInChunks(id, downloadUrl, byteOffset, totalBytes, abortController.signal);
-      } else {
-        const result = await downloadFull(id, downloadUrl, abortController.signal);
-        uint8 = result.uint8;
-        responseMimeType = result.mimeType;
+          ({ uint8, size, dataBytes, decompressed } = result);
+          responseMimeType = result.mimeType;
+          validators = result.validators;
+          freshness = result.freshness;
+        }
+      } catch (err) {
+        if (err?.reason !== 'decompression-failed') throw err;
+        // Drop the stored chunks (and OPFS file) so the retry fetches fresh bytes
+        await clearChunks(ctx, id, opfsGeneration);
+        const failure = new Error(`Decompression failed for "${id}" (${decompress}): ${err.message}`, { cause: err });
+        failure.reason = 'decompression-failed';
+        throw failure;
+      }
+
+      const verified = !integrity || (hasher ? hasher.matches() : await verifyIntegrity(uint8, integrity));
+      if (!verified) {
+        // Drop the stored chunks (and OPFS file) so the retry fetches fresh bytes
+        await clearChunks(ctx, id, opfsGeneration);
+        const mismatch = new Error(`Integrity check failed for "${id}": data does not match ${integrity}`);
+        mismatch.reason = 'integrity-mismatch';
+        throw mismatch;
+      }
+
+      let archiveFiles = null;
+      if (extract) {
+        try {
+          archiveFiles = await unpackArchive(uint8);
+          await assertChildIdsFree(ctx, id, archiveFiles);
+        } catch (err) {
+          await clearChunks(ctx, id);
+          const failure = new Error(`Extracting "${id}" failed: ${err.message}`);
+          failure.reason = 'extract-failed';
+          throw failure;
+        }
       }
 
+      // A decompressed file's header types usually describe the wrapper, not the content
+      const contentType = (type) =>
+        (decompressed && (isCompressedMimeType(type) || type === 'application/octet-stream') ? null : type);
+
       //If we still don't have the mime type, try inspecting the download url for a file extention. Defaults to 'application/octet-stream'
-      let fileNameMimeType = getMimeType(downloadUrl);
+      let fileNameMimeType = getMimeType(decompressed ? stripCompressionExtension(downloadUrl) : downloadUrl);
 
-      // uint8.buffer gives us the underlying ArrayBuffer
-      const mimeType = resolvedMimeType ?? responseMimeType ?? fileNameMimeType;
-      const data = uint8.buffer;
+      const mimeType = contentType(resolvedMimeType) ?? contentType(responseMimeType) ?? fileNameMimeType;
       const completedAt = Date.now();
-      const expiresAt = computeExpiresAt(completedAt, ttl);
+      const expiresAt = computeExpiresAt(completedAt, ttl, freshness);
+      const staleUntil = computeStaleUntil(expiresAt, registryEntry, freshness);
+
+      // Write the new generation before switching to it; the previous data stays
+      // readable until the queue record points at the new blocks.
+      if (opfsGeneration === null) await writeBlocks(ctx, id, generation, uint8);
+
+      const previousChildren = await getArchiveFiles(ctx, id);
+      const children = archiveFiles ? await storeArchiveFiles(ctx, id, generation, archiveFiles) : null;
+      // Extracted files are stored as well, so they count towards the parent
+      const childBytes = (archiveFiles ?? []).reduce((sum, file) => sum + file.data.byteLength, 0);
 
-      await updateQueue(id, {
+      await updateQueue(ctx, id, {
         status: DOWNLOAD_STATUS.COMPLETE,
-        data,
+        data: null,
+        generation,
+        blockSize: BLOCK_SIZE,
+        storedIn: storage,
+        chunksIn: null,
+        chunkSource: null,
         mimeType,
-        bytesDownloaded: data.byteLength,
-        byteOffset: data.byteLength,
-        storedBytes: data?.byteLength,
+        bytesDownloaded: size,
+        byteOffset: size,
+        storedBytes: dataBytes + childBytes,
         completedAt,
         expiresAt,
+        staleUntil,
+        etag: validators.etag ?? null,
+        lastModified: validators.lastModified ?? null,
         errorMessage: null,
         deferredReason: null,
       });
 
-      emit('complete', { id, mimeType });
-      _activeDownloads.delete(id);
+      await clearChunks(ctx, id);
+      if (previousGeneration !== null) await deleteBlocks(ctx, id, previousGeneration);
+      revokeObjectURL(ctx, id);
+      await removeReplacedArchiveData(ctx, previousChildren, generation);
+      await removeArchiveFiles(ctx, id, generation);
+
+      emit(ctx, 'complete', children ? { id, mimeType, children } : { id, mimeType });
+      ctx.loop.activeDownloads.delete(id);
       return;
 
     } catch (err) {
       if (err?.name === 'QuotaExceededError') {
         //We reached the storage limits. Need to stop all downloads and trigger event.
-        await stopDownloads();
-        await updateQueue(id, {
+        await stopDownloads(ctx);
+        await updateQueue(ctx, id, {
           status: DOWNLOAD_STATUS.DEFERRED,
           deferredReason: 'insufficient-storage',
         });
-        emit('error', { id: id, reason: 'insufficient-storage', willRetry: false });
+        emit(ctx, 'error', { id: id, reason: 'insufficient-storage', willRetry: false });
         return;
       } else if (err?.name === 'AbortError') {
-        await updateQueue(id, { status: DOWNLOAD_STATUS.PAUSED });
-        emit('status', { id, status: DOWNLOAD_STATUS.PAUSED });
-        _activeDownloads.delete(id);
+        await updateQueue(ctx, id, { status: DOWNLOAD_STATUS.PAUSED });
+        emit(ctx, 'status', { id, status: DOWNLOAD_STATUS.PAUSED });
+        ctx.loop.activeDownloads.delete(id);
         return;
+      } else if (err?.reason === 'resource-changed' && !restarted) {
+        // The stored chunks belong to an older version of the file: start over,
+        // once, without counting it as a failed attempt
+        restarted = true;
+        await clearChunks(ctx, id);
+        continue;
       }
 
       retryCount++;
 
       if (retryCount > MAX_RETRY_COUNT) {
-        await updateQueue(id, {
+        await updateQueue(ctx, id, {
           status: DOWNLOAD_STATUS.FAILED,
           retryCount,
           errorMessage: err.message,
         });
-        emit('error', { id, error: err, retryCount });
-        _activeDownloads.delete(id);
+        emit(ctx, 'error', { id, error: err, retryCount, reason: err.reason });
+        ctx.loop.activeDownloads.delete(id);
         return;
       }
 
       const delay = backoffDelay(retryCount - 1);
       console.warn(`[offline-data-manager] "${id}" failed (attempt ${retryCount}), retrying in ${delay}ms:`, err.message);
-      emit('error', { id, error: err, retryCount, willRetry: true });
-      await updateQueue(id, { status: DOWNLOAD_STATUS.PENDING, retryCount, errorMessage: err.message });
+      emit(ctx, 'error', { id, error: err, retryCount, willRetry: true, reason: err.reason });
+      await updateQueue(ctx, id, { status: DOWNLOAD_STATUS.PENDING, retryCount, errorMessage: err.message });
       await sleep(delay);
     }
   }
 }
 
-/** Downloads the full file in a single GET request. Returns { uint8, mimeType }. */
-async function downloadFull(id, downloadUrl, signal) {
-  const response = await fetch(downloadUrl, { signal });
+/**
+ * Marks a refreshed entry as current after the server answered 304 Not Modified.
+ * The stored data is left untouched; only the TTL clock is restarted, using the
+ * caching headers on the 304 for entries with ttl: 'http'.
+ */
+async function markRevalidated(ctx, registryEntry, freshness) {
+  const { id, ttl } = registryEntry;
+  const completedAt = Date.now();
+  const expiresAt = computeExpiresAt(completedAt, ttl, freshness);
+  const staleUntil = computeStaleUntil(expiresAt, registryEntry, freshness);
+
+  await updateQueue(ctx, id, {
+    status: DOWNLOAD_STATUS.COMPLETE,
+    completedAt,
+    expiresAt,
+    staleUntil,
+    retryCount: 0,
+    errorMessage: null,
+    deferredReason: null,
+  });
+
+  emit(ctx, 'revalidated', { id, expiresAt });
+  ctx.loop.activeDownloads.delete(id);
+}
+
+/**
+ * Downloads the full file in a single GET request.
+ * Returns { uint8, size, dataBytes, decompressed, mimeType, validators, freshness },
+ * or { notModified: true, freshness } when conditional `headers` were sent and
+ * the server answered 304. size counts the bytes the server sent, dataBytes
+ * the bytes stored.
+ *
+ * With an `opfsGeneration` the body is streamed into that generation's OPFS
+ * file instead of being collected in memory, and uint8 is null. A `hasher`
+ * (see createIntegrityHasher()) is fed the body as it arrives. With a
+ * `decompress` format the body is decompressed on its way to the file or
+ * memory (see decompressStream()).
+ */
+async function downloadFull(ctx, target, signal, headers = {}, opfsGeneration = null, hasher = null, decompress = null) {
+  const { id } = target.entry;
+  const response = await fetchForEntry(ctx, target, { signal, headers });
+  if (response.status === 304) return { notModified: true, freshness: parseFreshness(response.headers) };
   if (!response.ok) throw new Error(`HTTP ${response.status} ${response.statusText}`);
 
   const encoding = response.headers.get('Content-Encoding');
@@ -272,76 +695,277 @@ async function downloadFull(id, downloadUrl, signal) {
   const totalBytes = (rawLength && !isEncoded) ? parseInt(rawLength, 10) : null;
   const mimeType = parseMimeType(response.headers.get('Content-Type'));
 
-  const reader = response.body.getReader();
-  const chunks = [];
   let downloaded = 0;
-
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
-    chunks.push(value);
+  // Counted and hashed as the server sent them, before any decompression
+  let body = response.body.pipeThrough(tapStream(async (value) => {
+    // Not reading on while over the limit lets the stream's backpressure slow the transfer
+    await takeBandwidth(ctx, value.byteLength, signal);
+    hasher?.update(value);
     downloaded += value.byteLength;
-    await updateQueue(id, { bytesDownloaded: downloaded, totalBytes });
-    emit('progress', {
+    await updateQueue(ctx, id, { bytesDownloaded: downloaded, totalBytes });
+    emit(ctx, 'progress', {
       id,
       bytesDownloaded: downloaded,
       totalBytes,
       percent: totalBytes ? Math.round((downloaded / totalBytes) * 100) : null,
     });
+  }));
+
+  let decompressed = false;
+  if (decompress) ({ stream: body, decompressed } = await decompressStream(body, decompress));
+
+  const writer = opfsGeneration !== null ? await createOPFSWriter(ctx, id, opfsGeneration) : null;
+  const { uint8, dataBytes } = await drainStream(body, writer);
+
+  return {
+    uint8,
+    size: downloaded,
+    dataBytes,
+    decompressed,
+    mimeType,
+    validators: readValidators(response),
+    freshness: parseFreshness(response.headers),
+  };
+}
+
+/**
+ * Downloads a file in Range request chunks. Returns
+ * { uint8, size, dataBytes, decompressed, freshness } where uint8 is the
+ * assembled file, size and dataBytes count the bytes fetched and stored, and
+ * freshness is read from the caching headers of the last Range response (null
+ * if every chunk was already stored).
+ *
+ * With an `opfsGeneration` each chunk is written at its offset into that
+ * generation's OPFS file (see openOPFSChunkWriter()), and uint8 is null. A
+ * `hasher` (see createIntegrityHasher()) is fed the chunks in file order: each
+ * one that arrives in order is hashed from memory, and whatever was not (a
+ * resumed prefix, chunks that arrived out of order) is streamed back from the
+ * file, never loaded whole.
+ *
+ * With a `decompress` format (chunks in the chunks store only, see
+ * chooseStorage()) the stored chunks are read back one at a time, hashed and
+ * decompressed instead of being assembled.
+ *
+ * Each chunk is persisted as soon as it arrives, and chunks already stored by an
+ * earlier attempt are skipped, so a resumed download only fetches what is
+ * missing. Every Range request carries If-Range with the `validators` the
+ * download started with. A response with the whole file (200) or other
+ * validators means the file changed since, and fails with reason
+ * 'resource-changed' so the stored chunks are discarded. Up to `rangeConcurrency` chunks are fetched at once: the first runs on
+ * the slot this file already holds, extra ones borrow free slots from the shared
+ * concurrency budget and return them as soon as they run out of work.
+ *
+ * byteOffset on the queue entry tracks the contiguous prefix that is stored;
+ * bytesDownloaded counts every stored chunk, including out-of-order ones.
+ */
+async function downloadInChunks(ctx, target, totalBytes, validators, rangeConcurrency, signal, opfsGeneration = null, hasher = null, decompress = null) {
+  const { id } = target.entry;
+  const stored = new Set(await getChunkOffsets(ctx, id));
+  const pending = [];
+  let downloaded = 0;
+
+  // Bytes fed to the hasher so far, always a prefix of the file. Chunks kept
+  // in the chunks store are hashed as they are read back at the end.
+  let hashed = 0;
+  if (hasher && opfsGeneration !== null) {
+    hashed = contiguousLength(stored, totalBytes);
+    await hashOPFSFile(ctx, id, opfsGeneration, hasher, 0, hashed);
   }
 
-  return { uint8: mergeChunks(chunks), mimeType };
-}
+  const writer = opfsGeneration !== null ? await openOPFSChunkWriter(ctx, id, opfsGeneration, totalBytes) : null;
+  // Chunks written through a writer that is not durable, recorded once it closes
+  const unrecorded = [];
 
-/** Downloads a file in sequential Range request chunks. Returns a Uint8Array. */
-async function downloadInChunks(id, downloadUrl, startOffset, totalBytes, signal) {
-  let offset = startOffset;
-  const chunks = [];
-  let downloaded = startOffset;
+  for (let offset = 0; offset < totalBytes; offset += CHUNK_SIZE) {
+    if (stored.has(offset)) downloaded += chunkLength(offset, totalBytes);
+    else pending.push(offset);
+  }
+
+  let failure = null;
+  let freshness = null;
+  const ifRange = ifRangeValue(validators);
 
-  while (offset < totalBytes) {
-    const end = Math.min(offset + CHUNK_SIZE - 1, totalBytes - 1);
-    const response = await fetch(downloadUrl, {
+  async function fetchChunk(offset) {
+    const end = offset + chunkLength(offset, totalBytes) - 1;
+    await takeBandwidth(ctx, end - offset + 1, signal);
+    const response = await fetchForEntry(ctx, target, {
       signal,
-      headers: { Range: `bytes=${offset}-${end}` },
+      headers: { Range: `bytes=${offset}-${end}`, ...(ifRange ? { 'If-Range': ifRange } : {}) },
     });
 
-    if (!response.ok && response.status !== 206) {
+    if (!response.ok) {
       throw new Error(`HTTP ${response.status} on Range bytes=${offset}-${end}`);
     }
+    if (response.status !== 206 || validatorsChanged(validators, response)) {
+      await response.body?.cancel();
+      const changed = new Error(`"${id}" changed on the server since its download started`);
+      changed.reason = 'resource-changed';
+      throw changed;
+    }
+
+    freshness = parseFreshness(response.headers);
 
     const chunk = new Uint8Array(await response.arrayBuffer());
-    chunks.push(chunk);
-    offset += chunk.byteLength;
-    downloaded += chunk.byteLength;
+    if (chunk.byteLength !== end - offset + 1) {
+      throw new Error(`Incomplete Range response for bytes=${offset}-${end} (got ${chunk.byteLength} bytes)`);
+    }
+
+    if (!writer) {
+      await saveChunk(ctx, id, offset, chunk);
+    } else {
+      await writer.write(offset, chunk);
+      if (writer.durable) await recordChunks(ctx, id, [offset]);
+      else unrecorded.push(offset);
+    }
+    stored.add(offset);
+
+    if (hasher && writer && offset === hashed) {
+      hasher.update(chunk);
+      hashed += chunk.byteLength;
+    }
+
+    // Snapshot before awaiting — other workers keep updating the shared totals
+    const bytesDownloaded = (downloaded += chunk.byteLength);
+    const byteOffset = contiguousLength(stored, totalBytes);
 
-    await updateQueue(id, { bytesDownloaded: downloaded, byteOffset: offset });
-    emit('progress', {
+    await updateQueue(ctx, id, { bytesDownloaded, byteOffset });
+    emit(ctx, 'progress', {
       id,
-      bytesDownloaded: downloaded,
+      bytesDownloaded,
       totalBytes,
-      percent: Math.round((downloaded / totalBytes) * 100),
+      percent: Math.round((bytesDownloaded / totalBytes) * 100),
     });
   }
 
-  return mergeChunks(chunks);
+  async function worker() {
+    while (!failure && pending.length > 0) {
+      try {
+        await fetchChunk(pending.shift());
+      } catch (err) {
+        failure ??= err;
+      }
+      addWorkers();
+    }
+  }
+
+  const workers = [];
+  let active = 0;
+
+  function startWorker(borrowedSlot) {
+    active++;
+    workers.push(worker().finally(() => {
+      active--;
+      if (borrowedSlot) releaseSlot(ctx);
+    }));
+  }
+
+  // Called after every chunk so a file picks up slots freed by other downloads
+  function addWorkers() {
+    while (!failure && active < rangeConcurrency && pending.length > 0 && tryAcquireSlot(ctx)) {
+      startWorker(true);
+    }
+  }
+
+  startWorker(false);
+  addWorkers();
+
+  // Workers may be added while awaiting, so wait until the list stops growing
+  for (let i = 0; i < workers.length; i++) await workers[i];
+
+  if (writer) {
+    // Closed after a failure too: the chunks written so far are kept for a resume
+    try {
+      await writer.close();
+      await recordChunks(ctx, id, unrecorded);
+    } catch (err) {
+      failure ??= err;
+    }
+  }
+  if (failure) throw failure;
+
+  if (writer) {
+    await hashOPFSFile(ctx, id, opfsGeneration, hasher, hashed, totalBytes);
+    return { uint8: null, size: totalBytes, dataBytes: totalBytes, decompressed: false, freshness };
+  }
+  if (!decompress) {
+    const uint8 = await assembleChunks(ctx, id);
+    return { uint8, size: uint8.byteLength, dataBytes: uint8.byteLength, decompressed: false, freshness };
+  }
+
+  let data = streamChunks(ctx, id);
+  if (hasher) data = data.pipeThrough(tapStream((chunk) => hasher.update(chunk)));
+  const { stream, decompressed } = await decompressStream(data, decompress);
+  const { uint8, dataBytes } = await drainStream(stream, null);
+  return { uint8, size: totalBytes, dataBytes, decompressed, freshness };
+}
+
+/**
+ * Feeds bytes [start, end) of an OPFS generation to an integrity hasher,
+ * streaming them from disk. Does nothing without a hasher or bytes to hash.
+ */
+async function hashOPFSFile(ctx, id, generation, hasher, start, end) {
+  if (!hasher || start >= end) return;
+
+  const reader = (await getOPFSFile(ctx, id, generation)).slice(start, end).stream().getReader();
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) return;
+    hasher.update(value);
+  }
 }
 
 // ─── Queue drain ──────────────────────────────────────────────────────────────
 
+/**
+ * Classifies an entry by the current status of its dependsOn entries.
+ * Dependencies that are not registered (yet) count as waiting.
+ * @param {object} registryEntry
+ * @param {Map<string, string>} statusOf — id → current queue status
+ * @returns {{ state: 'ready'|'waiting'|'failed', failed: string[] }}
+ */
+function dependencyState(registryEntry, statusOf) {
+  const failed = [];
+  let waiting = false;
+
+  for (const dep of registryEntry.dependsOn ?? []) {
+    const status = statusOf.get(dep);
+    if (status === DOWNLOAD_STATUS.FAILED || status === DOWNLOAD_STATUS.BLOCKED) {
+      failed.push(dep);
+    } else if (status !== DOWNLOAD_STATUS.COMPLETE) {
+      waiting = true;
+    }
+  }
+
+  if (failed.length) return { state: 'failed', failed };
+  return { state: waiting ? 'waiting' : 'ready', failed };
+}
+
 /**
  * Runs one drain cycle: evaluates TTL expiry, reads the queue, and downloads
- * all eligible entries up to `concurrency` in parallel.
+ * all eligible entries in parallel, each taking a slot from the shared
+ * concurrency budget.
+ *
+ * Entries with dependsOn only start once all their dependencies are complete,
+ * so a file can wait for others finishing in the same cycle. If a dependency
+ * has failed (or is itself blocked) the entry is set to 'blocked'; blocked
+ * entries go back to 'pending' once no dependency has failed any more. An
+ * expired entry keeps its status (and its usable data) instead of being
+ * blocked.
+ *
+ * An entry that does not fit in the storage budget (see budget.js) or the
+ * available storage first tries to evict lower-priority files (see
+ * eviction.js) and is deferred with reason 'budget-exceeded' or
+ * 'insufficient-storage' if that cannot make room.
  *
  * Returns when all eligible entries have been processed (completed, failed,
  * or deferred). Does not loop — startDownloads() calls this repeatedly.
  */
-async function drainQueue(concurrency) {
-  await evaluateExpiry();
+async function drainQueue(ctx) {
+  await evaluateExpiry(ctx);
 
   const [allRegistry, allQueue] = await Promise.all([
-    dbGetAll(STORES.REGISTRY),
-    dbGetAll(STORES.DOWNLOAD_QUEUE),
+    dbGetAll(ctx, STORES.REGISTRY),
+    dbGetAll(ctx, STORES.DOWNLOAD_QUEUE),
   ]);
 
   const registryMap = new Map(allRegistry.map((r) => [r.id, r]));
@@ -353,43 +977,107 @@ async function drainQueue(concurrency) {
       DOWNLOAD_STATUS.PAUSED,
       DOWNLOAD_STATUS.DEFERRED,
       DOWNLOAD_STATUS.EXPIRED,
+      DOWNLOAD_STATUS.BLOCKED,
     ].includes(q.status))
     .sort((a, b) => (registryMap.get(a.id)?.priority ?? 10) - (registryMap.get(b.id)?.priority ?? 10));
 
   if (eligible.length === 0) return;
 
-  const queue = [...eligible];
+  const queue = eligible.filter((q) => registryMap.has(q.id));
+  const statusOf = new Map(allQueue.map((q) => [q.id, q.status]));
   const inFlight = new Set();
 
+  let runNext;
+
+  const track = (p) => {
+    inFlight.add(p);
+    p.finally(() => { inFlight.delete(p); runNext(); });
+  };
+
+  // Moves entries whose dependencies failed to 'blocked', and blocked entries
+  // whose dependencies recovered back to 'pending'.
+  const settleDependencies = () => {
+    for (let i = 0; i < queue.length;) {
+      const queueEntry = queue[i];
+      const { state, failed } = dependencyState(registryMap.get(queueEntry.id), statusOf);
+
+      if (state === 'failed') {
+        queue.splice(i, 1);
+        if (queueEntry.status !== DOWNLOAD_STATUS.EXPIRED && queueEntry.status !== DOWNLOAD_STATUS.BLOCKED) {
+          statusOf.set(queueEntry.id, DOWNLOAD_STATUS.BLOCKED);
+          track(updateQueue(ctx, queueEntry.id, { status: DOWNLOAD_STATUS.BLOCKED, blockedBy: failed })
+            .then(() => emit(ctx, 'status', { id: queueEntry.id, status: DOWNLOAD_STATUS.BLOCKED })));
+        }
+        continue;
+      }
+
+      if (queueEntry.status === DOWNLOAD_STATUS.BLOCKED) {
+        queueEntry.status = DOWNLOAD_STATUS.PENDING;
+        statusOf.set(queueEntry.id, DOWNLOAD_STATUS.PENDING);
+        track(updateQueue(ctx, queueEntry.id, { status: DOWNLOAD_STATUS.PENDING, blockedBy: null })
+          .then(() => emit(ctx, 'status', { id: queueEntry.id, status: DOWNLOAD_STATUS.PENDING })));
+      }
+      i++;
+    }
+  };
+
   await new Promise((resolve) => {
-    function runNext() {
-      if (!_loopRunning) { resolve(); return; }
-      if (queue.length === 0) { if (inFlight.size === 0) resolve(); return; }
-      if (inFlight.size >= concurrency) return;
+    runNext = function () {
+      if (!ctx.loop.running) { resolve(); return; }
+
+      settleDependencies();
+      const index = queue.findIndex(
+        (q) => dependencyState(registryMap.get(q.id), statusOf).state === 'ready'
+      );
+
+      // Nothing can start now; entries still waiting on dependencies outside
+      // this cycle are picked up by a later one.
+      if (index === -1) { if (inFlight.size === 0) resolve(); return; }
+      if (!tryAcquireSlot(ctx)) return;
 
-      const queueEntry = queue.shift();
+      const [queueEntry] = queue.splice(index, 1);
       const registryEntry = registryMap.get(queueEntry.id);
-      if (!registryEntry) { runNext(); return; }
+      statusOf.set(queueEntry.id, DOWNLOAD_STATUS.IN_PROGRESS);
 
       const p = (async () => {
+        // Deleted (or evicted) since this cycle read the queue
+        if (!(await dbGet(ctx, STORES.DOWNLOAD_QUEUE, queueEntry.id))) return;
+
         const needed = registryEntry.totalBytes ?? queueEntry.totalBytes ?? 0;
-        if (needed > 0 && !(await hasEnoughSpace(needed))) {
-          await updateQueue(queueEntry.id, {
-            status: DOWNLOAD_STATUS.DEFERRED,
-            deferredReason: 'insufficient-storage',
-          });
-          emit('deferred', { id: queueEntry.id, reason: 'insufficient-storage' });
+        if (!(await claimBudget(ctx, registryEntry, needed))) {
+          await deferEntry(ctx, queueEntry.id, 'budget-exceeded');
+          return;
+        }
+
+        const shortfall = needed > 0 ? await getStorageShortfall(needed) : 0;
+        if (shortfall > 0 && !(await makeRoom(ctx, registryEntry, shortfall))) {
+          await deferEntry(ctx, queueEntry.id, 'insufficient-storage');
           return;
         }
-        await downloadSingleFile(registryEntry);
-      })().finally(() => { inFlight.delete(p); runNext(); });
+        await downloadSingleFile(ctx, registryEntry);
+      })().catch((err) => {
+        // Not a download failure (downloadSingleFile handles those), e.g. a
+        // storage error: the entry keeps its status and a later cycle retries it
+        emit(ctx, 'error', { id: queueEntry.id, error: err, willRetry: true, reason: err?.reason });
+      }).finally(async () => {
+        releaseBudget(ctx, queueEntry.id);
+        // Dependents of this entry may now be able to start (or be blocked)
+        const current = await dbGet(ctx, STORES.DOWNLOAD_QUEUE, queueEntry.id).catch(() => null);
+        statusOf.set(queueEntry.id, current?.status);
+        inFlight.delete(p);
+        releaseSlot(ctx);
+      });
 
       inFlight.add(p);
       runNext(); // fill remaining concurrency slots immediately
-    }
+    };
 
+    // Slots freed by this drain or by parallel Range requests start the next file
+    ctx.loop.onSlotReleased = runNext;
     runNext();
   });
+
+  if (ctx.loop.onSlotReleased === runNext) ctx.loop.onSlotReleased = null;
 }
 
 // ─── Public API ───────────────────────────────────────────────────────────────
@@ -405,37 +1093,58 @@ async function drainQueue(concurrency) {
  *
  * Idempotent — subsequent calls while already running are a no-op.
  *
+ * Option defaults come from createOfflineDataManager() (see index.js).
+ *
+ * @param {object} ctx
  * @param {object} [options]
- * @param {number} [options.concurrency=2] — max parallel downloads
+ * @param {number} [options.concurrency=2] — max parallel requests across all downloads
+ * @param {number} [options.rangeConcurrency=1] — max parallel Range requests within a
+ *   single chunked file; registry entries can override it. Extra Range requests
+ *   share the `concurrency` budget with whole-file downloads.
+ * @param {number|null} [options.opfsThreshold=null] — store files of at least this many
+ *   bytes in the Origin Private File System instead of IndexedDB, where available.
+ *   null leaves the choice to each entry's `storage` option.
+ * @param {number|null} [options.maxBytesPerSecond=null] — bandwidth limit shared by all
+ *   downloads; null means unlimited. Change it later with setBandwidthLimit().
  */
-export function startDownloads({ concurrency = DEFAULT_CONCURRENCY } = {}) {
-  if (_loopRunning) return;
-  _loopRunning = true;
+export function startDownloads(ctx, {
+  concurrency = ctx.loop.defaults.concurrency,
+  rangeConcurrency = ctx.loop.defaults.rangeConcurrency,
+  opfsThreshold = ctx.loop.defaults.opfsThreshold,
+  maxBytesPerSecond = ctx.loop.defaults.maxBytesPerSecond,
+} = {}) {
+  const loop = ctx.loop;
+  if (loop.running) return;
+  setBandwidthLimit(ctx, maxBytesPerSecond);
+  loop.running = true;
+  loop.concurrency = Math.max(1, concurrency);
+  loop.rangeConcurrency = Math.max(1, rangeConcurrency);
+  loop.opfsThreshold = opfsThreshold;
 
   (async () => {
-    while (_loopRunning) {
-      if (!isOnline()) {
+    while (ctx.loop.running) {
+      if (!isOnline(ctx)) {
         // Offline — pause anything in-progress and wait for the online event
-        const allQueue = await dbGetAll(STORES.DOWNLOAD_QUEUE);
+        const allQueue = await dbGetAll(ctx, STORES.DOWNLOAD_QUEUE);
         for (const entry of allQueue) {
           if (entry.status === DOWNLOAD_STATUS.IN_PROGRESS) {
-            _activeDownloads.get(entry.id)?.abort();
-            _activeDownloads.delete(entry.id);
-            await updateQueue(entry.id, {
+            ctx.loop.activeDownloads.get(entry.id)?.abort();
+            ctx.loop.activeDownloads.delete(entry.id);
+            await updateQueue(ctx, entry.id, {
               status: DOWNLOAD_STATUS.PAUSED,
               deferredReason: 'network-offline',
             });
           }
         }
-        emit('connectivity', { online: false });
-        await _wakeSignal();
+        emit(ctx, 'connectivity', { online: false });
+        await _wakeSignal(ctx);
         continue;
       }
 
-      await drainQueue(concurrency);
+      await drainQueue(ctx);
 
       // Queue is empty — wait for new work before looping again
-      if (_loopRunning) await _wakeSignal();
+      if (ctx.loop.running) await _wakeSignal(ctx);
     }
   })();
 }
@@ -446,56 +1155,79 @@ export function startDownloads({ concurrency = DEFAULT_CONCURRENCY } = {}) {
  * In-flight downloads are aborted and set to 'paused'. They will resume
  * automatically when startDownloads() is called again.
  */
-export async function stopDownloads() {
-  _loopRunning = false;
-  _notifyNewWork(); // unblock the loop if it's waiting on _wakeSignal
-  await abortAllDownloads();
-  emit('stopped', {});
+export async function stopDownloads(ctx) {
+  ctx.loop.running = false;
+  _notifyNewWork(ctx); // unblock the loop if it's waiting on _wakeSignal
+  await abortAllDownloads(ctx);
+  emit(ctx, 'stopped', {});
+}
+
+/**
+ * Sets (or with null, removes) the bandwidth limit shared by all downloads.
+ * Takes effect immediately, also for downloads in progress.
+ * @param {object} ctx
+ * @param {number|null} maxBytesPerSecond
+ */
+export function setBandwidthLimit(ctx, maxBytesPerSecond) {
+  if (maxBytesPerSecond !== null
+    && !(typeof maxBytesPerSecond === 'number' && Number.isFinite(maxBytesPerSecond) && maxBytesPerSecond > 0)) {
+    throw new Error('setBandwidthLimit: maxBytesPerSecond must be a positive number or null.');
+  }
+  const loop = ctx.loop;
+  loop.maxBytesPerSecond = maxBytesPerSecond;
+  // Restart the schedule at the new rate; waiters take their bytes again
+  loop.bandwidthAvailableAt = 0;
+  for (const wake of [...loop.bandwidthWaiters]) wake();
 }
 
 /**
  * Re-queues all failed entries and wakes the loop to retry them.
  * Only meaningful when the loop is running via startDownloads().
+ * @param {object} ctx
+ * @param {string[]} [ids] — only retry these entries (used by retryGroup())
  */
-export async function retryFailed() {
-  const allQueue = await dbGetAll(STORES.DOWNLOAD_QUEUE);
+export async function retryFailed(ctx, ids) {
+  const only = ids ? new Set(ids) : null;
+  const allQueue = await dbGetAll(ctx, STORES.DOWNLOAD_QUEUE);
   for (const entry of allQueue) {
-    if (entry.status === DOWNLOAD_STATUS.FAILED) {
-      await updateQueue(entry.id, {
+    if (entry.status === DOWNLOAD_STATUS.FAILED && (!only || only.has(entry.id))) {
+      await updateQueue(ctx, entry.id, {
         status: DOWNLOAD_STATUS.PENDING,
         retryCount: 0,
         errorMessage: null,
       });
     }
   }
-  _notifyNewWork();
+  _notifyNewWork(ctx);
 }
 
 /**
  * Returns true if the download loop is currently running.
+ * @param {object} ctx
  * @returns {boolean}
  */
-export function isDownloading() {
-  return _loopRunning;
+export function isDownloading(ctx) {
+  return ctx.loop.running;
 }
 
 /**
  * Aborts a single active download, setting it to 'paused'.
  * The loop will pick it up again on the next drain cycle.
+ * @param {object} ctx
  * @param {string} id
  */
-export async function abortDownload(id) {
-  _activeDownloads.get(id)?.abort();
-  _activeDownloads.delete(id);
+export async function abortDownload(ctx, id) {
+  ctx.loop.activeDownloads.get(id)?.abort();
+  ctx.loop.activeDownloads.delete(id);
 }
 
 /**
  * Aborts all active downloads, setting them to 'paused'.
  */
-export async function abortAllDownloads() {
-  for (const [id, ctrl] of _activeDownloads) {
+export async function abortAllDownloads(ctx) {
+  for (const [id, ctrl] of ctx.loop.activeDownloads) {
     ctrl.abort();
-    _activeDownloads.delete(id);
+    ctx.loop.activeDownloads.delete(id);
   }
 }
 
@@ -508,10 +1240,10 @@ export async function abortAllDownloads() {
  * Idempotent — safe to call multiple times.
  * Emits 'connectivity' events: { online: boolean }.
  */
-export function startMonitoring() {
-  startConnectivityMonitor({
-    pauseAll: abortAllDownloads,
-    resumeAll: _notifyNewWork,
+export function startMonitoring(ctx) {
+  startConnectivityMonitor(ctx, {
+    pauseAll: () => abortAllDownloads(ctx),
+    resumeAll: () => _notifyNewWork(ctx),
   });
 }
 
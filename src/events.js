@@ -4,45 +4,57 @@
  *
  * Events emitted:
  *   'progress'   — { id, bytesDownloaded, totalBytes, percent }
- *   'complete'   — { id }
- *   'error'      — { id, error, retryCount, willRetry? }
- *   'deferred'   — { id, reason }
+ *   'complete'   — { id, mimeType, children? }
+ *                  children lists the extracted child ids for entries with extract: true
+ *   'error'      — { id, error, retryCount, willRetry?, reason? } — id is null when no one file failed
+ *                  reason is set for known failure kinds: 'integrity-mismatch',
+ *                  'decompression-failed', 'extract-failed', 'auth-failed', 'url-resolve-failed'
+ *   'deferred'   — { id, reason } — reason: 'insufficient-storage' or 'budget-exceeded'
  *   'expired'    — { id }
+ *   'revalidated'— { id, expiresAt } — server answered 304; stored data kept, TTL restarted
  *   'registered' — { id, reason: 'new' | 'version-updated' }
  *   'deleted'    — { id, registryRemoved }
+ *   'evicted'    — { id, freedBytes, requestedBy } — data removed to make room for the
+ *                  higher-priority download requestedBy; stays registered (see eviction.js)
  *   'status'     — { id, status }
+ *   'group-progress' — { group, files, ready, statusCounts, bytesDownloaded, totalBytes,
+ *                      progress, progressBasis }
+ *                  combined state of a group, coalesced to at most one event per 250 ms
  */
 
-const _listeners = new Map();
+// Listeners live on the instance's context (ctx.listeners, see context.js).
 
 /**
  * Subscribe to an event. Returns an unsubscribe function.
+ * @param {object} ctx
  * @param {string} event
  * @param {Function} listener
  * @returns {Function}
  */
-export function on(event, listener) {
-  if (!_listeners.has(event)) _listeners.set(event, new Set());
-  _listeners.get(event).add(listener);
-  return () => off(event, listener);
+export function on(ctx, event, listener) {
+  if (!ctx.listeners.has(event)) ctx.listeners.set(event, new Set());
+  ctx.listeners.get(event).add(listener);
+  return () => off(ctx, event, listener);
 }
 
 /**
  * Unsubscribe from an event.
+ * @param {object} ctx
  * @param {string} event
  * @param {Function} listener
  */
-export function off(event, listener) {
-  _listeners.get(event)?.delete(listener);
+export function off(ctx, event, listener) {
+  ctx.listeners.get(event)?.delete(listener);
 }
 
 /**
  * Emit an event to all registered listeners.
+ * @param {object} ctx
  * @param {string} event
  * @param {object} data
  */
-export function emit(event, data) {
-  _listeners.get(event)?.forEach((listener) => {
+export function emit(ctx, event, data) {
+  ctx.listeners.get(event)?.forEach((listener) => {
     try { listener(data); } catch (err) {
       console.error(`[offline-data-manager] Error in "${event}" listener:`, err);
     }
@@ -51,10 +63,11 @@ export function emit(event, data) {
 
 /**
  * Subscribe to an event once; auto-removes after first call.
+ * @param {object} ctx
  * @param {string} event
  * @param {Function} listener
  */
-export function once(event, listener) {
-  const wrapper = (data) => { listener(data); off(event, wrapper); };
-  on(event, wrapper);
+export function once(ctx, event, listener) {
+  const wrapper = (data) => { listener(data); off(ctx, event, wrapper); };
+  on(ctx, event, wrapper);
 }
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * eviction.js
+ * Frees storage for higher-priority downloads by evicting lower-priority
+ * files, and records when files were last read.
+ *
+ * When the download loop finds too little space for an entry, in the browser
+ * quota or in the storage budget (see budget.js), it calls makeRoom() before
+ * deferring the entry (see drainQueue() in downloader.js). Eviction
+ * candidates are entries that:
+ *   - are not protected — protected entries are never evicted,
+ *   - have a lower priority (a higher priority number) than the entry,
+ *   - have stored data and are not downloading,
+ *   - are not one of the entry's dependsOn.
+ * The eviction policy orders the candidates, and they are evicted in that
+ * order until the shortfall is covered. If all candidates together cannot
+ * cover it, nothing is evicted and the entry is deferred as before.
+ *
+ * Evicting a file removes its data the way delete() does for a protected file
+ * and keeps its registration: the file goes back to 'pending' and downloads
+ * again in a later drain cycle once there is room for it. Each eviction emits
+ * 'evicted'.
+ *
+ * Policies:
+ *   'lru'    — default; least recently read first (see recordAccess()), files
+ *              never read by completion time, ties lowest priority first
+ *   function — (candidates, { entry, requiredBytes }) => candidates in eviction
+ *              order, or a Promise of them. Candidates are getStatus() objects;
+ *              ones left out are kept, unknown ids are ignored. requiredBytes
+ *              is how many bytes must be freed.
+ *   null     — never evict
+ */
+
+import { dbGet, dbGetAll, dbPut, STORES } from './db.js';
+import { processStatus } from './registry.js';
+import { evictFileData } from './deleter.js';
+import { emit } from './events.js';
+import { trackRegistryRecord } from './accounting.js';
+
+// lastAccessedAt is only rewritten once it is this much out of date, so files
+// read many times a second (tiles, Range requests) do not write on every read
+const ACCESS_RESOLUTION_MS = 60 * 1000;
+
+// The policy (a name from EVICTION_POLICIES, a function, or null) lives on the
+// instance's context (ctx.eviction), along with the ids being evicted right
+// now so parallel makeRoom() calls skip them.
+
+// ─── Policies ─────────────────────────────────────────────────────────────────
+
+/** Orders candidates least recently used first. */
+function lru(candidates) {
+  const lastUsed = (c) => c.lastAccessedAt ?? c.completedAt ?? 0;
+  return [...candidates].sort((a, b) => (lastUsed(a) - lastUsed(b)) || (b.priority - a.priority));
+}
+
+export const EVICTION_POLICIES = { lru };
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Sets the eviction policy.
+ * @param {object} ctx
+ * @param {'lru'|((candidates: object[], context: { entry: object, requiredBytes: number }) => object[]|Promise<object[]>)|null} policy
+ */
+export function setEvictionPolicy(ctx, policy) {
+  if (policy !== null && typeof policy !== 'function' && !Object.hasOwn(EVICTION_POLICIES, policy)) {
+    throw new Error(`setEvictionPolicy: policy must be ${Object.keys(EVICTION_POLICIES).map((p) => `'${p}'`).join(', ')}, a function, or null.`);
+  }
+  ctx.eviction.policy = policy;
+}
+
+/**
+ * Records that a file was read. Called by the retrieve APIs with the queue
+ * record they read; the time is written to the queue and registry records.
+ * @param {object} ctx
+ * @param {string} id — the registry id (the parent's, for a file extracted from an archive)
+ * @param {number|null} lastAccessedAt — the time currently recorded
+ */
+export async function recordAccess(ctx, id, lastAccessedAt) {
+  const now = Date.now();
+  if (lastAccessedAt && now - lastAccessedAt < ACCESS_RESOLUTION_MS) return;
+
+  // Not through syncStatusToRegistry(): a read is no reason for 'group-progress'
+  const queueEntry = await dbGet(ctx, STORES.DOWNLOAD_QUEUE, id);
+  if (queueEntry) await dbPut(ctx, STORES.DOWNLOAD_QUEUE, { ...queueEntry, lastAccessedAt: now });
+  const reg = await dbGet(ctx, STORES.REGISTRY, id);
+  if (reg) {
+    const updated = { ...reg, lastAccessedAt: now };
+    await dbPut(ctx, STORES.REGISTRY, updated);
+    trackRegistryRecord(ctx, id, updated);
+  }
+}
+
+/**
+ * Evicts lower-priority files to free `shortfall` bytes for a download.
+ * @param {object} ctx
+ * @param {object} registryEntry — the entry about to be downloaded
+ * @param {number} shortfall — bytes missing, from getStorageShortfall() or reserveBudget()
+ * @returns {Promise<boolean>} true if that many bytes were freed
+ */
+export async function makeRoom(ctx, registryEntry, shortfall) {
+  const { evicting } = ctx.eviction;
+  const policy = typeof ctx.eviction.policy === 'string'
+    ? EVICTION_POLICIES[ctx.eviction.policy]
+    : ctx.eviction.policy;
+  if (!policy) return false;
+
+  const dependsOn = new Set(registryEntry.dependsOn ?? []);
+  const candidates = (await dbGetAll(ctx, STORES.REGISTRY))
+    .filter((reg) => !reg.protected
+      && reg.priority > registryEntry.priority
+      && reg.storedBytes > 0
+      && !ctx.loop.activeDownloads.has(reg.id)
+      && !evicting.has(reg.id)
+      && !dependsOn.has(reg.id))
+    .map(processStatus);
+
+  if (candidates.reduce((sum, c) => sum + c.storedBytes, 0) < shortfall) return false;
+
+  const byId = new Map(candidates.map((c) => [c.id, c]));
+  const ordered = await policy(candidates.map((c) => ({ ...c })), { entry: processStatus(registryEntry), requiredBytes: shortfall });
+
+  const victims = [];
+  for (const { id } of ordered ?? []) {
+    if (shortfall <= 0) break;
+    const candidate = byId.get(id);
+    if (!candidate || evicting.has(id)) continue;
+    evicting.add(id);
+    victims.push(candidate);
+    shortfall -= candidate.storedBytes;
+  }
+
+  // The policy kept too much to make room: evict nothing
+  if (shortfall > 0) {
+    for (const { id } of victims) evicting.delete(id);
+    return false;
+  }
+
+  try {
+    for (const { id, storedBytes } of victims) {
+      try {
+        await evictFileData(ctx, id);
+      } catch {
+        // Deleted or changed meanwhile; the next drain cycle checks the space again
+        shortfall += storedBytes;
+        continue;
+      }
+      emit(ctx, 'evicted', { id, freedBytes: storedBytes, requestedBy: registryEntry.id });
+    }
+  } finally {
+    for (const { id } of victims) evicting.delete(id);
+  }
+
+  return shortfall <= 0;
+}
\ No newline at end of file
@@ -0,0 +1,254 @@
+/**
+ * fetchHandler.js
+ * Service worker fetch handler that answers requests from stored files.
+ *
+ * Requests are matched against the registered downloadUrls (or a custom
+ * mapUrl function) and answered from IndexedDB with the stored mimeType. Range
+ * requests get 206 Partial Content responses, so libraries that read PMTiles,
+ * COG, or FlatGeobuf by byte range work offline against the normal URLs.
+ * Files that are not ready yet fall back to the network.
+ *
+ * Usage (in the service worker):
+ *
+ *   const handleFetch = createFetchHandler();
+ *   self.addEventListener('fetch', (event) => { handleFetch(event); });
+ *
+ * The service worker must use the same DB name as the page (see setDBInfo()).
+ */
+
+import { dbGetAll, STORES } from './db.js';
+import { on, emit } from './events.js';
+import { onRegistryChange } from './broadcast.js';
+import { retrieveRange, retrieveStream, getStoredFileInfo } from './retriever.js';
+
+// How long to wait before loading the URL list again after it failed
+const LOAD_RETRY_MS = 5000;
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Resolves a URL against the current location and drops the fragment. */
+function normalizeUrl(url) {
+  try {
+    const parsed = new URL(url, globalThis.location?.href);
+    parsed.hash = '';
+    return parsed.href;
+  } catch {
+    return url;
+  }
+}
+
+/**
+ * Parses a single-range `Range: bytes=...` header against a file size.
+ * Supports 'start-end', 'start-' and '-suffix'. Only the first range of a
+ * multi-range request is honoured.
+ *
+ * @param {string|null} header
+ * @param {number} size
+ * @returns {{ start: number, end: number }|null|'unsatisfiable'}
+ *   null when there is no usable Range header (serve the whole file)
+ */
+export function parseRangeHeader(header, size) {
+  if (!header) return null;
+  const match = /^bytes=\s*(\d*)\s*-\s*(\d*)/i.exec(header.trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    const suffix = parseInt(match[2], 10);
+    if (suffix === 0) return 'unsatisfiable';
+    start = Math.max(0, size - suffix);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) return 'unsatisfiable';
+  return { start, end };
+}
+
+/**
+ * Builds a 200 or 206 response for a stored file. Range requests only read
+ * the requested bytes from storage; full responses are streamed.
+ */
+async function buildResponse(ctx, request, id, allowStale) {
+  const { mimeType, totalBytes: size } = await getStoredFileInfo(ctx, id, { allowStale });
+  const isHead = request.method === 'HEAD';
+  const range = parseRangeHeader(request.headers.get('Range'), size);
+
+  const headers = {
+    'Content-Type': mimeType ?? 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+  };
+
+  if (range === 'unsatisfiable') {
+    return new Response(null, {
+      status: 416,
+      headers: { ...headers, 'Content-Range': `bytes */${size}` },
+    });
+  }
+
+  if (range) {
+    const { start, end } = range;
+    const body = isHead ? null : (await retrieveRange(ctx, id, start, end + 1, { allowStale })).data;
+    return new Response(body, {
+      status: 206,
+      headers: {
+        ...headers,
+        'Content-Range': `bytes ${start}-${end}/${size}`,
+        'Content-Length': String(end - start + 1),
+      },
+    });
+  }
+
+  const body = isHead ? null : await retrieveStream(ctx, id, { allowStale });
+  return new Response(body, {
+    status: 200,
+    headers: { ...headers, 'Content-Length': String(size) },
+  });
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Creates a fetch event handler for a service worker.
+ *
+ * The returned function takes a FetchEvent. When the request matches a
+ * registered file it calls event.respondWith() and returns true; otherwise it
+ * returns false and leaves the request alone. Until the URL list has loaded,
+ * no request is intercepted, so none waits on the database. If loading the
+ * list fails, an 'error' event with reason 'fetch-handler-load-failed' is
+ * emitted and the load is retried after LOAD_RETRY_MS.
+ *
+ * The handler also exposes:
+ *   respond(request) — Promise<Response|null>; null when the request does not
+ *                      match a registered file. For custom fetch listeners;
+ *                      waits for the URL list and rejects if it fails to load.
+ *   refresh()        — reloads the URL list from the registry; the promise
+ *                      rejects if that fails. It reloads automatically on
+ *                      'registered'/'deleted' events in this context, and
+ *                      follows registry writes from other contexts (e.g. the
+ *                      page) over the adapter's channel (see broadcast.js).
+ *                      Adapters without a channelName need refresh() after
+ *                      files are registered elsewhere.
+ *   dispose()        — stops following registry changes and retrying a failed
+ *                      load; the handler keeps the URL list it has.
+ *
+ * @param {object} ctx
+ * @param {object}   [options]
+ * @param {Function} [options.mapUrl] — (url: string) => string|null; maps a
+ *   request URL to a file id instead of matching registered downloadUrls
+ * @param {boolean}  [options.fallbackToNetwork=true] — fetch from the network
+ *   when the matched file is not ready; otherwise respond 503
+ * @param {boolean}  [options.allowStale=false] — serve data past its
+ *   stale-while-revalidate window
+ * @returns {Function & { respond: Function, refresh: Function, dispose: Function }}
+ */
+export function createFetchHandler(ctx, {
+  mapUrl = null,
+  fallbackToNetwork = true,
+  allowStale = false,
+} = {}) {
+  let urlMap = null;   // normalized downloadUrl → id
+  let urlOf = null;    // id → its normalized downloadUrl
+  let loading = null;
+  let retryTimer = null;
+  let disposed = false;
+  const unsubscribes = [];
+
+  async function loadUrlMap() {
+    const entries = await dbGetAll(ctx, STORES.REGISTRY);
+    urlMap = new Map(entries.map((e) => [normalizeUrl(e.downloadUrl), e.id]));
+    urlOf = new Map(entries.map((e) => [e.id, normalizeUrl(e.downloadUrl)]));
+  }
+
+  function refresh() {
+    clearTimeout(retryTimer);
+    const current = loadUrlMap();
+    loading = current;
+    current.catch((err) => {
+      // A newer refresh has taken over
+      if (loading !== current) return;
+      emit(ctx, 'error', { id: null, error: err, willRetry: !disposed, reason: 'fetch-handler-load-failed' });
+      if (!disposed) retryTimer = setTimeout(refresh, LOAD_RETRY_MS);
+    });
+    return current;
+  }
+
+  /** Applies a registry write from another context to the URL list. */
+  function applyChange({ id, record }) {
+    const url = record ? normalizeUrl(record.downloadUrl) : null;
+    // Most writes are status and progress updates that keep the URL
+    if (urlOf.get(id) === url) return;
+
+    const previous = urlOf.get(id);
+    if (previous !== undefined && urlMap.get(previous) === id) urlMap.delete(previous);
+    if (url) {
+      urlMap.set(url, id);
+      urlOf.set(id, url);
+    } else {
+      urlOf.delete(id);
+    }
+  }
+
+  async function findId(url) {
+    if (mapUrl) return mapUrl(url) ?? null;
+    if (!urlMap) await loading;
+    return urlMap.get(normalizeUrl(url)) ?? null;
+  }
+
+  async function respond(request) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') return null;
+
+    const id = await findId(request.url);
+    if (!id) return null;
+
+    try {
+      return await buildResponse(ctx, request, id, allowStale);
+    } catch {
+      // Not registered, not downloaded yet, or hard-stale
+      if (fallbackToNetwork) return fetch(request);
+      return new Response(null, { status: 503, statusText: 'Offline file not available' });
+    }
+  }
+
+  function handleFetch(event) {
+    const { request } = event;
+    if (request.method !== 'GET' && request.method !== 'HEAD') return false;
+
+    // URL list not loaded (yet): leave the request to the network
+    if (!mapUrl && !urlMap) return false;
+
+    const matched = mapUrl
+      ? !!mapUrl(request.url)
+      : urlMap.has(normalizeUrl(request.url));
+    if (!matched) return false;
+
+    event.respondWith(respond(request).then((response) => response ?? fetch(request)));
+    return true;
+  }
+
+  function dispose() {
+    disposed = true;
+    clearTimeout(retryTimer);
+    for (const unsubscribe of unsubscribes.splice(0)) unsubscribe();
+  }
+
+  if (!mapUrl) {
+    unsubscribes.push(
+      on(ctx, 'registered', refresh),
+      on(ctx, 'deleted', refresh),
+      // Applied once the list in hand has loaded, so none is lost to a load
+      // that read the registry before the write
+      onRegistryChange(ctx, (change) => { loading.then(() => applyChange(change), () => {}); }),
+    );
+    refresh();
+  }
+
+  handleFetch.respond = respond;
+  handleFetch.refresh = refresh;
+  handleFetch.dispose = dispose;
+  return handleFetch;
+}
\ No newline at end of file
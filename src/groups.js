@@ -0,0 +1,169 @@
+/**
+ * groups.js
+ * File groups ("bundles") — registry entries that share a `group` / `groups`
+ * value, with aggregate status and group-level operations.
+ *
+ * Members are found through the multiEntry 'groups' index on the registry, so
+ * a file can belong to several groups. Aggregate state is computed from the
+ * mirrored status fields on the registry records; the download queue is not
+ * consulted.
+ *
+ * 'group-progress' events are coalesced: a burst of status changes to members
+ * of one group produces at most one event per GROUP_PROGRESS_INTERVAL_MS,
+ * carrying the state at the time it fires.
+ */
+
+import { dbGetAllByIndex, STORES } from './db.js';
+import { emit } from './events.js';
+import { isUsable, processStatus } from './registry.js';
+import { retryFailed } from './downloader.js';
+import { deleteFile } from './deleter.js';
+
+const GROUP_PROGRESS_INTERVAL_MS = 250;
+
+// Pending timers of the next 'group-progress' event, by group, live on the
+// instance's context (ctx.scheduledProgress)
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/**
+ * Returns the registry records of a group's members.
+ * @param {object} ctx
+ * @param {string} group
+ * @returns {Promise<object[]>}
+ */
+function getGroupMembers(ctx, group) {
+  return dbGetAllByIndex(ctx, STORES.REGISTRY, 'groups', group);
+}
+
+/**
+ * Sums the download state of a group's members.
+ * @param {string} group
+ * @param {object[]} members — registry records
+ */
+function aggregate(group, members) {
+  let bytesDownloaded = 0;
+  let totalBytes = 0;
+  let totalBytesKnown = members.length > 0;
+  let ready = 0;
+  const statusCounts = {};
+
+  for (const reg of members) {
+    const status = reg.status ?? 'unknown';
+    statusCounts[status] = (statusCounts[status] ?? 0) + 1;
+    if (isUsable(reg)) ready++;
+
+    bytesDownloaded += reg.bytesDownloaded ?? 0;
+    if (reg.totalBytes) {
+      totalBytes += reg.totalBytes;
+    } else {
+      totalBytesKnown = false;
+    }
+  }
+
+  return {
+    group,
+    files: members.length,
+    ready,
+    statusCounts,
+    bytesDownloaded,
+    totalBytes: totalBytesKnown ? totalBytes : null,
+    // Fall back to counting files until every member's size is known
+    progress: totalBytesKnown && totalBytes > 0
+      ? Math.min(100, Math.round((bytesDownloaded / totalBytes) * 100))
+      : (members.length > 0 ? Math.round((ready / members.length) * 100) : null),
+    progressBasis: totalBytesKnown && totalBytes > 0 ? 'bytes' : 'files',
+  };
+}
+
+/**
+ * Schedules a coalesced 'group-progress' event for each of the given groups.
+ * Called whenever a member's mirrored status fields change.
+ * @param {object} ctx
+ * @param {string[]|undefined} groups
+ */
+export function scheduleGroupProgress(ctx, groups) {
+  for (const group of groups ?? []) {
+    if (ctx.scheduledProgress.has(group)) continue;
+
+    ctx.scheduledProgress.set(group, setTimeout(async () => {
+      ctx.scheduledProgress.delete(group);
+      try {
+        emit(ctx, 'group-progress', aggregate(group, await getGroupMembers(ctx, group)));
+      } catch (err) {
+        console.error(`[offline-data-manager] Failed to report progress for group "${group}":`, err);
+      }
+    }, GROUP_PROGRESS_INTERVAL_MS));
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Returns the combined state of a group.
+ *
+ * totalBytes is null until the size of every member is known (from a
+ * totalBytes hint or the download probe). Until then progress is the
+ * percentage of members that are ready, and progressBasis is 'files'.
+ *
+ * @param {object} ctx
+ * @param {string} group
+ * @returns {Promise<{
+ *   group: string,
+ *   files: number,
+ *   ready: number,
+ *   statusCounts: Record<string, number>,
+ *   bytesDownloaded: number,
+ *   totalBytes: number|null,
+ *   progress: number|null,
+ *   progressBasis: 'bytes'|'files',
+ *   items: object[]
+ * }>}
+ */
+export async function getGroupStatus(ctx, group) {
+  const members = await getGroupMembers(ctx, group);
+  return {
+    ...aggregate(group, members),
+    items: members.map((reg) => processStatus(reg)).sort((a, b) => a.priority - b.priority),
+  };
+}
+
+/**
+ * Returns true if the group has members and all of them have usable data.
+ * @param {object} ctx
+ * @param {string} group
+ * @returns {Promise<boolean>}
+ */
+export async function isGroupReady(ctx, group) {
+  const members = await getGroupMembers(ctx, group);
+  return members.length > 0 && members.every((reg) => isUsable(reg));
+}
+
+/**
+ * Deletes every member of a group. Protected entries follow the same rules
+ * as deleteFile().
+ * @param {object} ctx
+ * @param {string} group
+ * @param {object}  [options]
+ * @param {boolean} [options.removeProtected=false]
+ * @returns {Promise<Array<{ id: string, registryRemoved: boolean }>>}
+ */
+export async function deleteGroup(ctx, group, { removeProtected = false } = {}) {
+  const members = await getGroupMembers(ctx, group);
+  const results = [];
+  for (const reg of members) {
+    results.push(await deleteFile(ctx, reg.id, { removeProtected }));
+  }
+  return results;
+}
+
+/**
+ * Resets the failed members of a group to pending and wakes the download loop.
+ * @param {object} ctx
+ * @param {string} group
+ * @returns {Promise<void>}
+ */
+export async function retryGroup(ctx, group) {
+  const members = await getGroupMembers(ctx, group);
+  await retryFailed(ctx, members.map((reg) => reg.id));
+}
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * httpCache.js
+ * Freshness calculation from HTTP caching headers, used by registry entries
+ * with ttl: 'http'.
+ *
+ * Follows the RFC 9111 freshness model, simplified for a client-side store:
+ *
+ *   lifetime = Cache-Control max-age
+ *           ?? Cache-Control s-maxage
+ *           ?? Expires − Date (or Expires − now when Date is missing)
+ *   ttl      = lifetime − Age
+ *
+ * no-store and no-cache are treated as a lifetime of 0 (stale immediately, so
+ * the next drain cycle refreshes it; with an ETag that is a cheap 304). A
+ * response with no freshness information at all never expires, which matches
+ * how a numeric ttl of 0 behaves.
+ */
+
+/**
+ * Reads freshness information from a response's headers.
+ * @param {Headers} headers
+ * @returns {{ ttl: number|null, staleWhileRevalidate: number|null }}
+ *   ttl — remaining freshness in seconds, or null when the response carries none
+ *   staleWhileRevalidate — the stale-while-revalidate directive in seconds, if any
+ */
+export function parseFreshness(headers) {
+  const directives = parseCacheControl(headers.get('Cache-Control'));
+  const age = toSeconds(headers.get('Age')) ?? 0;
+  const staleWhileRevalidate = toSeconds(directives['stale-while-revalidate']);
+
+  let lifetime = null;
+  if ('no-store' in directives || 'no-cache' in directives) {
+    lifetime = 0;
+  } else if (directives['max-age'] !== undefined) {
+    lifetime = toSeconds(directives['max-age']);
+  } else if (directives['s-maxage'] !== undefined) {
+    lifetime = toSeconds(directives['s-maxage']);
+  } else if (headers.get('Expires')) {
+    const expires = Date.parse(headers.get('Expires'));
+    const date = Date.parse(headers.get('Date') ?? '') || Date.now();
+    // An invalid Expires value means "already expired" per RFC 9111
+    lifetime = Number.isNaN(expires) ? 0 : Math.max(0, (expires - date) / 1000);
+  }
+
+  return {
+    ttl: lifetime === null ? null : Math.max(0, lifetime - age),
+    staleWhileRevalidate,
+  };
+}
+
+/**
+ * Splits a Cache-Control header into a lower-cased directive map.
+ * Directives without a value map to true.
+ * @param {string|null} value
+ * @returns {Record<string, string|true>}
+ */
+function parseCacheControl(value) {
+  const directives = {};
+  if (!value) return directives;
+
+  for (const part of value.split(',')) {
+    const [name, ...rest] = part.split('=');
+    const key = name.trim().toLowerCase();
+    if (!key) continue;
+    directives[key] = rest.length ? rest.join('=').trim().replace(/^"|"$/g, '') : true;
+  }
+  return directives;
+}
+
+/** Parses a non-negative integer number of seconds; null if invalid. */
+function toSeconds(value) {
+  if (value === undefined || value === null || value === true) return null;
+  const n = parseInt(value, 10);
+  return Number.isNaN(n) || n < 0 ? null : n;
+}
\ No newline at end of file
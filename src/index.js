@@ -6,8 +6,9 @@
  * chunked Range downloads, parallel execution, retry with exponential backoff,
  * TTL-based expiry, storage quota awareness, and resume after page/SW close.
  *
- * All file data is stored as array buffers. The library has no knowledge of file
- * contents — parsing, decompression, and interpretation are the caller's concern.
+ * All file data is stored as raw bytes. Apart from the opt-in `decompress` and
+ * `extract` entry options and the retrieveAs() decoders, parsing and
+ * interpretation are the caller's concern.
  *
  * ─── Quick start ─────────────────────────────────────────────────────────────
  *
@@ -39,6 +40,7 @@
  *   OfflineDataManager.on('progress',     ({ id, percent }) => console.log(`${id}: ${percent}%`));
  *   OfflineDataManager.on('complete',     ({ id, mimeType }) => console.log(`${id} ready (${mimeType})`));
  *   OfflineDataManager.on('expired',      ({ id }) => console.log(`${id} TTL elapsed, refreshing`));
+ *   OfflineDataManager.on('revalidated',  ({ id }) => console.log(`${id} unchanged on server (304)`));
  *   OfflineDataManager.on('error',        ({ id, error, willRetry }) => { ... });
  *   OfflineDataManager.on('connectivity', ({ online }) => console.log(online ? 'back online' : 'offline'));
  *
@@ -57,14 +59,16 @@
  *
  *   // Retrieve as file data — interpret however you like
  *   const fileInfo      = await OfflineDataManager.retrieve('poi-data');
- *   const decoder = new TextDecoder("utf-8");
- *   const text = decoder.decode(myFile.data);
- * 
- *   const json = JSON.parse(text);
+ *
+ *   // Or decoded using the stored mimeType
+ *   const json = await OfflineDataManager.retrieveJSON('poi-data');
  *
  *   // View overall state
  *   const { items, storage } = await OfflineDataManager.getAllStatus();
  *
+ *   // The library's own usage, e.g. per metadata value for a settings screen
+ *   const { byMetadata } = await OfflineDataManager.getStorageUsage();
+ *
  *   // Check readiness (true for both 'complete' and 'expired')
  *   const ready = await OfflineDataManager.isReady('poi-data');
  *
@@ -81,6 +85,15 @@
  *     event.waitUntil(OfflineDataManager.startDownloads());
  *   });
  *
+ *   // In a service worker — serve stored files (with Range support) at their normal URLs
+ *   const handleFetch = OfflineDataManager.createFetchHandler();
+ *   self.addEventListener('fetch', (event) => { handleFetch(event); });
+ *
+ *   // Independent instances — own database, events, download loop, and monitoring
+ *   const basemaps = createOfflineDataManager({ dbName: 'odm-basemaps', concurrency: 4 });
+ *   basemaps.startDownloads();
+ *   await basemaps.close();
+ *
  * ─── Registry entry shape ────────────────────────────────────────────────────
  *
  *   {
@@ -90,8 +103,18 @@
  *     version:     number        — required, non-negative integer
  *     protected:   boolean       — default false
  *     priority:    number        — default 10, lower = higher priority
- *     ttl:         number        — seconds; 0 or omitted = never expires
+ *     ttl:         number|'http' — seconds; 0 or omitted = never expires; 'http' = from caching headers
+ *     staleWhileRevalidate: number|null — seconds expired data stays usable; null = until replaced
  *     totalBytes:  number|null   — optional size hint
+ *     rangeConcurrency: number|null — parallel Range requests for this file when chunked
+ *     integrity:   string|null   — SRI-style hash, e.g. 'sha256-<base64>'; verified before complete
+ *     decompress:  'gzip'|'deflate'|'auto'|null — decompress the download before storing it
+ *     extract:     boolean       — unpack a ZIP into child files 'id/path/in/archive'
+ *     group:       string        — group the file belongs to (or groups: string[])
+ *     dependsOn:   string[]      — ids that must be complete before this file downloads
+ *     storage:     'indexeddb'|'opfs'|null — where the data is stored; null uses opfsThreshold
+ *     request:     object        — fetch options: { headers, credentials, mode, referrerPolicy }
+ *     resolveUrl:  function      — returns a fresh (e.g. signed) URL; kept in memory only
  *     metadata:    object        — arbitrary caller key/values
  *   }
  *
@@ -101,311 +124,584 @@
  *   in-progress — actively downloading
  *   paused      — aborted mid-flight; loop resumes it on next drain cycle
  *   complete    — array buffer stored and fresh
- *   expired     — array buffer stored but TTL elapsed; still accessible, re-download queued
+ *   expired     — array buffer stored but TTL elapsed; still accessible (until the
+ *                 staleWhileRevalidate window, if any, runs out), re-download queued
  *   failed      — exhausted all retries; call retryFailed() to re-queue
- *   deferred    — skipped due to insufficient storage; retried next drain cycle
+ *   deferred    — skipped due to insufficient storage or the storage budget (after
+ *                 evicting lower-priority files did not make room); retried next drain cycle
+ *   blocked     — a dependsOn entry failed; back to pending once it recovers
  */
 
-import {
-  registerFile,
-  registerFiles,
-  updateRegistryMetadata,
-  getAllStatus,
-  getStatus,
-  isReady,
-} from './registry.js';
-
-import { updateConnectivityStatus } from './connectivity.js';
-
-import {
-  startDownloads,
-  stopDownloads,
-  retryFailed,
-  isDownloading,
-  abortDownload,
-  abortAllDownloads,
-  startMonitoring,
-  stopMonitoring,
-  isOnline,
-  isMonitoring,
-} from './downloader.js';
-
-import { deleteFile, deleteAllFiles } from './deleter.js';
-import { on, off, once, emit } from './events.js';
+import * as db from './db.js';
+import * as registry from './registry.js';
+import * as downloader from './downloader.js';
+import * as connectivity from './connectivity.js';
+import * as requests from './requests.js';
+import * as deleter from './deleter.js';
+import * as groups from './groups.js';
+import * as events from './events.js';
+import * as retriever from './retriever.js';
+import * as objectUrls from './objectUrls.js';
+import * as fetchHandler from './fetchHandler.js';
+import * as manifest from './manifest.js';
+import * as migrations from './migrations.js';
+import * as eviction from './eviction.js';
+import * as budget from './budget.js';
+import * as accounting from './accounting.js';
+import * as decoders from './decoders.js';
+import { closeBroadcast } from './broadcast.js';
+import { createContext, defaultContext } from './context.js';
+import { createIndexedDBAdapter } from './indexedDBAdapter.js';
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { DecodeError } from './decoders.js';
 import {
   getStorageEstimate,
   requestPersistentStorage,
   isPersistentStorage,
 } from './storage.js';
 
-import { setDBInfo, dbGet, dbGetAllIds, STORES } from './db.js';
-import { READY_STATUSES } from './registry.js';
+// ─── Public API object ────────────────────────────────────────────────────────
 
 /**
- * Retrieves the stored file data for a registered file.
- * Returns the array buffer and content type.
- *
- * Returns the data even if the file is expired; expiry only means a refresh is
- * queued, not that the data is gone.
- *
- * @param {string} id
- * @returns {Promise<{ data: ArrayBuffer, mimeType: string }>}
- * @throws {Error} if the file is not registered or has no data yet
+ * Builds the public API over one instance's state: every function that reads
+ * or changes state is bound to ctx, so instances never see each other's data,
+ * events, or download loop.
+ * @param {object} ctx — from createContext()
  */
-async function retrieve(id) {
-  const [reg, queue] = await Promise.all([
-    dbGet(STORES.REGISTRY, id),
-    dbGet(STORES.DOWNLOAD_QUEUE, id),
-  ]);
-
-  if (!reg) {
-    throw new Error(`retrieve: No registered file with id "${id}".`);
-  }
-
-  if (!READY_STATUSES.has(queue?.status) || !queue?.data) {
-    throw new Error(
-      `retrieve: File "${id}" has no data yet (status: ${queue?.status ?? 'unknown'}).`
-    );
-  }
-
-  return { data: queue.data, mimeType: queue.mimeType };
-}
-
-// ─── Public API object ────────────────────────────────────────────────────────
-
-const OfflineDataManager = {
-  // ── DB ──────────────────────────────────────────────────────────────────────
-
+function createAPI(ctx) {
   /**
-   * Overrides the default DB name and version number. 
-   * @param {string|undefined} dbName Optional DB name. Default: 'offline-data-manager'
-   * @param {number|undefined} dbVersion Optional DB version. Default: 1
+   * @template {any[]} A
+   * @template R
+   * @param {(ctx: object, ...args: A) => R} fn
+   * @returns {(...args: A) => R}
    */
-  setDBInfo,
-
-  /**
-   * Get all record ids from a store.
-   * @param {string} storeName
-   * @returns {Promise<string[]>}
+  const bind = (fn) => (...args) => fn(ctx, ...args);
+
+  return {
+    // ── DB ──────────────────────────────────────────────────────────────────────
+
+    /**
+     * Overrides the default DB name and version number. 
+     * @param {string|undefined} dbName Optional DB name. Default: 'offline-data-manager'
+     * @param {number|undefined} dbVersion Optional DB version, for registerMigration() steps. Default: 7
+     */
+    setDBInfo: bind(db.setDBInfo),
+
+    /**
+     * Replaces the storage backend (IndexedDB by default). Call it before
+     * registering or downloading anything; data is not copied between adapters.
+     * See db.js for the adapter interface.
+     * @param {object} adapter — e.g. createMemoryAdapter()
+     */
+    setStorageAdapter: bind(db.setStorageAdapter),
+
+    /**
+     * Adds a migration step that upgrades existing records when the database is
+     * opened with a higher version (see setDBInfo()). Steps run in version order
+     * inside the upgrade transaction; if one throws, the database is left
+     * untouched and every call rejects with an error whose reason is
+     * 'migration-failed'. Register steps before the database is first used.
+     * @param {{ version: number, migrate: Function, description?: string }} step
+     *   — migrate(tx, { oldVersion, newVersion }); tx has get, getAll, getAllKeys, put, delete
+     */
+    registerMigration: bind(migrations.registerMigration),
+
+    /**
+     * Creates an IndexedDB storage adapter, e.g. to use a different database
+     * than setDBInfo() configured.
+     * @param {object} [options]
+     * @param {string} [options.dbName='offline-data-manager']
+     * @param {number} [options.dbVersion=7]
+     */
+    createIndexedDBAdapter,
+
+    /**
+     * Creates an in-memory storage adapter for tests, Node, or browsers where
+     * IndexedDB is unavailable. Nothing survives a reload.
+     */
+    createMemoryAdapter,
+
+    /**
+     * Get all record ids from a store.
+     * @param {string} storeName
+     * @returns {Promise<string[]>}
+     */
+    dbGetAllIds: bind(db.dbGetAllIds),
+
+    /**
+     * Shuts the instance down: stops the download loop and connectivity
+     * monitoring, cancels pending 'group-progress' events, and closes the
+     * database connection. Calling any other method afterwards opens it again.
+     * @returns {Promise<void>}
+     */
+    close: () => closeInstance(ctx),
+
+    // ── Registry ────────────────────────────────────────────────────────────────
+
+    /**
+     * Registers a single file entry.
+     *
+     * - New entry: added to registry, fresh pending queue entry created.
+     * - Existing, version increased: registry updated, queue reset to pending.
+     *   Existing array buffer remains accessible until the new download completes.
+     * - Existing, version unchanged or lower: no-op.
+     *
+     * @param {object} entry
+     * @returns {Promise<void>}
+     */
+    registerFile: bind(registry.registerFile),
+
+    /**
+    * Registers an array of file entries. 
+    * If a registry item is already registered, the version will be checked to see if there is new information.
+     *
+     * @param {object[]} entries
+     * @returns {Promise<{ registered: string[] }>}
+     */
+    registerFiles: bind(registry.registerFiles),
+
+    /**
+     * Syncs the registry with a JSON manifest (URL or object): registers new and
+     * version-bumped entries and, with { prune: true }, deletes non-protected
+     * files missing from it. Fetched manifests are cached for offline use.
+     * @param {string|object|object[]} urlOrObject
+     * @param {{ prune?: boolean }} [options]
+     * @returns {Promise<{ added: string[], updated: string[], unchanged: string[], removed: string[], failed: object[], source: string }>}
+     */
+    syncManifest: bind(manifest.syncManifest),
+
+    /**
+     * Merges metadata into a registry entry's existing metadata.
+     * @param {string} id
+     * @param {object} metadata
+     * @returns {Promise<void>}
+     */
+    updateRegistryMetadata: bind(registry.updateRegistryMetadata),
+
+    // ── Download ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Starts the persistent download loop.
+     *
+     * Drains all actionable queue entries, then waits for new work without
+     * polling. Wakes automatically when registerFile() adds a new entry, when
+     * the browser comes back online, or when retryFailed() is called.
+     *
+     * Idempotent — safe to call multiple times; subsequent calls while already
+     * running are a no-op.
+     *
+     * @param {object} [options]
+     * @param {number} [options.concurrency=2] — max parallel requests across all downloads
+     * @param {number} [options.rangeConcurrency=1] — max parallel Range requests within one
+     *   chunked file; shares the `concurrency` budget. Registry entries can override it.
+     * @param {number|null} [options.opfsThreshold=null] — store files of at least this many
+     *   bytes in the Origin Private File System instead of IndexedDB, where available
+     * @param {number|null} [options.maxBytesPerSecond=null] — bandwidth limit shared by all
+     *   downloads; null means unlimited
+     */
+    startDownloads: bind(downloader.startDownloads),
+
+    /**
+     * Changes the bandwidth limit shared by all downloads, or removes it with
+     * null. Applies at once, also to downloads in progress: response bodies are
+     * read no faster than the limit and Range requests are spaced out to match.
+     * @param {number|null} maxBytesPerSecond
+     */
+    setBandwidthLimit: bind(downloader.setBandwidthLimit),
+
+    /**
+     * Stops the download loop gracefully.
+     * In-flight downloads are aborted and set to 'paused'. Call startDownloads()
+     * again to resume.
+     */
+    stopDownloads: bind(downloader.stopDownloads),
+
+    /**
+     * Re-queues all failed entries and wakes the loop to retry them.
+     */
+    retryFailed: bind(downloader.retryFailed),
+
+    /**
+     * Sets the function that supplies auth headers for download requests, or
+     * removes it with null. Called before every HEAD/GET/Range request, and
+     * again with { refresh: true } after a 401 before the request is repeated.
+     * @param {((entry: object, context: { refresh: boolean }) => Promise<object|null>)|null} provider
+     */
+    setAuthProvider: bind(requests.setAuthProvider),
+
+    /**
+     * Sets the URL resolver for entries without their own resolveUrl, or removes
+     * it with null. Called before each download attempt, and again with
+     * { refresh: true } when a request is rejected with 401/403 or an expired-URL
+     * 400. The resolved URL is never written to the registry.
+     * @param {((entry: object, context: { refresh: boolean, status: number|null }) => Promise<string>)|null} resolver
+     */
+    setUrlResolver: bind(requests.setUrlResolver),
+
+    /**
+     * Returns true if the download loop is currently running.
+     * @returns {boolean}
+     */
+    isDownloading: bind(downloader.isDownloading),
+
+    /**
+     * Aborts a single active download, setting it to 'paused'.
+     * The loop will pick it up again automatically on the next drain cycle.
+     * @param {string} id
+     */
+    abortDownload: bind(downloader.abortDownload),
+
+    /**
+     * Aborts all active downloads, setting them to 'paused'.
+     */
+    abortAllDownloads: bind(downloader.abortAllDownloads),
+
+    /**
+     * Starts monitoring online/offline connectivity.
+     *
+     * - Going offline: all active downloads are paused immediately.
+     * - Coming back online: the download loop resumes automatically (via startMonitoring())
+     *   same options as the most recent explicit call.
+     *
+     * Idempotent — safe to call multiple times. Call stopConnectivityMonitor()
+     * to remove the listeners (useful in tests or cleanup).
+     */
+    startMonitoring: bind(downloader.startMonitoring),
+
+    /**
+     * Stops monitoring and removes event listeners.
+     * After calling this, online/offline events will no longer trigger pause/resume.
+     */
+    stopMonitoring: bind(downloader.stopMonitoring),
+
+    /**
+     * Returns the current online status from navigator.onLine.
+     * Note: true does not guarantee the download servers are reachable,
+     * only that the browser believes it has a network connection.
+     * @returns {boolean}
+     */
+    isOnline: bind(downloader.isOnline),
+
+    /**
+     * Returns true if connectivity monitoring is currently active.
+     * @returns {boolean}
+     */
+    isMonitoring: bind(downloader.isMonitoring),
+
+    /**
+   * A manual override option for setting the online/offline status. 
+   * seful when running this solution in a worker that doesn't have access to the window event for monitoring this status.
+   * @param {boolean} online True if online, false otherwise.
    */
-  dbGetAllIds,
-
-  // ── Registry ────────────────────────────────────────────────────────────────
-
-  /**
-   * Registers a single file entry.
-   *
-   * - New entry: added to registry, fresh pending queue entry created.
-   * - Existing, version increased: registry updated, queue reset to pending.
-   *   Existing array buffer remains accessible until the new download completes.
-   * - Existing, version unchanged or lower: no-op.
-   *
-   * @param {object} entry
-   * @returns {Promise<void>}
-   */
-  registerFile,
-
-  /**
-  * Registers an array of file entries. 
-  * If a registry item is already registered, the version will be checked to see if there is new information.
-   *
-   * @param {object[]} entries
-   * @returns {Promise<{ registered: string[] }>}
-   */
-  registerFiles,
-
-  // ── Download ─────────────────────────────────────────────────────────────────
-
-  /**
-   * Starts the persistent download loop.
-   *
-   * Drains all actionable queue entries, then waits for new work without
-   * polling. Wakes automatically when registerFile() adds a new entry, when
-   * the browser comes back online, or when retryFailed() is called.
-   *
-   * Idempotent — safe to call multiple times; subsequent calls while already
-   * running are a no-op.
-   *
-   * @param {object} [options]
-   * @param {number} [options.concurrency=2] — max parallel downloads
-   */
-  startDownloads,
-
-  /**
-   * Stops the download loop gracefully.
-   * In-flight downloads are aborted and set to 'paused'. Call startDownloads()
-   * again to resume.
-   */
-  stopDownloads,
-
-  /**
-   * Re-queues all failed entries and wakes the loop to retry them.
-   */
-  retryFailed,
-
-  /**
-   * Returns true if the download loop is currently running.
-   * @returns {boolean}
-   */
-  isDownloading,
-
-  /**
-   * Aborts a single active download, setting it to 'paused'.
-   * The loop will pick it up again automatically on the next drain cycle.
-   * @param {string} id
-   */
-  abortDownload,
-
-  /**
-   * Aborts all active downloads, setting them to 'paused'.
-   */
-  abortAllDownloads,
-
-  /**
-   * Starts monitoring online/offline connectivity.
-   *
-   * - Going offline: all active downloads are paused immediately.
-   * - Coming back online: the download loop resumes automatically (via startMonitoring())
-   *   same options as the most recent explicit call.
-   *
-   * Idempotent — safe to call multiple times. Call stopConnectivityMonitor()
-   * to remove the listeners (useful in tests or cleanup).
-   */
-  startMonitoring,
-
-  /**
-   * Stops monitoring and removes event listeners.
-   * After calling this, online/offline events will no longer trigger pause/resume.
-   */
-  stopMonitoring,
+    updateConnectivityStatus: bind(connectivity.updateConnectivityStatus),
+
+    // ── Retrieve ─────────────────────────────────────────────────────────────────
+
+    /**
+     * Returns the stored file data for a completed or expired file.
+     * @param {string} id
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<{ data: ArrayBuffer, mimeType: string }>}
+     */
+    retrieve: bind(retriever.retrieve),
+
+    /**
+     * Returns bytes [start, end) of a stored file, reading only the stored
+     * blocks that overlap the range. `end` defaults to the end of the file.
+     * @param {string} id
+     * @param {number} start
+     * @param {number} [end]
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<{ data: ArrayBuffer, mimeType: string, totalBytes: number }>}
+     */
+    retrieveRange: bind(retriever.retrieveRange),
+
+    /**
+     * Returns the stored file data as a ReadableStream<Uint8Array>, read from
+     * IndexedDB one block at a time. Errors if the file is deleted mid-read.
+     * @param {string} id
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<ReadableStream<Uint8Array>>}
+     */
+    retrieveStream: bind(retriever.retrieveStream),
+
+    /**
+     * Returns the stored file data as a Blob typed with the stored mimeType.
+     * @param {string} id
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<Blob>}
+     */
+    retrieveBlob: bind(retriever.retrieveBlob),
+
+    /**
+     * Returns a stored file decoded into a usable value. Without a format the
+     * stored mimeType picks the decoder ('json', 'xml', 'text', or 'arraybuffer').
+     * @param {string} id
+     * @param {string} [format] — 'arraybuffer' | 'blob' | 'text' | 'json' | 'xml' | a registered format
+     * @param {{ encoding?: string, allowStale?: boolean }} [options]
+     * @returns {Promise<any>}
+     */
+    retrieveAs: bind(retriever.retrieveAs),
+
+    /**
+     * Returns a stored file parsed as JSON. Throws a DecodeError if it is not valid JSON.
+     * @param {string} id
+     * @param {{ encoding?: string, allowStale?: boolean }} [options]
+     * @returns {Promise<any>}
+     */
+    retrieveJSON: bind(retriever.retrieveJSON),
+
+    /**
+     * Returns a stored file decoded as text (default encoding 'utf-8').
+     * @param {string} id
+     * @param {{ encoding?: string, allowStale?: boolean }} [options]
+     * @returns {Promise<string>}
+     */
+    retrieveText: bind(retriever.retrieveText),
+
+    /**
+     * Registers a decoder for retrieveAs(), e.g. for CSV, KML, or GeoJSONSeq.
+     * Pass { mimeTypes } to have it chosen automatically for those types.
+     * @param {string} format
+     * @param {Function} decode — (data: ArrayBuffer, { id, mimeType, format, encoding }) => any
+     * @param {{ mimeTypes?: string[] }} [options]
+     */
+    registerDecoder: bind(decoders.registerDecoder),
+
+    /** Error class thrown when stored data cannot be decoded. Has id, mimeType, and format. */
+    DecodeError,
+
+    /**
+     * Returns an object URL for the stored file. The URL is reused across calls
+     * and revoked automatically when the file is deleted or its data replaced.
+     * @param {string} id
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<string>}
+     */
+    getObjectURL: bind(retriever.getObjectURL),
+
+    /**
+     * Revokes the object URL created by getObjectURL() for a file, if any.
+     * @param {string} id
+     * @returns {boolean} true if a URL was revoked
+     */
+    revokeObjectURL: bind(objectUrls.revokeObjectURL),
+
+    /**
+     * Creates a service worker fetch handler that answers requests for registered
+     * downloadUrls (or a custom URL mapping) from stored files, with Range support.
+     * Falls back to the network when the file is not ready.
+     * @param {{ mapUrl?: Function, fallbackToNetwork?: boolean, allowStale?: boolean }} [options]
+     * @returns {Function}
+     */
+    createFetchHandler: bind(fetchHandler.createFetchHandler),
+
+    // ── Status & view ─────────────────────────────────────────────────────────────
+
+    /**
+     * Returns all registry entries merged with download state, plus storage summary.
+     * storage.library holds the library's own totals, as from getStorageUsage().
+     * @returns {Promise<{ items: object[], storage: object }>}
+     */
+    getAllStatus: bind(registry.getAllStatus),
+
+    /**
+     * Returns the library's own storage totals: bytes stored, bytes still to
+     * download (from known sizes), and bytes reclaimable from non-protected
+     * files, overall, per mimeType, and per metadata key and value. Kept as
+     * running counters, so it does not read every record.
+     * @returns {Promise<object>}
+     */
+    getStorageUsage: bind(accounting.getStorageUsage),
+
+    /**
+     * Returns the full status object for a single file, or null if not registered.
+     * Also accepts the id of a file extracted from an archive.
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    getStatus: bind(registry.getStatus),
+
+    /**
+     * Returns true if the file has data available (status: complete or expired).
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    isReady: bind(registry.isReady),
+
+    // ── Groups ───────────────────────────────────────────────────────────────────
+
+    /**
+     * Returns the combined state of all files in a group: file and ready counts,
+     * status counts, bytes, percent, and each member's status.
+     * @param {string} group
+     * @returns {Promise<object>}
+     */
+    getGroupStatus: bind(groups.getGroupStatus),
+
+    /**
+     * Returns true if the group has members and all of them have data available.
+     * @param {string} group
+     * @returns {Promise<boolean>}
+     */
+    isGroupReady: bind(groups.isGroupReady),
+
+    /**
+     * Deletes every file in a group, following the protected rules of delete().
+     * @param {string} group
+     * @param {{ removeProtected?: boolean }} [options]
+     */
+    deleteGroup: bind(groups.deleteGroup),
+
+    /**
+     * Re-queues the failed files of a group.
+     * @param {string} group
+     */
+    retryGroup: bind(groups.retryGroup),
+
+    // ── Delete ───────────────────────────────────────────────────────────────────
+
+    /**
+     * Deletes a file's data.
+     * Protected entries: data cleared, queue reset to pending, registry survives.
+     * Non-protected entries: fully removed including registry.
+     * @param {string} id
+     * @param {{ removeProtected?: boolean }} [options]
+     */
+    delete: bind(deleter.deleteFile),
+
+    /**
+     * Deletes all files following the same protected/non-protected rules.
+     * @param {{ removeProtected?: boolean }} [options]
+     */
+    deleteAll: bind(deleter.deleteAllFiles),
+
+    // ── Events ───────────────────────────────────────────────────────────────────
+
+    /**
+    * Subscribe to an event. Returns an unsubscribe function.
+    * Events: 'progress' | 'complete' | 'error' | 'deferred' | 'expired' |
+    *         'revalidated' | 'registered' | 'deleted' | 'evicted' | 'status' | 'group-progress'
+    * @param {string} event
+    * @param {Function} listener
+    * @returns {Function}
+    */
+    on: bind(events.on),
+
+    /**
+     * Unsubscribe from an event.
+     * @param {string} event
+     * @param {Function} listener
+     */
+    off: bind(events.off),
+
+    /**
+     * Emit an event to all registered listeners.
+     * @param {string} event
+     * @param {object} data
+     */
+    once: bind(events.once),
+
+    // ── Storage ──────────────────────────────────────────────────────────────────
+
+    /**
+     * Returns current storage usage and quota from the browser Storage API.
+     * @returns {Promise<{ usage: number, quota: number, available: number }>}
+     */
+    getStorageEstimate,
+
+    /**
+     * Requests persistent storage from the browser.
+     * Persistent storage is less likely to be evicted under storage pressure.
+     * @returns {Promise<boolean>}
+     */
+    requestPersistentStorage,
+
+    /**
+     * Returns true if persistent storage is already granted.
+     * @returns {Promise<boolean>}
+     */
+    isPersistentStorage,
+
+    /**
+     * Sets how files are chosen for eviction when a download does not fit in
+     * the available storage. Only non-protected files with a lower priority
+     * than the download are evicted; each eviction emits 'evicted'. Evicted
+     * files keep their registration and download again once there is room.
+     * 'lru' (the default) evicts the least recently retrieved first; a function
+     * receives the candidates' statuses and returns them in eviction order;
+     * null turns eviction off, so the download is deferred.
+     * @param {'lru'|((candidates: object[], context: { entry: object, requiredBytes: number }) => object[]|Promise<object[]>)|null} policy
+     */
+    setEvictionPolicy: bind(eviction.setEvictionPolicy),
+
+    /**
+     * Limits the bytes this manager stores, independent of the browser quota
+     * (which covers the whole origin), or removes the limit with null. Stored
+     * data and the expected size of running downloads count against it; a
+     * download that would exceed it is deferred with reason 'budget-exceeded'
+     * unless evicting lower-priority files makes room.
+     * @param {number|{ percentOfQuota: number }|null} budget — bytes, or a share (0–100) of the quota
+     */
+    setStorageBudget: bind(budget.setStorageBudget),
+  };
+}
 
-  /**
-   * Returns the current online status from navigator.onLine.
-   * Note: true does not guarantee the download servers are reachable,
-   * only that the browser believes it has a network connection.
-   * @returns {boolean}
-   */
-  isOnline,
+/** Stops everything an instance runs and closes its database connection. */
+async function closeInstance(ctx) {
+  await downloader.stopDownloads(ctx);
+  downloader.stopMonitoring(ctx);
+  for (const timer of ctx.scheduledProgress.values()) clearTimeout(timer);
+  ctx.scheduledProgress.clear();
+  db.closeDB(ctx);
+  closeBroadcast(ctx);
+}
 
-  /**
-   * Returns true if connectivity monitoring is currently active.
-   * @returns {boolean}
-   */
-  isMonitoring,
+// ─── Instances ────────────────────────────────────────────────────────────────
 
-  /**
- * A manual override option for setting the online/offline status. 
- * seful when running this solution in a worker that doesn't have access to the window event for monitoring this status.
- * @param {boolean} online True if online, false otherwise.
+/**
+ * Creates an independent manager with its own database, event listeners,
+ * download loop, and connectivity monitoring, e.g. one per signed-in user or
+ * one per map product. Give each instance its own dbName; instances sharing a
+ * database would run competing download loops over the same queue.
+ *
+ * @param {object} [options]
+ * @param {string} [options.dbName='offline-data-manager'] — IndexedDB database (and OPFS directory) name
+ * @param {number} [options.dbVersion=7]
+ * @param {object} [options.storageAdapter] — e.g. createMemoryAdapter(); defaults to IndexedDB
+ * @param {object[]} [options.migrations] — migration steps, as for registerMigration()
+ * @param {number} [options.concurrency=2] — default for startDownloads()
+ * @param {number} [options.rangeConcurrency=1] — default for startDownloads()
+ * @param {number|null} [options.opfsThreshold=null] — default for startDownloads()
+ * @param {number|null} [options.maxBytesPerSecond=null] — default for startDownloads()
+ * @returns {ReturnType<typeof createAPI>} an object with the same API as the default export
  */
-  updateConnectivityStatus,
-
-  // ── Retrieve ─────────────────────────────────────────────────────────────────
-
-  /**
-   * Returns the stored file data for a completed or expired file.
-   * @param {string} id
-   * @returns {Promise<{ data: ArrayBuffer, mimeType: string }>}
-   */
-  retrieve,
-
-  // ── Status & view ─────────────────────────────────────────────────────────────
-
-  /**
-   * Returns all registry entries merged with download state, plus storage summary.
-   * @returns {Promise<{ items: object[], storage: object }>}
-   */
-  getAllStatus,
-
-  /**
-   * Returns the full status object for a single file, or null if not registered.
-   * @param {string} id
-   * @returns {Promise<object|null>}
-   */
-  getStatus,
-
-  /**
-   * Returns true if the file has data available (status: complete or expired).
-   * @param {string} id
-   * @returns {Promise<boolean>}
-   */
-  isReady,
-
-  // ── Delete ───────────────────────────────────────────────────────────────────
-
-  /**
-   * Deletes a file's data.
-   * Protected entries: data cleared, queue reset to pending, registry survives.
-   * Non-protected entries: fully removed including registry.
-   * @param {string} id
-   * @param {{ removeProtected?: boolean }} [options]
-   */
-  delete: deleteFile,
-
-  /**
-   * Deletes all files following the same protected/non-protected rules.
-   * @param {{ removeProtected?: boolean }} [options]
-   */
-  deleteAll: deleteAllFiles,
-
-  // ── Events ───────────────────────────────────────────────────────────────────
-
-  /**
-  * Subscribe to an event. Returns an unsubscribe function.
-  * Events: 'progress' | 'complete' | 'error' | 'deferred' | 'expired' |
-  *         'registered' | 'deleted' | 'status'
-  * @param {string} event
-  * @param {Function} listener
-  * @returns {Function}
-  */
-  on,
-
-  /**
-   * Unsubscribe from an event.
-   * @param {string} event
-   * @param {Function} listener
-   */
-  off,
-
-  /**
-   * Emit an event to all registered listeners.
-   * @param {string} event
-   * @param {object} data
-   */
-  once,
-
-  // ── Storage ──────────────────────────────────────────────────────────────────
-
-  /**
-   * Returns current storage usage and quota from the browser Storage API.
-   * @returns {Promise<{ usage: number, quota: number, available: number }>}
-   */
-  getStorageEstimate,
-
-  /**
-   * Requests persistent storage from the browser.
-   * Persistent storage is less likely to be evicted under storage pressure.
-   * @returns {Promise<boolean>}
-   */
-  requestPersistentStorage,
+export function createOfflineDataManager({ storageAdapter, migrations: steps = [], ...options } = {}) {
+  const ctx = createContext(options);
+  if (storageAdapter) db.setStorageAdapter(ctx, storageAdapter);
+  for (const step of steps) migrations.registerMigration(ctx, step);
+  return createAPI(ctx);
+}
 
-  /**
-   * Returns true if persistent storage is already granted.
-   * @returns {Promise<boolean>}
-   */
-  isPersistentStorage,
-};
+// The default instance, kept for code written before instances existed
+const OfflineDataManager = { ...createAPI(defaultContext), createOfflineDataManager };
 
 export default OfflineDataManager;
 
-// Named exports for tree-shaking
-export {
+// Named exports for tree-shaking; the stateful ones act on the default instance
+export const {
+  setStorageAdapter,
+  registerMigration,
   registerFile,
   registerFiles,
+  syncManifest,
   updateRegistryMetadata,
   startDownloads,
+  setBandwidthLimit,
   stopDownloads,
   retryFailed,
+  setAuthProvider,
+  setUrlResolver,
   isDownloading,
   abortDownload,
   abortAllDownloads,
@@ -415,15 +711,44 @@ export {
   isMonitoring,
   updateConnectivityStatus,
   retrieve,
+  retrieveRange,
+  retrieveStream,
+  retrieveBlob,
+  retrieveAs,
+  retrieveJSON,
+  retrieveText,
+  registerDecoder,
+  getObjectURL,
+  revokeObjectURL,
+  createFetchHandler,
   getAllStatus,
+  getStorageUsage,
   getStatus,
   isReady,
-  deleteFile,
-  deleteAllFiles,
+  getGroupStatus,
+  isGroupReady,
+  deleteGroup,
+  retryGroup,
+  delete: deleteFile,
+  deleteAll: deleteAllFiles,
   on,
   off,
   once,
-  emit,
+  setEvictionPolicy,
+  setStorageBudget,
+} = OfflineDataManager;
+
+/**
+ * Emit an event to the default instance's listeners.
+ * @param {string} event
+ * @param {object} data
+ */
+export const emit = (event, data) => events.emit(defaultContext, event, data);
+
+export {
+  createIndexedDBAdapter,
+  createMemoryAdapter,
+  DecodeError,
   getStorageEstimate,
   requestPersistentStorage,
   isPersistentStorage,
@@ -0,0 +1,257 @@
+/**
+ * indexedDBAdapter.js
+ * Storage adapter backed by IndexedDB — the default backend (see db.js for the
+ * adapter interface).
+ *
+ * Each store in the schema becomes an object store. The IndexedDB version is
+ * the adapter's own: dbVersion is the app's version, which migrations.js
+ * records in the meta store next to the library's. open() checks the database
+ * and, if a store or index in the schema is missing or a migration is
+ * pending, reopens it one IndexedDB version higher. That upgrade creates the
+ * missing stores and indexes and runs the migration steps in the same
+ * versionchange transaction; if one fails the transaction is aborted, which
+ * also undoes the new stores and indexes and leaves the database unchanged.
+ *
+ * An upgrade has to wait until every other connection to the database is
+ * closed. The connection this adapter keeps closes itself as soon as another
+ * one asks to upgrade (another tab, or the service worker), and is opened
+ * again on next use. Connections that do not step aside block the upgrade:
+ * open() then rejects with reason 'upgrade-blocked' instead of waiting.
+ */
+
+/**
+ * Creates an IndexedDB storage adapter. The database is opened by open().
+ * @param {object} [options]
+ * @param {string} [options.dbName='offline-data-manager']
+ * @param {number} [options.dbVersion=7] — the app's version, for registerMigration() steps
+ * @returns {import('./db.js').StorageAdapter}
+ */
+export function createIndexedDBAdapter({ dbName = 'offline-data-manager', dbVersion = 7 } = {}) {
+  let _db = null;
+  // What open() was called with, to open the database again after another
+  // connection's upgrade closed it
+  let _schema = null;
+  let _upgrade = null;
+  let _opening = null;
+
+  /** Resolves with the result of an IDBRequest. */
+  function settle(req) {
+    return new Promise((resolve, reject) => {
+      req.onsuccess = () => resolve(req.result);
+      req.onerror  = () => reject(req.error);
+    });
+  }
+
+  /** Returns the open connection, opening the database again if it was closed. */
+  async function connection() {
+    if (!_db) {
+      if (!_schema) throw new Error(`Database "${dbName}" is not open.`);
+      _opening ??= openDatabase().finally(() => { _opening = null; });
+      await _opening;
+    }
+    return _db;
+  }
+
+  /** Runs one request against a store and resolves with its result. */
+  async function request(storeName, mode, makeRequest) {
+    const db = await connection();
+    return settle(makeRequest(db.transaction(storeName, mode).objectStore(storeName)));
+  }
+
+  /** Wraps a transaction for the migration code (see migrations.js). */
+  function wrapTransaction(transaction) {
+    const store = (storeName) => transaction.objectStore(storeName);
+    return {
+      get: (storeName, key) => settle(store(storeName).get(key)),
+      getAll: (storeName) => settle(store(storeName).getAll()),
+      getAllKeys: (storeName) => settle(store(storeName).getAllKeys()),
+      put: async (storeName, record) => { await settle(store(storeName).put(record)); },
+      delete: async (storeName, key) => { await settle(store(storeName).delete(key)); },
+    };
+  }
+
+  /**
+   * Opens the database at `version` (its current version if undefined). An
+   * upgrade creates the stores and indexes missing from the schema and runs
+   * the migration in the same versionchange transaction.
+   */
+  function openVersion(schema, upgrade, version) {
+    return new Promise((resolve, reject) => {
+      const req = version === undefined ? indexedDB.open(dbName) : indexedDB.open(dbName, version);
+      let upgraded = false;
+      let migrating = null;
+      let failure = null;
+      let blocked = false;
+
+      // IndexedDB would wait, silently, until the other connections close
+      req.onblocked = () => {
+        blocked = true;
+        const err = new Error(`Upgrading database "${dbName}" to version ${version} is blocked by another open connection (another tab or a service worker). Close it and try again.`);
+        err.reason = 'upgrade-blocked';
+        reject(err);
+      };
+
+      req.onupgradeneeded = (event) => {
+        const db = event.target.result;
+        const transaction = event.target.transaction;
+        upgraded = true;
+
+        for (const [storeName, { keyPath, indexes = {} }] of Object.entries(schema)) {
+          const store = db.objectStoreNames.contains(storeName)
+            ? transaction.objectStore(storeName)
+            : db.createObjectStore(storeName, { keyPath });
+
+          for (const [indexName, { keyPath: indexKeyPath, multiEntry = false }] of Object.entries(indexes)) {
+            if (!store.indexNames.contains(indexName)) {
+              store.createIndex(indexName, indexKeyPath, { unique: false, multiEntry });
+            }
+          }
+        }
+
+        if (upgrade) {
+          migrating = upgrade.run(wrapTransaction(transaction), {
+            oldVersion: event.oldVersion,
+            appVersion: dbVersion,
+          }).catch((err) => {
+            failure = err;
+            try { transaction.abort(); } catch { /* already committed */ }
+          });
+        }
+      };
+
+      req.onsuccess = async () => {
+        // A step that awaited something outside the transaction can fail
+        // after IndexedDB has already committed it
+        await migrating;
+        if (blocked) {
+          // The caller has been told already; the upgrade went ahead once unblocked
+          req.result.close();
+        } else if (failure) {
+          req.result.close();
+          failure.message += '; IndexedDB had already committed the upgrade without the new versions, so the steps run again next time. Migration steps must only await the transaction they are given.';
+          reject(failure);
+        } else {
+          resolve({ db: req.result, upgraded });
+        }
+      };
+      req.onerror = async () => {
+        await migrating;
+        if (failure) failure.message += '; the database was left unchanged.';
+        reject(failure ?? req.error);
+      };
+    });
+  }
+
+  /** Returns true if a store or index is missing or the migration is pending. */
+  async function needsUpgrade(db, schema, upgrade) {
+    const storeNames = Object.keys(schema);
+    if (storeNames.some((storeName) => !db.objectStoreNames.contains(storeName))) return true;
+
+    const transaction = db.transaction(storeNames, 'readonly');
+    for (const [storeName, { indexes = {} }] of Object.entries(schema)) {
+      const { indexNames } = transaction.objectStore(storeName);
+      if (Object.keys(indexes).some((indexName) => !indexNames.contains(indexName))) return true;
+    }
+
+    try {
+      return upgrade ? await upgrade.isPending(wrapTransaction(transaction), { appVersion: dbVersion }) : false;
+    } catch (err) {
+      db.close();
+      throw err;
+    }
+  }
+
+  /**
+   * Opens the database, upgrading it if needed, and keeps the connection.
+   * Opened at its current version first, and if it needs an upgrade again one
+   * version higher, which runs it. Another tab may upgrade it in between, so
+   * the check is repeated.
+   */
+  async function openDatabase() {
+    if (typeof indexedDB === 'undefined') {
+      throw new Error('IndexedDB is not available in this environment; use setStorageAdapter() to choose another backend.');
+    }
+
+    let version;
+    for (;;) {
+      const { db, upgraded } = await openVersion(_schema, _upgrade, version);
+      if (upgraded || !(await needsUpgrade(db, _schema, _upgrade))) {
+        // Step aside when another connection needs to upgrade the database
+        db.onversionchange = () => {
+          db.close();
+          if (_db === db) _db = null;
+        };
+        _db = db;
+        return;
+      }
+      version = db.version + 1;
+      db.close();
+    }
+  }
+
+  return {
+    name: 'indexeddb',
+    channelName: `offline-data-manager:${dbName}`,
+
+    async open(schema, upgrade) {
+      _schema = schema;
+      _upgrade = upgrade;
+      await connection();
+    },
+
+    close() {
+      _db?.close();
+      _db = null;
+      _schema = null;
+      _upgrade = null;
+    },
+
+    get(storeName, key) {
+      return request(storeName, 'readonly', (store) => store.get(key));
+    },
+
+    getAll(storeName) {
+      return request(storeName, 'readonly', (store) => store.getAll());
+    },
+
+    getAllKeys(storeName) {
+      return request(storeName, 'readonly', (store) => store.getAllKeys());
+    },
+
+    getAllByIndex(storeName, indexName, value) {
+      return request(storeName, 'readonly', (store) => store.index(indexName).getAll(value));
+    },
+
+    getAllInRange(storeName, lower, upper) {
+      return request(storeName, 'readonly', (store) => store.getAll(IDBKeyRange.bound(lower, upper)));
+    },
+
+    getKeysInRange(storeName, lower, upper) {
+      return request(storeName, 'readonly', (store) => store.getAllKeys(IDBKeyRange.bound(lower, upper)));
+    },
+
+    async put(storeName, record) {
+      await request(storeName, 'readwrite', (store) => store.put(record));
+    },
+
+    async putMany(storeName, records) {
+      const db = await connection();
+      return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readwrite');
+        const store = tx.objectStore(storeName);
+        for (const record of records) store.put(record);
+        tx.oncomplete = () => resolve();
+        tx.onerror    = () => reject(tx.error);
+        tx.onabort    = () => reject(tx.error);
+      });
+    },
+
+    async delete(storeName, key) {
+      await request(storeName, 'readwrite', (store) => store.delete(key));
+    },
+
+    async deleteRange(storeName, lower, upper) {
+      await request(storeName, 'readwrite', (store) => store.delete(IDBKeyRange.bound(lower, upper)));
+    },
+  };
+}
\ No newline at end of file
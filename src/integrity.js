@@ -0,0 +1,97 @@
+/**
+ * integrity.js
+ * Subresource Integrity (SRI) style verification of downloaded data.
+ *
+ * An integrity string is one or more whitespace-separated `<alg>-<base64 digest>`
+ * tokens, e.g. 'sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU='.
+ * As in the SRI spec, only the strongest algorithm present is checked and the
+ * data matches if it equals any of the digests given for that algorithm.
+ *
+ * Data in memory is hashed with SubtleCrypto. Data written to disk as it
+ * arrives is hashed piece by piece with createIntegrityHasher() (see sha2.js),
+ * so it never has to be read back into memory whole.
+ */
+
+import { createHash } from './sha2.js';
+
+// Supported algorithms, weakest to strongest
+const ALGORITHMS = {
+  sha256: 'SHA-256',
+  sha384: 'SHA-384',
+  sha512: 'SHA-512',
+};
+
+const ALGORITHM_ORDER = Object.keys(ALGORITHMS);
+
+/**
+ * Parses an integrity string into its hash tokens.
+ * Unknown algorithms are ignored; an options suffix ('?...') is stripped.
+ * @param {string} integrity
+ * @returns {Array<{ alg: string, digest: string }>}
+ */
+export function parseIntegrity(integrity) {
+  if (typeof integrity !== 'string') return [];
+  return integrity
+    .trim()
+    .split(/\s+/)
+    .map((token) => {
+      const match = /^(sha256|sha384|sha512)-([A-Za-z0-9+/]+={0,2})(\?.*)?$/.exec(token);
+      return match ? { alg: match[1], digest: match[2] } : null;
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Returns the strongest algorithm in an integrity string and its digests.
+ * @param {string} integrity
+ * @returns {{ alg: string, digests: string[] }}
+ */
+function strongestHashes(integrity) {
+  const hashes = parseIntegrity(integrity);
+  if (hashes.length === 0) {
+    throw new Error(`Invalid integrity value "${integrity}".`);
+  }
+
+  const alg = hashes.reduce((best, h) =>
+    ALGORITHM_ORDER.indexOf(h.alg) > ALGORITHM_ORDER.indexOf(best.alg) ? h : best
+  ).alg;
+  return { alg, digests: hashes.filter((h) => h.alg === alg).map((h) => h.digest) };
+}
+
+/**
+ * Returns true if `data` matches the integrity string.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {string} integrity
+ * @returns {Promise<boolean>}
+ */
+export async function verifyIntegrity(data, integrity) {
+  const { alg, digests } = strongestHashes(integrity);
+  if (!globalThis.crypto?.subtle) {
+    throw new Error('Integrity verification requires SubtleCrypto (a secure context).');
+  }
+
+  const digest = await crypto.subtle.digest(ALGORITHMS[alg], data);
+  return digests.includes(toBase64(new Uint8Array(digest)));
+}
+
+/**
+ * Starts checking data that arrives in pieces against the integrity string.
+ * Feed the pieces in order with update(), then call matches() once.
+ * @param {string} integrity
+ * @returns {{ update: (bytes: Uint8Array) => void, matches: () => boolean }}
+ */
+export function createIntegrityHasher(integrity) {
+  const { alg, digests } = strongestHashes(integrity);
+  const hash = createHash(alg);
+  return {
+    update: (bytes) => hash.update(bytes),
+    matches: () => digests.includes(toBase64(hash.digest())),
+  };
+}
+
+/** Base64-encodes a (small) byte array. */
+function toBase64(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return btoa(binary);
+}
\ No newline at end of file
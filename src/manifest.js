@@ -0,0 +1,149 @@
+/**
+ * manifest.js
+ * Declarative sync of the registry against a JSON manifest of registry entries.
+ *
+ * Manifest shape — either an array of registry entries or an object with a
+ * `files` array:
+ *
+ *   { "files": [ { "id": "poi-data", "downloadUrl": "poi.json", "version": 3 }, ... ] }
+ *
+ * Relative downloadUrls in a fetched manifest are resolved against the
+ * manifest URL. Each fetched manifest is cached in the meta store, so a sync
+ * while offline (or when the server errors) uses the last copy that loaded.
+ */
+
+import { dbGet, dbGetAll, dbPut, STORES } from './db.js';
+import { registerFile } from './registry.js';
+import { deleteFile } from './deleter.js';
+import { on } from './events.js';
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Key of the cached copy of a manifest URL in the meta store. */
+function cacheKey(url) {
+  return `manifest:${url}`;
+}
+
+/**
+ * Fetches a manifest, caching it on success and falling back to the cached
+ * copy when the request fails.
+ * @param {object} ctx
+ * @param {string} url
+ * @returns {Promise<{ manifest: any, source: 'network'|'cache' }>}
+ */
+async function loadManifest(ctx, url) {
+  try {
+    const response = await fetch(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    const manifest = await response.json();
+    await dbPut(ctx, STORES.META, { key: cacheKey(url), url, manifest, fetchedAt: Date.now() });
+    return { manifest, source: 'network' };
+  } catch (err) {
+    const cached = await dbGet(ctx, STORES.META, cacheKey(url));
+    if (!cached) {
+      throw new Error(`syncManifest: Could not load manifest "${url}" and no cached copy exists (${err.message}).`);
+    }
+    return { manifest: cached.manifest, source: 'cache' };
+  }
+}
+
+/**
+ * Returns the registry entries of a manifest, with downloadUrls resolved
+ * against the manifest URL when there is one.
+ * @param {any} manifest
+ * @param {string|null} baseUrl
+ * @returns {object[]}
+ */
+function readEntries(manifest, baseUrl) {
+  const entries = Array.isArray(manifest) ? manifest : manifest?.files;
+  if (!Array.isArray(entries)) {
+    throw new Error('syncManifest: Manifest must be an array of entries or an object with a "files" array.');
+  }
+  if (!baseUrl) return entries;
+
+  return entries.map((entry) => {
+    if (typeof entry?.downloadUrl !== 'string') return entry;
+    try {
+      return { ...entry, downloadUrl: new URL(entry.downloadUrl, baseUrl).href };
+    } catch {
+      return entry;
+    }
+  });
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Brings the registry in line with a manifest.
+ *
+ * New entries and entries with a higher version are registered with
+ * registerFile(); entries at the same or a lower version are left alone. With
+ * `prune`, registered non-protected files that are not in the manifest are
+ * removed with deleteFile(). Protected files are never pruned.
+ *
+ * @param {object} ctx
+ * @param {string|object|object[]} urlOrObject — manifest URL, or the manifest itself
+ * @param {object}  [options]
+ * @param {boolean} [options.prune=false] — delete non-protected files missing from the manifest
+ * @returns {Promise<{
+ *   added: string[],
+ *   updated: string[],
+ *   unchanged: string[],
+ *   removed: string[],
+ *   failed: Array<{ id: string|undefined, error: string }>,
+ *   source: 'network'|'cache'|'object'
+ * }>}
+ * @throws {Error} if the manifest cannot be loaded and is not cached, or is malformed
+ */
+export async function syncManifest(ctx, urlOrObject, { prune = false } = {}) {
+  let manifest = urlOrObject;
+  let source = 'object';
+  let baseUrl = null;
+
+  if (typeof urlOrObject === 'string' || urlOrObject instanceof URL) {
+    baseUrl = new URL(urlOrObject, globalThis.location?.href).href;
+    ({ manifest, source } = await loadManifest(ctx, baseUrl));
+  }
+
+  const entries = readEntries(manifest, baseUrl);
+  const report = { added: [], updated: [], unchanged: [], removed: [], failed: [], source };
+  const manifestIds = new Set();
+
+  for (const entry of entries) {
+    const id = entry?.id;
+    if (typeof id === 'string') manifestIds.add(id);
+
+    const existing = id ? await dbGet(ctx, STORES.REGISTRY, id) : null;
+    if (existing && !(entry.version > existing.version)) {
+      report.unchanged.push(id);
+      continue;
+    }
+
+    // registerFile() reports invalid entries through the 'error' event rather
+    // than throwing, so capture the reason and confirm the version landed.
+    let reason = null;
+    const unsubscribe = on(ctx, 'error', (e) => { if (e.id === id) reason = e.reason; });
+    try {
+      await registerFile(ctx, entry);
+    } finally {
+      unsubscribe();
+    }
+
+    const registered = id ? await dbGet(ctx, STORES.REGISTRY, id) : null;
+    if (registered?.version !== entry.version) {
+      report.failed.push({ id, error: String(reason ?? 'Entry was not registered.') });
+    } else {
+      (existing ? report.updated : report.added).push(id);
+    }
+  }
+
+  if (prune) {
+    for (const reg of await dbGetAll(ctx, STORES.REGISTRY)) {
+      if (manifestIds.has(reg.id) || reg.protected) continue;
+      await deleteFile(ctx, reg.id);
+      report.removed.push(reg.id);
+    }
+  }
+
+  return report;
+}
\ No newline at end of file
@@ -0,0 +1,164 @@
+/**
+ * memoryAdapter.js
+ * Storage adapter that keeps everything in memory (see db.js for the adapter
+ * interface).
+ *
+ * Nothing survives a reload, so this is meant for unit tests, Node, and as a
+ * fallback where IndexedDB is unavailable (e.g. some private browsing modes).
+ * It follows IndexedDB's behaviour where the library relies on it: records are
+ * copied with structuredClone on the way in and out, keys are ordered by the
+ * IndexedDB key comparison rules (numbers < strings < arrays, arrays compared
+ * element by element), range bounds are inclusive, and records whose index
+ * value is not a valid key (e.g. a boolean) are left out of that index.
+ * Every adapter starts empty, so there are never old records to migrate and
+ * open() ignores the upgrade.
+ */
+
+// ─── Keys ─────────────────────────────────────────────────────────────────────
+
+/** Returns the IndexedDB key type rank of a value, or -1 if it is not a valid key. */
+function keyType(key) {
+  if (typeof key === 'number') return Number.isNaN(key) ? -1 : 0;
+  if (key instanceof Date) return Number.isNaN(key.getTime()) ? -1 : 1;
+  if (typeof key === 'string') return 2;
+  if (Array.isArray(key)) return key.every((k) => keyType(k) >= 0) ? 3 : -1;
+  return -1;
+}
+
+/** Compares two valid keys like indexedDB.cmp(). */
+function compareKeys(a, b) {
+  const ta = keyType(a);
+  const tb = keyType(b);
+  if (ta !== tb) return ta < tb ? -1 : 1;
+
+  if (ta === 3) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const c = compareKeys(a[i], b[i]);
+      if (c !== 0) return c;
+    }
+    return a.length === b.length ? 0 : (a.length < b.length ? -1 : 1);
+  }
+
+  const va = ta === 1 ? a.getTime() : a;
+  const vb = tb === 1 ? b.getTime() : b;
+  return va === vb ? 0 : (va < vb ? -1 : 1);
+}
+
+/** Returns a string that is equal for equal keys, for use as a Map key. */
+function serializeKey(key) {
+  if (Array.isArray(key)) return `[${key.map(serializeKey).join(',')}]`;
+  if (key instanceof Date) return `d${key.getTime()}`;
+  return typeof key === 'string' ? `s${JSON.stringify(key)}` : `n${key}`;
+}
+
+/** Reads the value at a keyPath (a property name or an array of them). */
+function extractKey(record, keyPath) {
+  return Array.isArray(keyPath) ? keyPath.map((p) => record?.[p]) : record?.[keyPath];
+}
+
+const inRange = (key, lower, upper) => compareKeys(key, lower) >= 0 && compareKeys(key, upper) <= 0;
+
+// ─── Adapter ──────────────────────────────────────────────────────────────────
+
+/**
+ * Creates an in-memory storage adapter. Each adapter has its own empty data.
+ * @returns {import('./db.js').StorageAdapter}
+ */
+export function createMemoryAdapter() {
+  // storeName → { schema, records: Map<serialized key, { key, value }> }
+  const _stores = new Map();
+
+  function getStore(storeName) {
+    const store = _stores.get(storeName);
+    if (!store) throw new Error(`memoryAdapter: Unknown store "${storeName}".`);
+    return store;
+  }
+
+  /** Returns a store's entries in key order, optionally limited to [lower, upper]. */
+  function sortedEntries(storeName, lower, upper) {
+    let entries = [...getStore(storeName).records.values()];
+    if (lower !== undefined) entries = entries.filter(({ key }) => inRange(key, lower, upper));
+    return entries.sort((a, b) => compareKeys(a.key, b.key));
+  }
+
+  /** Validates a record and returns its entry without storing it. */
+  function prepare(storeName, record) {
+    const { schema } = getStore(storeName);
+    const key = extractKey(record, schema.keyPath);
+    if (keyType(key) < 0) {
+      throw new Error(`memoryAdapter: Record in "${storeName}" has no valid key at keyPath ${JSON.stringify(schema.keyPath)}.`);
+    }
+    return { key, value: structuredClone(record) };
+  }
+
+  return {
+    name: 'memory',
+
+    async open(schema) {
+      for (const [storeName, storeSchema] of Object.entries(schema)) {
+        if (!_stores.has(storeName)) _stores.set(storeName, { schema: storeSchema, records: new Map() });
+      }
+    },
+
+    close() {},
+
+    async get(storeName, key) {
+      const entry = getStore(storeName).records.get(serializeKey(key));
+      return entry ? structuredClone(entry.value) : undefined;
+    },
+
+    async getAll(storeName) {
+      return sortedEntries(storeName).map(({ value }) => structuredClone(value));
+    },
+
+    async getAllKeys(storeName) {
+      return sortedEntries(storeName).map(({ key }) => structuredClone(key));
+    },
+
+    async getAllByIndex(storeName, indexName, value) {
+      const index = getStore(storeName).schema.indexes?.[indexName];
+      if (!index) throw new Error(`memoryAdapter: Unknown index "${indexName}" on "${storeName}".`);
+
+      return sortedEntries(storeName)
+        .filter(({ value: record }) => {
+          const indexKey = extractKey(record, index.keyPath);
+          if (index.multiEntry && Array.isArray(indexKey)) {
+            return indexKey.some((k) => keyType(k) >= 0 && compareKeys(k, value) === 0);
+          }
+          return keyType(indexKey) >= 0 && compareKeys(indexKey, value) === 0;
+        })
+        .map(({ value: record }) => structuredClone(record));
+    },
+
+    async getAllInRange(storeName, lower, upper) {
+      return sortedEntries(storeName, lower, upper).map(({ value }) => structuredClone(value));
+    },
+
+    async getKeysInRange(storeName, lower, upper) {
+      return sortedEntries(storeName, lower, upper).map(({ key }) => structuredClone(key));
+    },
+
+    async put(storeName, record) {
+      const entry = prepare(storeName, record);
+      getStore(storeName).records.set(serializeKey(entry.key), entry);
+    },
+
+    async putMany(storeName, records) {
+      // Prepare everything first so an invalid record writes nothing
+      const entries = records.map((record) => prepare(storeName, record));
+      const store = getStore(storeName);
+      for (const entry of entries) store.records.set(serializeKey(entry.key), entry);
+    },
+
+    async delete(storeName, key) {
+      getStore(storeName).records.delete(serializeKey(key));
+    },
+
+    async deleteRange(storeName, lower, upper) {
+      const { records } = getStore(storeName);
+      for (const [serialized, { key }] of records) {
+        if (inRange(key, lower, upper)) records.delete(serialized);
+      }
+    },
+  };
+}
\ No newline at end of file
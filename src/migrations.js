@@ -0,0 +1,210 @@
+/**
+ * migrations.js
+ * Versioned migration steps that upgrade records written by older versions of
+ * the library or the app.
+ *
+ * The library's schema and the app's records are versioned separately, so an
+ * app that keeps (or pins) its own version still gets the library's stores
+ * and steps. One record in the meta store holds both versions:
+ *   library — LIBRARY_SCHEMA_VERSION of the library that last upgraded it
+ *   app     — the app's database version, set with setDBInfo() or the
+ *             dbVersion option
+ * Databases created before the record existed used the app's version as the
+ * IndexedDB version. For them the app version is the old IndexedDB version
+ * and every library step runs; the library's steps only change records still
+ * in an older layout, so running one again is harmless.
+ *
+ * The adapter upgrades the database when it opens it if a store or index in
+ * SCHEMA is missing or isUpgradePending() finds a version behind (see db.js).
+ * In one upgrade transaction it creates the missing stores and indexes, and
+ * runMigrations() runs every library step above the recorded library version,
+ * then every app step above the recorded app version and at most the current
+ * one, each in version order, and records the new versions. App steps of the
+ * same version run in the order they were registered. If a step throws, the
+ * transaction is aborted: the database keeps its old stores, versions and
+ * data, and openDB() — and so every API call — rejects with an Error whose
+ * reason is 'migration-failed'. A new database has no old records, so no
+ * steps run. Like IndexedDB, opening a database whose app version is above
+ * the current one rejects.
+ *
+ * Migration step shape:
+ * {
+ *   version:     number   — the version that introduces the change
+ *   description: string   — shown in error messages
+ *   migrate:     (tx, { oldVersion, newVersion }) => Promise<void>
+ * }
+ *
+ * `tx` works on the upgrade transaction: get(store, key), getAll(store),
+ * getAllKeys(store), put(store, record), and delete(store, key), all returning
+ * promises. A step must only await these: awaiting anything else (fetch,
+ * timers) lets IndexedDB commit the transaction before the step is done.
+ *
+ * Apps add steps with registerMigration() and raise the database version with
+ * setDBInfo() or the dbVersion option of createOfflineDataManager().
+ */
+
+import { STORES } from './db.js';
+import { BLOCK_SIZE } from './blocks.js';
+
+/**
+ * The library's schema version. Stores and indexes added by a version (chunks
+ * in 2, blocks in 3, archiveFiles in 4, meta in 5, the registry 'groups' index
+ * in 6) come from SCHEMA.
+ */
+export const LIBRARY_SCHEMA_VERSION = 7;
+
+// Key of the meta record holding the library and app versions
+const VERSIONS_KEY = 'schemaVersions';
+
+/**
+ * The library's own steps, which move existing records into the layout of
+ * their version.
+ */
+export const LIBRARY_MIGRATIONS = [
+  {
+    version: 7,
+    description: 'move file data stored in download queue records into the blocks store',
+    async migrate(tx) {
+      // One record at a time, so only one file's data is in memory
+      for (const id of await tx.getAllKeys(STORES.DOWNLOAD_QUEUE)) {
+        const queueEntry = await tx.get(STORES.DOWNLOAD_QUEUE, id);
+        const data = queueEntry?.data;
+        if (!data) continue;
+
+        // Same result as a completed download of the data (see blocks.js)
+        const bytes = new Uint8Array(data);
+        const generation = (queueEntry.generation ?? 0) + 1;
+        for (let offset = 0; offset < bytes.byteLength; offset += BLOCK_SIZE) {
+          await tx.put(STORES.BLOCKS, { id, generation, offset, data: bytes.slice(offset, offset + BLOCK_SIZE).buffer });
+        }
+
+        const patch = {
+          generation,
+          blockSize: BLOCK_SIZE,
+          storedBytes: bytes.byteLength,
+          storedIn: 'indexeddb',
+        };
+        await tx.put(STORES.DOWNLOAD_QUEUE, { ...queueEntry, ...patch, data: null });
+
+        // The registry mirrors every queue field except data
+        const registryEntry = await tx.get(STORES.REGISTRY, id);
+        if (registryEntry) await tx.put(STORES.REGISTRY, { ...registryEntry, ...patch });
+      }
+    },
+  },
+];
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+/** Throws if the database was upgraded by a newer version of the app. */
+function checkAppVersion(versions, appVersion) {
+  if (versions.app > appVersion) {
+    throw new Error(`openDB: The database is at version ${versions.app}, above the version ${appVersion} it is opened with.`);
+  }
+}
+
+/** Runs the steps above oldVersion and at most newVersion, in version order. */
+async function runSteps(steps, tx, oldVersion, newVersion) {
+  // Array.prototype.sort is stable, so equal versions keep registration order
+  const pending = steps
+    .filter((step) => step.version > oldVersion && step.version <= newVersion)
+    .sort((a, b) => a.version - b.version);
+
+  for (const step of pending) {
+    try {
+      await step.migrate(tx, { oldVersion, newVersion });
+    } catch (err) {
+      const failure = new Error(`Migration to version ${step.version} (${step.description}) failed: ${err?.message ?? err}`);
+      failure.reason = 'migration-failed';
+      failure.version = step.version;
+      failure.cause = err;
+      throw failure;
+    }
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Adds an app migration step, run the next time the database is opened with
+ * a version at or above the step's version (from an older one). Register
+ * steps before the database is first used.
+ * @param {object} ctx
+ * @param {object} step
+ * @param {number} step.version — positive integer
+ * @param {Function} step.migrate — (tx, { oldVersion, newVersion }) => Promise<void>
+ * @param {string} [step.description]
+ */
+export function registerMigration(ctx, { version, migrate, description } = {}) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error('registerMigration: version must be a positive integer.');
+  }
+  if (typeof migrate !== 'function') {
+    throw new Error('registerMigration: migrate must be a function.');
+  }
+  if (description !== undefined && typeof description !== 'string') {
+    throw new Error('registerMigration: description must be a string or omitted.');
+  }
+  if (ctx.db.opened) {
+    throw new Error('registerMigration: The database is already open; register migrations before it is first used.');
+  }
+  ctx.migrations.push({ version, migrate, description: description ?? `app migration to version ${version}` });
+}
+
+/**
+ * Returns the library's and the app's steps, to run when opening the database.
+ * @param {object} ctx
+ * @returns {{ library: object[], app: object[] }}
+ * @throws {Error} if an app step is for a version above the database version
+ */
+export function getMigrations(ctx) {
+  for (const step of ctx.migrations) {
+    if (step.version > ctx.db.version) {
+      throw new Error(`openDB: Migration "${step.description}" is for version ${step.version} but the database version is ${ctx.db.version}; raise it with setDBInfo() or the dbVersion option.`);
+    }
+  }
+  return { library: LIBRARY_MIGRATIONS, app: [...ctx.migrations] };
+}
+
+/**
+ * Returns true if the database needs an upgrade: it has no versions record,
+ * or the library or app version is behind. Called by the adapter when it
+ * opens the database.
+ * @param {object} tx — a transaction on the meta store
+ * @param {{ appVersion: number }} versions
+ * @returns {Promise<boolean>}
+ * @throws {Error} if the database's app version is above appVersion
+ */
+export async function isUpgradePending(tx, { appVersion }) {
+  const recorded = await tx.get(STORES.META, VERSIONS_KEY);
+  if (!recorded) return true;
+  checkAppVersion(recorded, appVersion);
+  return recorded.library < LIBRARY_SCHEMA_VERSION || recorded.app < appVersion;
+}
+
+/**
+ * Runs the pending library and app steps and records the new versions. Called
+ * by the adapter inside its upgrade transaction.
+ * @param {{ library: object[], app: object[] }} steps — from getMigrations()
+ * @param {object} tx — the adapter's upgrade transaction
+ * @param {{ oldVersion: number, appVersion: number }} versions — oldVersion is
+ *   the adapter's own version before the upgrade, 0 for a new database
+ * @returns {Promise<void>}
+ * @throws {Error} with reason 'migration-failed' if a step throws
+ */
+export async function runMigrations(steps, tx, { oldVersion, appVersion }) {
+  const recorded = await tx.get(STORES.META, VERSIONS_KEY);
+  const from = recorded ?? { library: 0, app: oldVersion };
+  checkAppVersion(from, appVersion);
+
+  // A new database has no records to migrate
+  if (recorded || oldVersion > 0) {
+    await runSteps(steps.library, tx, from.library, LIBRARY_SCHEMA_VERSION);
+    await runSteps(steps.app, tx, from.app, appVersion);
+  }
+  await tx.put(STORES.META, {
+    key: VERSIONS_KEY,
+    library: Math.max(from.library, LIBRARY_SCHEMA_VERSION),
+    app: appVersion,
+  });
+}
\ No newline at end of file
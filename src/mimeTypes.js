@@ -109,4 +109,28 @@ export function getMimeType(urlOrFileName) {
     }
 
     return 'application/octet-stream';
+}
+
+/**
+ * Helper function that classifies a MIME type by how its data should be decoded.
+ * Recognises the structured syntax suffixes '+json' and '+xml' (e.g. 'model/gltf+json').
+ * @param {string} mimeType The MIME type. Any parameters such as charset are ignored.
+ * @returns {'json'|'xml'|'text'|'binary'}
+ */
+export function getMimeTypeFormat(mimeType) {
+    const type = (mimeType ?? '').split(';')[0].trim().toLowerCase();
+
+    if (type === 'application/json' || type.endsWith('+json')) {
+        return 'json';
+    }
+
+    if (type === 'application/xml' || type === 'text/xml' || type.endsWith('+xml')) {
+        return 'xml';
+    }
+
+    if (type.startsWith('text/') || type === 'application/javascript') {
+        return 'text';
+    }
+
+    return 'binary';
 }
\ No newline at end of file
@@ -0,0 +1,49 @@
+/**
+ * objectUrls.js
+ * Tracks the object URLs handed out by getObjectURL().
+ *
+ * One URL is kept per file id, tagged with the stored generation it was made
+ * from. deleter.js revokes it when the file is deleted and downloader.js
+ * revokes it when a new download replaces the stored data, so callers never
+ * need to call URL.revokeObjectURL() themselves.
+ */
+
+// Tracked URLs live on the instance's context: ctx.objectUrls, id → { generation, url }
+
+/**
+ * Returns the tracked URL for a file if it was made from the given generation.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number|null} generation
+ * @returns {string|null}
+ */
+export function getTrackedURL(ctx, id, generation) {
+  const entry = ctx.objectUrls.get(id);
+  return entry && entry.generation === generation ? entry.url : null;
+}
+
+/**
+ * Starts tracking a URL for a file, revoking any URL it replaces.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number|null} generation
+ * @param {string} url
+ */
+export function trackURL(ctx, id, generation, url) {
+  revokeObjectURL(ctx, id);
+  ctx.objectUrls.set(id, { generation, url });
+}
+
+/**
+ * Revokes the tracked object URL for a file, if any.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {boolean} true if a URL was revoked
+ */
+export function revokeObjectURL(ctx, id) {
+  const entry = ctx.objectUrls.get(id);
+  if (!entry) return false;
+  URL.revokeObjectURL(entry.url);
+  ctx.objectUrls.delete(id);
+  return true;
+}
\ No newline at end of file
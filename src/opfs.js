@@ -0,0 +1,168 @@
+/**
+ * opfs.js
+ * File data stored in the Origin Private File System instead of IndexedDB.
+ *
+ * Large files are routed here (see chooseStorage() in downloader.js) so they
+ * never have to exist as one ArrayBuffer: a whole-file download is streamed
+ * straight into its file, Range chunks are written at their offsets into the
+ * file of the generation being downloaded, and reads slice the file on disk.
+ * The download queue record keeps only metadata, with storedIn: 'opfs'
+ * marking where the data lives; the chunks store records which chunks a
+ * download has written (see chunks.js).
+ *
+ * Layout, under one directory per instance, named after its database:
+ *
+ *   files/<id>#<generation>   — data, one file per generation (see blocks.js);
+ *                               the next generation fills in while it downloads
+ *
+ * Ids are URI-encoded in file names, so '#' and '/' never appear inside them.
+ */
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+const encodeId = (id) => encodeURIComponent(id);
+const fileName = (id, generation) => `${encodeId(id)}#${generation}`;
+
+/** Returns a subdirectory of the instance's OPFS directory, creating it if needed. */
+async function getDirectory(ctx, name) {
+  const root = await navigator.storage.getDirectory();
+  const base = await root.getDirectoryHandle(ctx.db.name, { create: true });
+  return base.getDirectoryHandle(name, { create: true });
+}
+
+/** Removes an entry from a directory, ignoring entries that do not exist. */
+async function removeEntry(directory, name, options) {
+  try {
+    await directory.removeEntry(name, options);
+  } catch (err) {
+    if (err?.name !== 'NotFoundError') throw err;
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Returns true if the Origin Private File System can be written from this
+ * context (navigator.storage.getDirectory and FileSystemFileHandle.createWritable).
+ * @returns {boolean}
+ */
+export function isOPFSAvailable() {
+  return typeof navigator !== 'undefined'
+    && typeof navigator.storage?.getDirectory === 'function'
+    && typeof globalThis.FileSystemFileHandle?.prototype?.createWritable === 'function';
+}
+
+/**
+ * Opens the file for a new generation of a file's data for writing. The file
+ * is replaced if it exists (e.g. from an interrupted attempt). Nothing is
+ * visible to readers until close().
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} generation
+ * @returns {Promise<FileSystemWritableFileStream>}
+ */
+export async function createOPFSWriter(ctx, id, generation) {
+  const files = await getDirectory(ctx, 'files');
+  const handle = await files.getFileHandle(fileName(id, generation), { create: true });
+  return handle.createWritable();
+}
+
+/**
+ * Returns the stored data of one generation as a File, or throws if it is missing.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} generation
+ * @returns {Promise<File>}
+ */
+export async function getOPFSFile(ctx, id, generation) {
+  const files = await getDirectory(ctx, 'files');
+  try {
+    return await (await files.getFileHandle(fileName(id, generation))).getFile();
+  } catch (err) {
+    if (err?.name === 'NotFoundError') {
+      throw new Error(`Stored data for "${id}" is incomplete; it may have been deleted or replaced.`);
+    }
+    throw err;
+  }
+}
+
+/**
+ * Reads bytes [start, end) of one generation of a file.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} generation
+ * @param {number} start
+ * @param {number} end — exclusive
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function readOPFSRange(ctx, id, generation, start, end) {
+  return (await getOPFSFile(ctx, id, generation)).slice(start, end).arrayBuffer();
+}
+
+/**
+ * Removes stored data files for a file.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} [generation] — only this generation; all generations when omitted
+ * @returns {Promise<void>}
+ */
+export async function deleteOPFSFiles(ctx, id, generation) {
+  const files = await getDirectory(ctx, 'files');
+  if (generation !== undefined && generation !== null) {
+    await removeEntry(files, fileName(id, generation));
+    return;
+  }
+
+  const prefix = `${encodeId(id)}#`;
+  const names = [];
+  for await (const name of files.keys()) {
+    if (name.startsWith(prefix)) names.push(name);
+  }
+  for (const name of names) await removeEntry(files, name);
+}
+
+/**
+ * Opens one generation's file for writing Range chunks at their offsets. What
+ * earlier attempts wrote is kept, and the file is sized to totalBytes.
+ *
+ * In dedicated workers the file is written through a sync access handle and
+ * every write is on disk once it resolves (durable: true). Elsewhere one
+ * FileSystemWritableFileStream takes all writes, and they only reach the file
+ * when close() resolves (durable: false). Close the writer after a failure
+ * too, so the chunks written so far are kept for a resume.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} generation
+ * @param {number} totalBytes
+ * @returns {Promise<{ durable: boolean, write: (offset: number, bytes: Uint8Array) => Promise<void>, close: () => Promise<void> }>}
+ */
+export async function openOPFSChunkWriter(ctx, id, generation, totalBytes) {
+  const files = await getDirectory(ctx, 'files');
+  const handle = await files.getFileHandle(fileName(id, generation), { create: true });
+
+  if (typeof handle.createSyncAccessHandle === 'function') {
+    const access = await handle.createSyncAccessHandle();
+    await access.truncate(totalBytes);
+    return {
+      durable: true,
+      write: async (offset, bytes) => {
+        access.write(bytes, { at: offset });
+        await access.flush();
+      },
+      close: async () => access.close(),
+    };
+  }
+
+  const writable = await handle.createWritable({ keepExistingData: true });
+  await writable.truncate(totalBytes);
+  // Parallel Range requests finish in any order; the stream takes one write at a time
+  let queue = Promise.resolve();
+  return {
+    durable: false,
+    write: (offset, bytes) => (queue = queue.then(() => writable.write({ type: 'write', position: offset, data: bytes }))),
+    close: async () => {
+      await queue.catch(() => {});
+      await writable.close();
+    },
+  };
+}
\ No newline at end of file
@@ -12,8 +12,30 @@
  *   protected:    boolean  — if true, registry entry survives deletion and data is
  *                            re-downloaded on the next drain cycle
  *   priority:     number   — lower = higher priority (default: 10)
- *   ttl:          number   — time-to-live in seconds; 0 or omitted means never expires
+ *   ttl:          number|'http' — time-to-live in seconds; 0 or omitted means never expires.
+ *                            'http' derives it from the response's caching headers (see httpCache.js)
+ *   staleWhileRevalidate: number|null — seconds after expiry during which the data is still
+ *                            usable; after that isReady() is false and retrieve() throws.
+ *                            null means expired data stays usable until it is replaced
  *   totalBytes:   number|null — optional size hint for storage checks and progress display
+ *   rangeConcurrency: number|null — parallel Range requests for this file when chunked;
+ *                                   null means use the startDownloads() default
+ *   integrity:    string|null — SRI-style hash(es), e.g. 'sha256-<base64>'; the downloaded
+ *                               data must match before the file is marked complete
+ *   decompress:   'gzip'|'deflate'|'auto'|null — decompress the download before storing it;
+ *                               'auto' detects gzip from its magic bytes (see decompress.js)
+ *   extract:      boolean  — unpack a ZIP archive into child files addressable as
+ *                            'id/path/in/archive' (see archive.js)
+ *   groups:       string[] — groups the file belongs to (see groups.js); registerFile()
+ *                            also accepts a single `group` string
+ *   dependsOn:    string[] — ids of files that must be complete before this one starts
+ *                            downloading; cycles are rejected at registration
+ *   storage:      'indexeddb'|'opfs'|null — where the data is stored; null routes files of
+ *                            at least the startDownloads() opfsThreshold to OPFS (see opfs.js)
+ *   request:      object|null — fetch options for the download: { headers, credentials,
+ *                            mode, referrerPolicy } (see requests.js)
+ *   (resolveUrl)  function — passed to registerFile() to resolve signed URLs; not stored
+ *                            in the registry, so it must be passed again each session
  *   metadata:     object   — arbitrary caller-supplied key/value pairs (labels, descriptions, etc.)
  *   registeredAt: number   — timestamp (ms)
  *   updatedAt:    number   — timestamp of last metadata update (ms)
@@ -24,24 +46,49 @@
  *   lastAttemptAt:   number|null
  *   errorMessage:    string|null
  *   deferredReason:  string|null
+ *   blockedBy:       string[]|null
+ *   storedIn:        'indexeddb'|'opfs'|null
+ *   storedBytes:     number
  *   completedAt:     number|null
  *   expiresAt:       number|null
+ *   staleUntil:      number|null
+ *   lastAccessedAt:  number|null
  * }
  *
  * Download queue entry shape:
  * {
  *   id:              string         — matches registry id
  *   status:          string         — see DOWNLOAD_STATUS below
- *   data:            ArrayBuffer|null — stored file data; null until download completes
+ *   data:            ArrayBuffer|null — whole-file data written by older library versions;
+ *                                    new downloads leave it null and use the blocks store
+ *   generation:      number|null    — generation of the stored blocks (see blocks.js);
+ *                                    null until the first download completes
+ *   blockSize:       number|null    — block size the generation was written with
+ *   storedIn:        'indexeddb'|'opfs'|null — where the generation is stored; null
+ *                                    (older records) means IndexedDB
+ *   chunksIn:        'indexeddb'|'opfs'|null — where the Range chunks of the download
+ *                                    in progress are stored; 'opfs' chunks are written
+ *                                    into the next generation's file
+ *   chunkSource:     { etag, lastModified, mimeType }|null — validators and MIME type
+ *                                    of the response the chunks come from, saved when
+ *                                    the chunked download starts and reused on resume
+ *   storedBytes:     number         — size of the stored data
  *   bytesDownloaded: number
  *   totalBytes:      number|null
- *   byteOffset:      number         — for Range request resume
+ *   byteOffset:      number         — for Range request resume; chunks below it are
+ *                                    persisted in the chunks store (see chunks.js)
  *   retryCount:      number
  *   lastAttemptAt:   number|null    — timestamp (ms)
  *   errorMessage:    string|null
  *   deferredReason:  string|null
+ *   blockedBy:       string[]|null  — failed dependencies of a 'blocked' entry
  *   completedAt:     number|null    — timestamp (ms); used for TTL expiry calculation
  *   expiresAt:       number|null    — timestamp (ms); set from completedAt + ttl on completion
+ *   staleUntil:      number|null    — timestamp (ms); end of the stale-while-revalidate window
+ *   etag:            string|null    — ETag of the stored data; sent as If-None-Match on refresh
+ *   lastModified:    string|null    — Last-Modified of the stored data; sent as If-Modified-Since
+ *   lastAccessedAt:  number|null    — timestamp (ms) of the last retrieve; used by the
+ *                                    LRU eviction policy (see eviction.js)
  * }
  *
  * Status values:
@@ -50,15 +97,27 @@
  *   paused      — aborted mid-download; loop resumes on next drain cycle
  *   complete    — fully downloaded; array buffer data is available
  *   expired     — download was complete but TTL has elapsed; array buffer data still available
- *                 and is replaced (not removed) when the new download completes
+ *                 (until staleUntil, if set) and is replaced (not removed) when the new
+ *                 download completes
  *   failed      — download exhausted all retries
- *   deferred    — skipped due to insufficient storage; re-evaluated next run
+ *   deferred    — skipped due to insufficient storage or the storage budget (after
+ *                 trying to evict lower-priority files, see eviction.js); re-evaluated
+ *                 next run
+ *   blocked     — a dependency (dependsOn) has failed; becomes pending again when the
+ *                 dependency recovers
  */
 
 import { dbGet, dbGetAll, dbPut, dbDelete, STORES } from './db.js';
 import { emit } from './events.js';
 import { getStorageEstimate, formatBytes } from './storage.js';
 import { _notifyNewWork } from './downloader.js';
+import { clearChunks } from './chunks.js';
+import { parseIntegrity } from './integrity.js';
+import { DECOMPRESS_FORMATS } from './decompress.js';
+import { validateRequestOptions, setEntryUrlResolver } from './requests.js';
+import { getArchiveFile } from './archive.js';
+import { scheduleGroupProgress } from './groups.js';
+import { trackRegistryRecord, getStorageUsage } from './accounting.js';
 
 export const DOWNLOAD_STATUS = {
   PENDING: 'pending',
@@ -68,6 +127,7 @@ export const DOWNLOAD_STATUS = {
   EXPIRED: 'expired',
   FAILED: 'failed',
   DEFERRED: 'deferred',
+  BLOCKED: 'blocked',
 };
 
 // Statuses where the array buffer data is present and accessible
@@ -76,6 +136,9 @@ export const READY_STATUSES = new Set([
   DOWNLOAD_STATUS.EXPIRED,
 ]);
 
+// Values of the `storage` entry option
+export const STORAGE_BACKENDS = ['indexeddb', 'opfs'];
+
 // ─── Validation ───────────────────────────────────────────────────────────────
 
 function validateEntry(entry) {
@@ -94,18 +157,101 @@ function validateEntry(entry) {
   if (typeof entry.version !== 'number' || !Number.isInteger(entry.version) || entry.version < 0) {
     throw new Error(`Entry "${entry.id}" version must be a non-negative integer.`);
   }
-  if (entry.ttl !== undefined && (typeof entry.ttl !== 'number' || entry.ttl < 0)) {
-    throw new Error(`Entry "${entry.id}" ttl must be a non-negative number (seconds).`);
+  if (entry.ttl !== undefined && entry.ttl !== 'http' && (typeof entry.ttl !== 'number' || entry.ttl < 0)) {
+    throw new Error(`Entry "${entry.id}" ttl must be a non-negative number (seconds) or 'http'.`);
+  }
+  if (entry.staleWhileRevalidate !== undefined && entry.staleWhileRevalidate !== null
+    && (typeof entry.staleWhileRevalidate !== 'number' || entry.staleWhileRevalidate < 0)) {
+    throw new Error(`Entry "${entry.id}" staleWhileRevalidate must be a non-negative number (seconds) or omitted.`);
+  }
+  if (entry.rangeConcurrency !== undefined && entry.rangeConcurrency !== null
+    && (!Number.isInteger(entry.rangeConcurrency) || entry.rangeConcurrency < 1)) {
+    throw new Error(`Entry "${entry.id}" rangeConcurrency must be a positive integer or omitted.`);
+  }
+  if (entry.integrity !== undefined && entry.integrity !== null && parseIntegrity(entry.integrity).length === 0) {
+    throw new Error(`Entry "${entry.id}" integrity must be a string like "sha256-<base64>" or omitted.`);
+  }
+  if (entry.decompress !== undefined && entry.decompress !== null && !DECOMPRESS_FORMATS.includes(entry.decompress)) {
+    throw new Error(`Entry "${entry.id}" decompress must be one of ${DECOMPRESS_FORMATS.map((f) => `'${f}'`).join(', ')} or omitted.`);
+  }
+  if (entry.extract !== undefined && typeof entry.extract !== 'boolean') {
+    throw new Error(`Entry "${entry.id}" extract must be a boolean or omitted.`);
+  }
+  if (entry.extract && entry.mimeType && entry.mimeType !== 'application/zip') {
+    throw new Error(`Entry "${entry.id}" can only use extract with mimeType 'application/zip'.`);
+  }
+  if (entry.group !== undefined && entry.group !== null && (typeof entry.group !== 'string' || !entry.group)) {
+    throw new Error(`Entry "${entry.id}" group must be a non-empty string or omitted.`);
+  }
+  if (entry.groups !== undefined && entry.groups !== null
+    && (!Array.isArray(entry.groups) || entry.groups.some((g) => typeof g !== 'string' || !g))) {
+    throw new Error(`Entry "${entry.id}" groups must be an array of non-empty strings or omitted.`);
+  }
+  if (entry.dependsOn !== undefined && entry.dependsOn !== null
+    && (!Array.isArray(entry.dependsOn) || entry.dependsOn.some((d) => typeof d !== 'string' || !d))) {
+    throw new Error(`Entry "${entry.id}" dependsOn must be an array of file ids or omitted.`);
+  }
+  if (entry.dependsOn?.includes(entry.id)) {
+    throw new Error(`Entry "${entry.id}" cannot depend on itself.`);
+  }
+  if (entry.storage !== undefined && entry.storage !== null && !STORAGE_BACKENDS.includes(entry.storage)) {
+    throw new Error(`Entry "${entry.id}" storage must be one of ${STORAGE_BACKENDS.map((s) => `'${s}'`).join(', ')} or omitted.`);
+  }
+  validateRequestOptions(entry);
+  if (entry.resolveUrl !== undefined && entry.resolveUrl !== null && typeof entry.resolveUrl !== 'function') {
+    throw new Error(`Entry "${entry.id}" resolveUrl must be a function or omitted.`);
   }
 }
 
+/**
+ * Throws if the entry's dependsOn would create a dependency cycle with the
+ * registered entries. The stored graph is kept acyclic by this check, so only
+ * cycles through the new entry need to be looked for.
+ * @param {object} ctx
+ * @param {object} entry
+ */
+async function assertNoDependencyCycle(ctx, entry) {
+  if (!entry.dependsOn?.length) return;
+
+  const registered = await dbGetAll(ctx, STORES.REGISTRY);
+  const graph = new Map(registered.map((r) => [r.id, r.dependsOn ?? []]));
+  graph.set(entry.id, entry.dependsOn);
+
+  // Depth-first search from the new entry, tracking the path for the message
+  const seen = new Set();
+  const visit = (id, path) => {
+    for (const dep of graph.get(id) ?? []) {
+      if (dep === entry.id) {
+        throw new Error(`Entry "${entry.id}" dependsOn creates a cycle: ${[...path, dep].join(' → ')}.`);
+      }
+      if (!seen.has(dep)) {
+        seen.add(dep);
+        visit(dep, [...path, dep]);
+      }
+    }
+  };
+  visit(entry.id, [entry.id]);
+}
+
 // ─── Internal helpers ─────────────────────────────────────────────────────────
 
+/** Merges the `group` and `groups` fields of an entry into one de-duplicated list. */
+function normalizeGroups(entry) {
+  const groups = [...(entry.groups ?? []), ...(entry.group ? [entry.group] : [])];
+  return [...new Set(groups)];
+}
+
 function makeQueueEntry(id) {
   return {
     id,
     status: DOWNLOAD_STATUS.PENDING,
     data: null,
+    generation: null,
+    blockSize: null,
+    storedIn: null,
+    chunksIn: null,
+    chunkSource: null,
+    storedBytes: 0,
     bytesDownloaded: 0,
     totalBytes: null,
     byteOffset: 0,
@@ -113,8 +259,13 @@ function makeQueueEntry(id) {
     lastAttemptAt: null,
     errorMessage: null,
     deferredReason: null,
+    blockedBy: null,
     completedAt: null,
     expiresAt: null,
+    staleUntil: null,
+    etag: null,
+    lastModified: null,
+    lastAccessedAt: null,
   };
 }
 
@@ -122,27 +273,62 @@ function makeQueueEntry(id) {
  * Patches status fields onto the registry record so status reads
  * only need to query the registry store, never the download queue.
  * Exported so downloader.js can call it via updateQueue.
+ * Members of groups also get a (coalesced) 'group-progress' event.
+ * @param {object} ctx
  * @param {string} id
  * @param {object} patch
  */
-export async function syncStatusToRegistry(id, patch) {
-  const reg = await dbGet(STORES.REGISTRY, id);
-  if (reg) await dbPut(STORES.REGISTRY, { ...reg, ...patch });
+export async function syncStatusToRegistry(ctx, id, patch) {
+  const reg = await dbGet(ctx, STORES.REGISTRY, id);
+  if (!reg) return;
+  const updated = { ...reg, ...patch };
+  await dbPut(ctx, STORES.REGISTRY, updated);
+  trackRegistryRecord(ctx, id, updated);
+  scheduleGroupProgress(ctx, reg.groups);
 }
 
 /**
  * Computes the expiresAt timestamp from a completedAt time and a ttl (seconds).
  * Returns null if ttl is absent, zero, or falsy (meaning never expires).
  *
+ * With ttl: 'http' the freshness read from the response headers is used
+ * instead. A lifetime of 0 (e.g. no-cache) expires immediately; a response
+ * with no freshness information never expires.
+ *
  * @param {number} completedAt — ms timestamp
- * @param {number|undefined} ttl — seconds
+ * @param {number|'http'|undefined} ttl — seconds, or 'http'
+ * @param {{ ttl: number|null }|null} [freshness] — from parseFreshness()
  * @returns {number|null}
  */
-export function computeExpiresAt(completedAt, ttl) {
+export function computeExpiresAt(completedAt, ttl, freshness = null) {
+  if (ttl === 'http') {
+    const seconds = freshness?.ttl ?? null;
+    return seconds === null ? null : completedAt + seconds * 1000;
+  }
   if (!ttl) return null;
   return completedAt + ttl * 1000;
 }
 
+/**
+ * Computes the staleUntil timestamp — the end of the stale-while-revalidate
+ * window that starts at expiresAt. The registry entry's staleWhileRevalidate
+ * wins; entries with ttl: 'http' fall back to the header's
+ * stale-while-revalidate directive. Returns null when there is no window,
+ * meaning expired data stays usable until it is replaced.
+ *
+ * @param {number|null} expiresAt — ms timestamp
+ * @param {object} registryEntry
+ * @param {{ staleWhileRevalidate: number|null }|null} [freshness] — from parseFreshness()
+ * @returns {number|null}
+ */
+export function computeStaleUntil(expiresAt, registryEntry, freshness = null) {
+  if (!expiresAt) return null;
+  const window = registryEntry.staleWhileRevalidate
+    ?? (registryEntry.ttl === 'http' ? freshness?.staleWhileRevalidate : null)
+    ?? null;
+  return window === null ? null : expiresAt + window * 1000;
+}
+
 /**
  * Returns true if an expiresAt timestamp has passed.
  * @param {number|null} expiresAt
@@ -153,6 +339,17 @@ export function isExpired(expiresAt) {
   return Date.now() >= expiresAt;
 }
 
+/**
+ * Returns true if a queue or registry record has data that may be used: the
+ * status is complete or expired and any stale-while-revalidate window has not
+ * run out.
+ * @param {object|undefined} record
+ * @returns {boolean}
+ */
+export function isUsable(record) {
+  return READY_STATUSES.has(record?.status) && !isExpired(record?.staleUntil);
+}
+
 // ─── Public API ───────────────────────────────────────────────────────────────
 
 /**
@@ -163,16 +360,33 @@ export function isExpired(expiresAt) {
  *   Existing array buffer remains accessible until the new download completes.
  * - Existing, version unchanged or lower: no-op.
  *
+ * An entry's resolveUrl function is not stored; each call replaces (or, when
+ * omitted, removes) the one kept in memory for the id, whatever the version.
+ *
+ * @param {object} ctx
  * @param {object} entry
  * @returns {Promise<void>}
  */
-export async function registerFile(entry) {
+export async function registerFile(ctx, entry) {
   try {
     validateEntry(entry);
 
+    // The retrieve APIs would find the registered file, never the extracted one
+    const child = await getArchiveFile(ctx, entry.id);
+    if (child) {
+      throw new Error(`"${entry.id}" is a file extracted from "${child.parentId}" and cannot be registered.`);
+    }
+
+    // Kept in memory only, so it applies whether or not the registry changes
+    setEntryUrlResolver(ctx, entry.id, entry.resolveUrl ?? null);
+
     const now = Date.now();
-    const existing = await dbGet(STORES.REGISTRY, entry.id);
-    const existingQueue = await dbGet(STORES.DOWNLOAD_QUEUE, entry.id);
+    const existing = await dbGet(ctx, STORES.REGISTRY, entry.id);
+    const existingQueue = await dbGet(ctx, STORES.DOWNLOAD_QUEUE, entry.id);
+
+    if (!existing || entry.version > existing.version) {
+      await assertNoDependencyCycle(ctx, entry);
+    }
 
     const registryRecord = {
       id: entry.id,
@@ -182,7 +396,16 @@ export async function registerFile(entry) {
       protected: entry.protected ?? false,
       priority: entry.priority ?? 10,
       ttl: entry.ttl ?? 0,
+      staleWhileRevalidate: entry.staleWhileRevalidate ?? null,
       totalBytes: entry.totalBytes ?? null,
+      rangeConcurrency: entry.rangeConcurrency ?? null,
+      integrity: entry.integrity ?? null,
+      decompress: entry.decompress ?? null,
+      extract: entry.extract ?? false,
+      groups: normalizeGroups(entry),
+      dependsOn: entry.dependsOn ?? [],
+      storage: entry.storage ?? null,
+      request: entry.request ?? null,
       metadata: entry.metadata ?? {},
       registeredAt: existing?.registeredAt ?? now,
       updatedAt: now,
@@ -194,14 +417,17 @@ export async function registerFile(entry) {
         lastAttemptAt: null,
         errorMessage: null,
         deferredReason: null,
+        blockedBy: null,
         completedAt: null,
         expiresAt: null,
+        staleUntil: null,
       }),
     };
 
     if (existing) {
       if (entry.version > existing.version) {
-        await dbPut(STORES.REGISTRY, registryRecord);
+        await dbPut(ctx, STORES.REGISTRY, registryRecord);
+        trackRegistryRecord(ctx, entry.id, registryRecord);
 
         // Preserve the existing data array buffer while re-queuing so data stays accessible
         const newQueueEntry = existingQueue
@@ -213,43 +439,61 @@ export async function registerFile(entry) {
             retryCount: 0,
             errorMessage: null,
             deferredReason: null,
+            blockedBy: null,
+            chunksIn: null,
+            chunkSource: null,
             completedAt: null,
             expiresAt: null,
-            // data array buffer intentionally kept so retrieve() still works during re-download
+            staleUntil: null,
+            // A new version must be fetched in full, never revalidated
+            etag: null,
+            lastModified: null,
+            // stored data (blocks) intentionally kept so retrieve() still works during re-download
           }
           : makeQueueEntry(entry.id);
 
-        await dbPut(STORES.DOWNLOAD_QUEUE, newQueueEntry);
+        await dbPut(ctx, STORES.DOWNLOAD_QUEUE, newQueueEntry);
 
-        // Reset status fields on the registry record for the version bump
-        await syncStatusToRegistry(entry.id, {
+        // Partial chunks belong to the old version and must not be resumed
+        const partialGeneration = existingQueue?.chunksIn === 'opfs' ? (existingQueue.generation ?? 0) + 1 : null;
+        await clearChunks(ctx, entry.id, partialGeneration);
+
+        // Reset status fields on the registry record for the version bump;
+        // the stored data is kept, so its fields stay mirrored
+        await syncStatusToRegistry(ctx, entry.id, {
+          storedIn: existingQueue?.storedIn ?? null,
+          storedBytes: existingQueue?.storedBytes ?? 0,
+          lastAccessedAt: existingQueue?.lastAccessedAt ?? null,
           status: DOWNLOAD_STATUS.PENDING,
           bytesDownloaded: 0,
           retryCount: 0,
           errorMessage: null,
           deferredReason: null,
+          blockedBy: null,
           completedAt: null,
           expiresAt: null,
+          staleUntil: null,
         });
 
-        emit('registered', { id: entry.id, reason: 'version-updated' });
-        _notifyNewWork();
+        emit(ctx, 'registered', { id: entry.id, reason: 'version-updated' });
+        _notifyNewWork(ctx);
       }
       // Version unchanged or lower — no-op
       return;
     }
 
     // Brand new entry
-    await dbPut(STORES.REGISTRY, registryRecord);
-    await dbPut(STORES.DOWNLOAD_QUEUE, makeQueueEntry(entry.id));
-    emit('registered', { id: entry.id, reason: 'new' });
-    _notifyNewWork();
+    await dbPut(ctx, STORES.REGISTRY, registryRecord);
+    trackRegistryRecord(ctx, entry.id, registryRecord);
+    await dbPut(ctx, STORES.DOWNLOAD_QUEUE, makeQueueEntry(entry.id));
+    emit(ctx, 'registered', { id: entry.id, reason: 'new' });
+    _notifyNewWork(ctx);
   } catch (err) {
     if (err?.name === 'QuotaExceededError') {
-      emit('error', { id: id, reason: 'insufficient-storage', willRetry: false });
+      emit(ctx, 'error', { id: entry?.id, reason: 'insufficient-storage', willRetry: false });
       return;
     } else {
-      emit('error', { id: id, reason: (err?.message ?? err), willRetry: false });
+      emit(ctx, 'error', { id: entry?.id, reason: (err?.message ?? err), willRetry: false });
     }
   }
 }
@@ -258,16 +502,17 @@ export async function registerFile(entry) {
  * Registers an array of file entries. 
  * If a registry item is already registered, the version will be checked to see if there is new information.
  *
+ * @param {object} ctx
  * @param {object[]} entries
  * @returns {Promise<{ registered: string[] }>}
  */
-export async function registerFiles(entries) {
+export async function registerFiles(ctx, entries) {
   if (!Array.isArray(entries)) {
     throw new Error('registerFiles expects an array.');
   }
 
   for (const entry of entries) {
-    await registerFile(entry);
+    await registerFile(ctx, entry);
   }
 
   return { registered: entries.map((e) => e.id) };
@@ -275,26 +520,28 @@ export async function registerFiles(entries) {
 
 /**
  * Updates the metadata in the registry. Adds to, doesn't replace it. Pass in an empty object to clear as null will be ignored.
+ * @param {object} ctx
  * @param {string} id The of the registry record to update.
  * @param {Object} metadata The metadata object to merge.
  * @returns {Promise<void>}
  */
-export async function updateRegistryMetadata(id, metadata) {
+export async function updateRegistryMetadata(ctx, id, metadata) {
   try {
     if (id && metadata) {
-      const existing = await dbGet(STORES.REGISTRY, entry.id);
+      const existing = await dbGet(ctx, STORES.REGISTRY, id);
 
       if (existing) {
         existing.metadata = { ...(existing.metadata ?? {}), ...metadata };
-        await dbPut(STORES.REGISTRY, existing);
+        await dbPut(ctx, STORES.REGISTRY, existing);
+        trackRegistryRecord(ctx, id, existing);
       }
     }
   } catch (err) {
     if (err?.name === 'QuotaExceededError') {
-      emit('error', { id: id, reason: 'insufficient-storage', willRetry: false });
+      emit(ctx, 'error', { id: id, reason: 'insufficient-storage', willRetry: false });
       return;
     } else {
-      emit('error', { id: id, reason: (err?.message ?? err), willRetry: false });
+      emit(ctx, 'error', { id: id, reason: (err?.message ?? err), willRetry: false });
     }
   }
 }
@@ -304,21 +551,22 @@ export async function updateRegistryMetadata(id, metadata) {
  * expired to `expired` status, queuing them for re-download.
  *
  * Called internally by the download loop before each drain cycle.
+ * @param {object} ctx
  * @returns {Promise<string[]>} IDs of entries that were marked expired
  */
-export async function evaluateExpiry() {
-  const allQueue = await dbGetAll(STORES.DOWNLOAD_QUEUE);
+export async function evaluateExpiry(ctx) {
+  const allQueue = await dbGetAll(ctx, STORES.DOWNLOAD_QUEUE);
   const expiredIds = [];
 
   for (const entry of allQueue) {
     if (entry.status === DOWNLOAD_STATUS.COMPLETE && isExpired(entry.expiresAt)) {
-      await dbPut(STORES.DOWNLOAD_QUEUE, {
+      await dbPut(ctx, STORES.DOWNLOAD_QUEUE, {
         ...entry,
         status: DOWNLOAD_STATUS.EXPIRED,
       });
-      await syncStatusToRegistry(entry.id, { status: DOWNLOAD_STATUS.EXPIRED });
+      await syncStatusToRegistry(ctx, entry.id, { status: DOWNLOAD_STATUS.EXPIRED });
       expiredIds.push(entry.id);
-      emit('expired', { id: entry.id });
+      emit(ctx, 'expired', { id: entry.id });
     }
   }
 
@@ -330,12 +578,14 @@ export async function evaluateExpiry() {
  * state, plus a storage summary. Status fields are read directly from the
  * registry — the download queue is not consulted.
  *
+ * @param {object} ctx
  * @returns {Promise<{ items: object[], storage: object }>}
  */
-export async function getAllStatus() {
-  const [registryEntries, storageEstimate] = await Promise.all([
-    dbGetAll(STORES.REGISTRY),
+export async function getAllStatus(ctx) {
+  const [registryEntries, storageEstimate, library] = await Promise.all([
+    dbGetAll(ctx, STORES.REGISTRY),
     getStorageEstimate(),
+    getStorageUsage(ctx),
   ]);
 
   const items = registryEntries
@@ -351,6 +601,7 @@ export async function getAllStatus() {
       usageFormatted: formatBytes(storageEstimate.usage),
       quotaFormatted: formatBytes(storageEstimate.quota),
       availableFormatted: formatBytes(storageEstimate.available),
+      library,
     },
   };
 }
@@ -360,22 +611,29 @@ export async function getAllStatus() {
  * or null if not registered. Status fields are read directly from the
  * registry — the download queue is not consulted.
  *
+ * Ids of files extracted from an archive return a smaller status object
+ * whose download state is the parent's.
+ *
+ * @param {object} ctx
  * @param {string} id
  * @returns {Promise<object|null>}
  */
-export async function getStatus(id) {
-  const reg = await dbGet(STORES.REGISTRY, id);
-  if (!reg) return null;
+export async function getStatus(ctx, id) {
+  const reg = await dbGet(ctx, STORES.REGISTRY, id);
+  if (reg) return processStatus(reg);
 
-  return processStatus(reg);
+  const child = await getArchiveFile(ctx, id);
+  const parent = child && await dbGet(ctx, STORES.REGISTRY, child.parentId);
+  return parent ? processArchiveFileStatus(child, parent) : null;
 }
 
 /**
  * Takes a registry entry and processes it to create a status response.
+ * Exported for the group status in groups.js.
  * @param {*} reg The registry item.
  * @returns The enhanced status information for the registry.
  */
-function processStatus(reg) {
+export function processStatus(reg) {
   return {
     id: reg.id,
     downloadUrl: reg.downloadUrl,
@@ -384,7 +642,16 @@ function processStatus(reg) {
     protected: reg.protected,
     priority: reg.priority,
     ttl: reg.ttl,
+    staleWhileRevalidate: reg.staleWhileRevalidate ?? null,
     totalBytes: reg.totalBytes,
+    rangeConcurrency: reg.rangeConcurrency ?? null,
+    integrity: reg.integrity ?? null,
+    decompress: reg.decompress ?? null,
+    extract: reg.extract ?? false,
+    groups: reg.groups ?? [],
+    dependsOn: reg.dependsOn ?? [],
+    storage: reg.storage ?? null,
+    request: reg.request ?? null,
     metadata: reg.metadata,
     registeredAt: reg.registeredAt,
     updatedAt: reg.updatedAt,
@@ -398,24 +665,57 @@ function processStatus(reg) {
     lastAttemptAt: reg.lastAttemptAt ?? null,
     errorMessage: reg.errorMessage ?? null,
     deferredReason: reg.deferredReason ?? null,
+    blockedBy: reg.blockedBy ?? null,
+    storedIn: reg.storedIn ?? null,
+    storedBytes: reg.storedBytes ?? 0,
     completedAt: reg.completedAt ?? null,
     expiresAt: reg.expiresAt ?? null,
+    staleUntil: reg.staleUntil ?? null,
+    lastAccessedAt: reg.lastAccessedAt ?? null,
+  };
+}
+
+/**
+ * Creates the status response for a file extracted from an archive.
+ * @param {object} child The archive file record.
+ * @param {object} parent The parent's registry item.
+ * @returns The status information for the child file.
+ */
+function processArchiveFileStatus(child, parent) {
+  return {
+    id: child.id,
+    parentId: child.parentId,
+    path: child.path,
+    mimeType: child.mimeType,
+    version: parent.version,
+    storedBytes: child.storedBytes,
+    downloadStatus: parent.status ?? null,
+    completedAt: parent.completedAt ?? null,
+    expiresAt: parent.expiresAt ?? null,
+    staleUntil: parent.staleUntil ?? null,
   };
 }
 
 /**
  * Returns true if a file has data available (complete or expired).
- * An expired file still has a valid array buffer — it is simply due for refresh.
+ * An expired file still has a valid array buffer — it is simply due for refresh —
+ * unless it has a stale-while-revalidate window that has run out.
  *
+ * @param {object} ctx
  * @param {string} id
  * @returns {Promise<boolean>}
  */
-export async function isReady(id) {
-  const reg = await dbGet(STORES.REGISTRY, id);
+export async function isReady(ctx, id) {
+  const reg = await dbGet(ctx, STORES.REGISTRY, id);
+  if (!reg) {
+    // Files extracted from an archive are ready when their parent is
+    const child = await getArchiveFile(ctx, id);
+    if (child) return isReady(ctx, child.parentId);
+  }
   if (reg?.status) {
-    return READY_STATUSES.has(reg?.status);
+    return isUsable(reg);
   }
 
-  const queue = await dbGet(STORES.DOWNLOAD_QUEUE, id);
-  return READY_STATUSES.has(queue?.status);
+  const queue = await dbGet(ctx, STORES.DOWNLOAD_QUEUE, id);
+  return isUsable(queue);
 }
\ No newline at end of file
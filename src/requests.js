@@ -0,0 +1,239 @@
+/**
+ * requests.js
+ * Builds the fetch() calls the downloader makes for a registry entry: the URL
+ * from the URL resolver, the entry's `request` options, and headers from the
+ * auth provider.
+ *
+ * Entry request options shape:
+ * {
+ *   headers:        object — extra request headers, e.g. { 'X-Api-Key': '...' }
+ *   credentials:    'omit'|'same-origin'|'include'
+ *   mode:           'cors'|'same-origin'
+ *   referrerPolicy: string — any fetch() referrerPolicy value
+ * }
+ *
+ * The auth provider registered with setAuthProvider() is called before every
+ * HEAD, GET, and Range request, so it can hand out the current token from its
+ * own cache. When a request is answered with 401 it is called once more with
+ * { refresh: true } and the request is repeated with the new headers; only if
+ * that also fails does the attempt count against the retry limit. The refresh
+ * is made once per download attempt: parallel Range requests rejected with 401
+ * all wait for it and repeat with its headers.
+ *
+ * URL resolvers are for short-lived signed URLs (presigned S3, SAS, ...). A
+ * resolver — the entry's `resolveUrl`, else the one set with setUrlResolver() —
+ * is called before each download attempt, and again with { refresh: true }
+ * when a request still fails with 401/403 or a 400 that reports an expired
+ * URL; the request is then repeated once with the new URL. The resolved URL
+ * only lives for the attempt (see createDownloadTarget()), so the registry
+ * always keeps the canonical downloadUrl. Requests running in parallel share
+ * one refresh.
+ */
+
+export const REQUEST_CREDENTIALS = ['omit', 'same-origin', 'include'];
+
+// 'no-cors' is left out on purpose: opaque responses have no readable body
+export const REQUEST_MODES = ['cors', 'same-origin'];
+
+// The auth provider and URL resolvers live on the instance's context
+// (ctx.requests, see context.js). entryUrlResolvers maps id → the resolveUrl
+// function passed to registerFile(); functions cannot be stored in the
+// registry, so they only live for the session.
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Sets (or with null, removes) the function that supplies auth headers for
+ * download requests.
+ * @param {object} ctx
+ * @param {((entry: object, context: { refresh: boolean }) => Promise<object|Headers|null>)|null} provider
+ *   — receives the registry entry; `refresh` is true after a 401
+ */
+export function setAuthProvider(ctx, provider) {
+  if (provider !== null && typeof provider !== 'function') {
+    throw new Error('setAuthProvider: provider must be a function or null.');
+  }
+  ctx.requests.authProvider = provider;
+}
+
+/**
+ * Sets (or with null, removes) the URL resolver used for entries that have no
+ * resolveUrl of their own.
+ * @param {object} ctx
+ * @param {((entry: object, context: { refresh: boolean, status: number|null }) => Promise<string|URL>)|null} resolver
+ *   — receives the registry entry; `refresh` is true when the previous URL was rejected
+ */
+export function setUrlResolver(ctx, resolver) {
+  if (resolver !== null && typeof resolver !== 'function') {
+    throw new Error('setUrlResolver: resolver must be a function or null.');
+  }
+  ctx.requests.urlResolver = resolver;
+}
+
+/**
+ * Remembers (or with null, forgets) an entry's own URL resolver. Called by
+ * registerFile() and deleteFile().
+ * @param {object} ctx
+ * @param {string} id
+ * @param {Function|null} resolver
+ */
+export function setEntryUrlResolver(ctx, id, resolver) {
+  if (resolver) ctx.requests.entryUrlResolvers.set(id, resolver);
+  else ctx.requests.entryUrlResolvers.delete(id);
+}
+
+/**
+ * Throws if an entry's `request` option is malformed. Called by registerFile().
+ * @param {object} entry
+ */
+export function validateRequestOptions(entry) {
+  const { request } = entry;
+  if (request === undefined || request === null) return;
+
+  if (typeof request !== 'object' || Array.isArray(request)) {
+    throw new Error(`Entry "${entry.id}" request must be an object or omitted.`);
+  }
+  if (request.headers !== undefined && request.headers !== null
+    && (typeof request.headers !== 'object' || Array.isArray(request.headers)
+      || Object.values(request.headers).some((v) => typeof v !== 'string'))) {
+    throw new Error(`Entry "${entry.id}" request.headers must be an object of string values.`);
+  }
+  if (request.credentials !== undefined && !REQUEST_CREDENTIALS.includes(request.credentials)) {
+    throw new Error(`Entry "${entry.id}" request.credentials must be one of ${REQUEST_CREDENTIALS.map((c) => `'${c}'`).join(', ')}.`);
+  }
+  if (request.mode !== undefined && !REQUEST_MODES.includes(request.mode)) {
+    throw new Error(`Entry "${entry.id}" request.mode must be one of ${REQUEST_MODES.map((m) => `'${m}'`).join(', ')}.`);
+  }
+  if (request.referrerPolicy !== undefined && typeof request.referrerPolicy !== 'string') {
+    throw new Error(`Entry "${entry.id}" request.referrerPolicy must be a string.`);
+  }
+}
+
+/**
+ * Starts a download attempt: resolves the URL to fetch for an entry. Pass the
+ * returned target to every fetchForEntry() call of the attempt.
+ * @param {object} ctx
+ * @param {object} entry — registry entry
+ * @returns {Promise<{ entry: object, url: string, refreshing: Promise<void>|null, authRefresh: Promise<object|Headers|null>|null }>}
+ * @throws {Error} with reason 'url-resolve-failed' if the resolver throws
+ */
+export async function createDownloadTarget(ctx, entry) {
+  return {
+    entry,
+    url: await resolveUrl(ctx, entry, { refresh: false, status: null }),
+    refreshing: null,
+    authRefresh: null,
+  };
+}
+
+/**
+ * Fetches the target's URL with the entry's request options and auth headers.
+ * A 401 is repeated once with refreshed auth headers; a request that is then
+ * still rejected as unauthorized or expired is repeated once with a freshly
+ * resolved URL, which the target keeps for later requests.
+ * @param {object} ctx
+ * @param {{ entry: object, url: string, refreshing: Promise<void>|null, authRefresh: Promise<object|Headers|null>|null }} target
+ * @param {object} [init]
+ * @param {string} [init.method='GET']
+ * @param {object} [init.headers] — request-specific headers (Range, If-None-Match, ...);
+ *   these take precedence over the entry's and the auth provider's
+ * @param {AbortSignal} [init.signal]
+ * @returns {Promise<Response>}
+ * @throws {Error} with reason 'auth-failed' if the auth provider throws
+ */
+export async function fetchForEntry(ctx, target, { method = 'GET', headers = {}, signal } = {}) {
+  const { entry } = target;
+  const send = async (url, authHeaders) => fetch(url, {
+    method,
+    signal,
+    headers: buildHeaders(entry, await authHeaders, headers),
+    credentials: entry.request?.credentials,
+    mode: entry.request?.mode,
+    referrerPolicy: entry.request?.referrerPolicy,
+  });
+
+  const url = target.url;
+  let response = await send(url, getAuthHeaders(ctx, entry, false));
+  if (response.status === 401 && ctx.requests.authProvider) {
+    // Parallel requests rejected with 401 share the attempt's one refresh
+    target.authRefresh ??= getAuthHeaders(ctx, entry, true);
+    response = await send(url, target.authRefresh);
+  }
+
+  if (!getUrlResolver(ctx, entry) || !(await isRejectedUrl(response))) return response;
+
+  // Parallel requests share one refresh; a request that failed on a URL that
+  // has since been replaced just uses the new one.
+  if (target.url === url) {
+    target.refreshing ??= resolveUrl(ctx, entry, { refresh: true, status: response.status })
+      .then((newUrl) => { target.url = newUrl; })
+      .finally(() => { target.refreshing = null; });
+  }
+  await target.refreshing;
+  return send(target.url, target.authRefresh ?? getAuthHeaders(ctx, entry, false));
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Returns the URL resolver that applies to an entry, or null. */
+function getUrlResolver(ctx, entry) {
+  return ctx.requests.entryUrlResolvers.get(entry.id) ?? ctx.requests.urlResolver;
+}
+
+/** Returns the URL to fetch for an entry: the resolver's, else the downloadUrl. */
+async function resolveUrl(ctx, entry, context) {
+  const resolver = getUrlResolver(ctx, entry);
+  if (!resolver) return entry.downloadUrl;
+
+  let url;
+  try {
+    url = await resolver(entry, context);
+  } catch (err) {
+    const failure = new Error(`URL resolver failed for "${entry.id}": ${err?.message ?? err}`);
+    failure.reason = 'url-resolve-failed';
+    throw failure;
+  }
+  if (!url || (typeof url !== 'string' && !(url instanceof URL))) {
+    const failure = new Error(`URL resolver for "${entry.id}" did not return a URL.`);
+    failure.reason = 'url-resolve-failed';
+    throw failure;
+  }
+  return String(url);
+}
+
+/**
+ * Returns true if a response means the URL (or its signature) is no longer
+ * accepted: 401, 403, or a 400 whose body mentions expiry (as some signed-URL
+ * services report it).
+ */
+async function isRejectedUrl(response) {
+  if (response.status === 401 || response.status === 403) return true;
+  if (response.status !== 400) return false;
+  try {
+    return /expire/i.test(await response.clone().text());
+  } catch {
+    return false;
+  }
+}
+
+/** Returns the auth provider's headers for an entry, or null without a provider. */
+async function getAuthHeaders(ctx, entry, refresh) {
+  const { authProvider } = ctx.requests;
+  if (!authProvider) return null;
+
+  try {
+    return await authProvider(entry, { refresh });
+  } catch (err) {
+    const failure = new Error(`Auth provider failed for "${entry.id}": ${err?.message ?? err}`);
+    failure.reason = 'auth-failed';
+    throw failure;
+  }
+}
+
+/** Merges the entry's headers, the auth headers, and request headers. */
+function buildHeaders(entry, authHeaders, requestHeaders) {
+  const headers = new Headers(entry.request?.headers ?? {});
+  new Headers(authHeaders ?? {}).forEach((value, name) => headers.set(name, value));
+  for (const [name, value] of Object.entries(requestHeaders)) headers.set(name, value);
+  return headers;
+}
\ No newline at end of file
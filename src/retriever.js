@@ -0,0 +1,313 @@
+/**
+ * retriever.js
+ * Read access to stored file data.
+ *
+ * Shared by the public retrieve APIs and the service worker fetch handler so
+ * they all apply the same readiness and staleness rules.
+ */
+
+import { dbGet, STORES } from './db.js';
+import { READY_STATUSES, isExpired } from './registry.js';
+import { BLOCK_SIZE, hasData, getDataSize, readData, readRange } from './blocks.js';
+import { getOPFSFile } from './opfs.js';
+import { getTrackedURL, trackURL } from './objectUrls.js';
+import { decode, resolveFormat } from './decoders.js';
+import { getArchiveFile } from './archive.js';
+import { recordAccess } from './eviction.js';
+
+// ─── Internal helpers ─────────────────────────────────────────────────────────
+
+/**
+ * Loads the registry and queue records for a file. For a file extracted from
+ * an archive these are the parent's, with the child's storage fields laid
+ * over the queue record so the block readers find the child's data.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<{ reg: object|undefined, queue: object|undefined }>}
+ */
+async function loadEntry(ctx, id) {
+  const [reg, queue] = await Promise.all([
+    dbGet(ctx, STORES.REGISTRY, id),
+    dbGet(ctx, STORES.DOWNLOAD_QUEUE, id),
+  ]);
+  if (reg) return { reg, queue };
+
+  const child = await getArchiveFile(ctx, id);
+  if (!child) return { reg, queue };
+
+  const [parentReg, parentQueue] = await Promise.all([
+    dbGet(ctx, STORES.REGISTRY, child.parentId),
+    dbGet(ctx, STORES.DOWNLOAD_QUEUE, child.parentId),
+  ]);
+  return {
+    reg: parentReg,
+    queue: parentQueue && { ...parentQueue, ...child, data: null },
+  };
+}
+
+/**
+ * Loads the queue record for a file and checks that its data may be read.
+ * Unless `touch` is false the read is recorded for the LRU eviction policy;
+ * reads of a file extracted from an archive count for the archive.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {string} caller — API name used to prefix error messages
+ * @param {{ allowStale?: boolean, touch?: boolean }} options
+ * @returns {Promise<object>} the queue record
+ */
+async function getReadableEntry(ctx, id, caller, { allowStale = false, touch = true } = {}) {
+  const { reg, queue } = await loadEntry(ctx, id);
+
+  if (!reg) {
+    throw new Error(`${caller}: No registered file with id "${id}".`);
+  }
+
+  if (!READY_STATUSES.has(queue?.status) || !hasData(queue)) {
+    throw new Error(
+      `${caller}: File "${id}" has no data yet (status: ${queue?.status ?? 'unknown'}).`
+    );
+  }
+
+  if (!allowStale && isExpired(queue.staleUntil)) {
+    throw new Error(
+      `${caller}: File "${id}" is stale; its stale-while-revalidate window ended at ${new Date(queue.staleUntil).toISOString()}.`
+    );
+  }
+
+  if (touch) await recordAccess(ctx, reg.id, queue.lastAccessedAt);
+  return queue;
+}
+
+/**
+ * Builds a Blob from a queue record's data, one part per stored block. Data in
+ * OPFS is wrapped as-is, without reading it into memory.
+ */
+async function toBlob(ctx, queueEntry) {
+  const totalBytes = getDataSize(queueEntry);
+  const blockSize = queueEntry.blockSize ?? BLOCK_SIZE;
+  const parts = [];
+
+  if (queueEntry.storedIn === 'opfs') {
+    parts.push(await getOPFSFile(ctx, queueEntry.id, queueEntry.generation));
+  } else if (queueEntry.data) {
+    parts.push(queueEntry.data);
+  } else {
+    for (let offset = 0; offset < totalBytes; offset += blockSize) {
+      parts.push(await readRange(ctx, queueEntry, offset, Math.min(offset + blockSize, totalBytes)));
+    }
+  }
+
+  return new Blob(parts, { type: queueEntry.mimeType ?? '' });
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+/**
+ * Retrieves the stored file data for a registered file.
+ * Returns the array buffer and content type.
+ *
+ * Returns the data even if the file is expired; expiry only means a refresh is
+ * queued, not that the data is gone. Entries with a staleWhileRevalidate window
+ * are the exception: once the window has run out the data is hard-stale and
+ * is only returned with { allowStale: true }.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<{ data: ArrayBuffer, mimeType: string }>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export async function retrieve(ctx, id, { allowStale = false } = {}) {
+  const queue = await getReadableEntry(ctx, id, 'retrieve', { allowStale });
+  return { data: await readData(ctx, queue), mimeType: queue.mimeType };
+}
+
+/**
+ * Retrieves a stored file decoded into a usable value. With no format, the
+ * stored mimeType chooses the decoder (see decoders.js); custom formats are
+ * added with registerDecoder().
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {string} [format] — 'arraybuffer', 'blob', 'text', 'json', 'xml', or a registered format
+ * @param {object}  [options]
+ * @param {string}  [options.encoding='utf-8'] — text encoding for text-based formats
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<any>}
+ * @throws {DecodeError} if the data cannot be decoded
+ */
+export async function retrieveAs(ctx, id, format, { encoding = 'utf-8', allowStale = false } = {}) {
+  const queue = await getReadableEntry(ctx, id, 'retrieveAs', { allowStale });
+  const { mimeType } = queue;
+  return decode(ctx, await readData(ctx, queue), {
+    id,
+    mimeType,
+    format: format ?? resolveFormat(ctx, mimeType),
+    encoding,
+  });
+}
+
+/**
+ * Retrieves a stored file parsed as JSON.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {{ encoding?: string, allowStale?: boolean }} [options]
+ * @returns {Promise<any>}
+ * @throws {DecodeError} if the data is not valid JSON
+ */
+export function retrieveJSON(ctx, id, options) {
+  return retrieveAs(ctx, id, 'json', options);
+}
+
+/**
+ * Retrieves a stored file decoded as text.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {{ encoding?: string, allowStale?: boolean }} [options]
+ * @returns {Promise<string>}
+ * @throws {DecodeError} if the encoding is not supported
+ */
+export function retrieveText(ctx, id, options) {
+  return retrieveAs(ctx, id, 'text', options);
+}
+
+/**
+ * Retrieves the stored file data as a Blob typed with the stored mimeType.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<Blob>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export async function retrieveBlob(ctx, id, { allowStale = false } = {}) {
+  const queue = await getReadableEntry(ctx, id, 'retrieveBlob', { allowStale });
+  return toBlob(ctx, queue);
+}
+
+// In-flight getObjectURL() promises, so concurrent calls share one URL, are
+// kept per instance in ctx.pendingObjectUrls, keyed by id and allowStale so a
+// call that rejects stale data never receives another call's stale URL
+
+/**
+ * Returns an object URL for the stored file, for use as an <img>, <video>,
+ * font, or model loader source.
+ *
+ * The URL is cached per file and reused by later calls. It is revoked
+ * automatically when the file is deleted or a new download replaces its
+ * data; the next call then returns a fresh URL. revokeObjectURL(id) releases
+ * it early.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<string>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export function getObjectURL(ctx, id, { allowStale = false } = {}) {
+  const key = JSON.stringify([id, allowStale]);
+  if (ctx.pendingObjectUrls.has(key)) return ctx.pendingObjectUrls.get(key);
+
+  const pending = (async () => {
+    const queue = await getReadableEntry(ctx, id, 'getObjectURL', { allowStale });
+    const generation = queue.generation ?? null;
+
+    const existing = getTrackedURL(ctx, id, generation);
+    if (existing) return existing;
+
+    const url = URL.createObjectURL(await toBlob(ctx, queue));
+    trackURL(ctx, id, generation, url);
+    return url;
+  })().finally(() => ctx.pendingObjectUrls.delete(key));
+
+  ctx.pendingObjectUrls.set(key, pending);
+  return pending;
+}
+
+/**
+ * Retrieves bytes [start, end) of a stored file without loading the rest of
+ * it — only the blocks overlapping the range are read. The range is clamped
+ * to the file size, like ArrayBuffer.prototype.slice().
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} start — first byte (inclusive)
+ * @param {number} [end] — last byte (exclusive); defaults to the end of the file
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<{ data: ArrayBuffer, mimeType: string, totalBytes: number }>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export async function retrieveRange(ctx, id, start, end, { allowStale = false } = {}) {
+  if (!Number.isInteger(start) || start < 0) {
+    throw new Error(`retrieveRange: start must be a non-negative integer (got ${start}).`);
+  }
+  if (end !== undefined && end !== null && (!Number.isInteger(end) || end < 0)) {
+    throw new Error(`retrieveRange: end must be a non-negative integer or omitted (got ${end}).`);
+  }
+
+  const queue = await getReadableEntry(ctx, id, 'retrieveRange', { allowStale });
+  const totalBytes = getDataSize(queue);
+  const from = Math.min(start, totalBytes);
+  const to = Math.max(from, Math.min(end ?? totalBytes, totalBytes));
+
+  return { data: await readRange(ctx, queue, from, to), mimeType: queue.mimeType, totalBytes };
+}
+
+/**
+ * Returns the stored data of a file as a ReadableStream, reading one stored
+ * block at a time so the whole file is never held in memory. Pipe it through
+ * DecompressionStream, TextDecoderStream, or a line parser as needed.
+ *
+ * The readiness checks run when the stream is created. If the file is deleted
+ * or replaced by a newer download while it is being read, the stream errors
+ * instead of mixing data from two versions.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — stream data past its stale-while-revalidate window
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export async function retrieveStream(ctx, id, { allowStale = false } = {}) {
+  const queue = await getReadableEntry(ctx, id, 'retrieveStream', { allowStale });
+  const totalBytes = getDataSize(queue);
+  const blockSize = queue.blockSize ?? BLOCK_SIZE;
+  let offset = 0;
+
+  return new ReadableStream({
+    async pull(controller) {
+      if (offset >= totalBytes) {
+        controller.close();
+        return;
+      }
+
+      const end = Math.min(offset + blockSize, totalBytes);
+      try {
+        const data = await readRange(ctx, queue, offset, end);
+        offset = end;
+        controller.enqueue(new Uint8Array(data));
+      } catch (err) {
+        controller.error(new Error(`retrieveStream: ${err.message}`));
+      }
+    },
+  }, { highWaterMark: 1 });
+}
+
+/**
+ * Returns the mime type and size of a stored file without reading its data.
+ * Applies the same checks as retrieve().
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {{ allowStale?: boolean }} [options]
+ * @returns {Promise<{ mimeType: string, totalBytes: number }>}
+ */
+export async function getStoredFileInfo(ctx, id, { allowStale = false } = {}) {
+  const queue = await getReadableEntry(ctx, id, 'getStoredFileInfo', { allowStale, touch: false });
+  return { mimeType: queue.mimeType, totalBytes: getDataSize(queue) };
+}
\ No newline at end of file
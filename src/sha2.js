@@ -0,0 +1,211 @@
+/**
+ * sha2.js
+ * Incremental SHA-256, SHA-384 and SHA-512 (FIPS 180-4).
+ *
+ * SubtleCrypto only hashes a complete buffer. Files written to the Origin
+ * Private File System as they arrive (see opfs.js) are never held in memory
+ * whole, so their integrity is checked with these instead: the data is fed
+ * in order, one piece at a time, as it is written.
+ *
+ * 64-bit words (SHA-384/512) are kept as pairs of 32-bit halves, high half
+ * first.
+ */
+
+// ─── Constants ────────────────────────────────────────────────────────────────
+
+const K256 = new Int32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const K512 = new Int32Array([
+  0x428a2f98, 0xd728ae22, 0x71374491, 0x23ef65cd, 0xb5c0fbcf, 0xec4d3b2f, 0xe9b5dba5, 0x8189dbbc,
+  0x3956c25b, 0xf348b538, 0x59f111f1, 0xb605d019, 0x923f82a4, 0xaf194f9b, 0xab1c5ed5, 0xda6d8118,
+  0xd807aa98, 0xa3030242, 0x12835b01, 0x45706fbe, 0x243185be, 0x4ee4b28c, 0x550c7dc3, 0xd5ffb4e2,
+  0x72be5d74, 0xf27b896f, 0x80deb1fe, 0x3b1696b1, 0x9bdc06a7, 0x25c71235, 0xc19bf174, 0xcf692694,
+  0xe49b69c1, 0x9ef14ad2, 0xefbe4786, 0x384f25e3, 0x0fc19dc6, 0x8b8cd5b5, 0x240ca1cc, 0x77ac9c65,
+  0x2de92c6f, 0x592b0275, 0x4a7484aa, 0x6ea6e483, 0x5cb0a9dc, 0xbd41fbd4, 0x76f988da, 0x831153b5,
+  0x983e5152, 0xee66dfab, 0xa831c66d, 0x2db43210, 0xb00327c8, 0x98fb213f, 0xbf597fc7, 0xbeef0ee4,
+  0xc6e00bf3, 0x3da88fc2, 0xd5a79147, 0x930aa725, 0x06ca6351, 0xe003826f, 0x14292967, 0x0a0e6e70,
+  0x27b70a85, 0x46d22ffc, 0x2e1b2138, 0x5c26c926, 0x4d2c6dfc, 0x5ac42aed, 0x53380d13, 0x9d95b3df,
+  0x650a7354, 0x8baf63de, 0x766a0abb, 0x3c77b2a8, 0x81c2c92e, 0x47edaee6, 0x92722c85, 0x1482353b,
+  0xa2bfe8a1, 0x4cf10364, 0xa81a664b, 0xbc423001, 0xc24b8b70, 0xd0f89791, 0xc76c51a3, 0x0654be30,
+  0xd192e819, 0xd6ef5218, 0xd6990624, 0x5565a910, 0xf40e3585, 0x5771202a, 0x106aa070, 0x32bbd1b8,
+  0x19a4c116, 0xb8d2d0c8, 0x1e376c08, 0x5141ab53, 0x2748774c, 0xdf8eeb99, 0x34b0bcb5, 0xe19b48a8,
+  0x391c0cb3, 0xc5c95a63, 0x4ed8aa4a, 0xe3418acb, 0x5b9cca4f, 0x7763e373, 0x682e6ff3, 0xd6b2b8a3,
+  0x748f82ee, 0x5defb2fc, 0x78a5636f, 0x43172f60, 0x84c87814, 0xa1f0ab72, 0x8cc70208, 0x1a6439ec,
+  0x90befffa, 0x23631e28, 0xa4506ceb, 0xde82bde9, 0xbef9a3f7, 0xb2c67915, 0xc67178f2, 0xe372532b,
+  0xca273ece, 0xea26619c, 0xd186b8c7, 0x21c0c207, 0xeada7dd6, 0xcde0eb1e, 0xf57d4f7f, 0xee6ed178,
+  0x06f067aa, 0x72176fba, 0x0a637dc5, 0xa2c898a6, 0x113f9804, 0xbef90dae, 0x1b710b35, 0x131c471b,
+  0x28db77f5, 0x23047d84, 0x32caab7b, 0x40c72493, 0x3c9ebe0a, 0x15c9bebc, 0x431d67c4, 0x9c100d4c,
+  0x4cc5d4be, 0xcb3e42b6, 0x597f299c, 0xfc657e2a, 0x5fcb6fab, 0x3ad6faec, 0x6c44198c, 0x4a475817,
+]);
+
+const INITIAL_STATE = {
+  sha256: [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19,
+  ],
+  sha384: [
+    0xcbbb9d5d, 0xc1059ed8, 0x629a292a, 0x367cd507, 0x9159015a, 0x3070dd17, 0x152fecd8, 0xf70e5939,
+    0x67332667, 0xffc00b31, 0x8eb44a87, 0x68581511, 0xdb0c2e0d, 0x64f98fa7, 0x47b5481d, 0xbefa4fa4,
+  ],
+  sha512: [
+    0x6a09e667, 0xf3bcc908, 0xbb67ae85, 0x84caa73b, 0x3c6ef372, 0xfe94f82b, 0xa54ff53a, 0x5f1d36f1,
+    0x510e527f, 0xade682d1, 0x9b05688c, 0x2b3e6c1f, 0x1f83d9ab, 0xfb41bd6b, 0x5be0cd19, 0x137e2179,
+  ],
+};
+
+// ─── Compression functions ────────────────────────────────────────────────────
+
+const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+// One half of a 64-bit word (hi, lo) rotated or shifted right by n (0 < n < 64, n !== 32)
+const rotrHi = (hi, lo, n) => (n < 32 ? (hi >>> n) | (lo << (32 - n)) : (lo >>> (n - 32)) | (hi << (64 - n)));
+const rotrLo = (hi, lo, n) => (n < 32 ? (lo >>> n) | (hi << (32 - n)) : (hi >>> (n - 32)) | (lo << (64 - n)));
+const shrLo = (hi, lo, n) => (lo >>> n) | (hi << (32 - n));
+
+// What a sum of unsigned low halves carries into the high half
+const carry = (lo) => Math.floor(lo / 0x100000000);
+
+/** Hashes one 64-byte block at `pos` into the SHA-256 state. */
+function compress256(state, W, bytes, pos) {
+  for (let i = 0; i < 16; i++, pos += 4) {
+    W[i] = (bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+  }
+  for (let i = 16; i < 64; i++) {
+    const w15 = W[i - 15];
+    const w2 = W[i - 2];
+    const s0 = rotr(w15, 7) ^ rotr(w15, 18) ^ (w15 >>> 3);
+    const s1 = rotr(w2, 17) ^ rotr(w2, 19) ^ (w2 >>> 10);
+    W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+  }
+
+  let [a, b, c, d, e, f, g, h] = state;
+  for (let i = 0; i < 64; i++) {
+    const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K256[i] + W[i]) | 0;
+    const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+    h = g; g = f; f = e; e = (d + t1) | 0;
+    d = c; c = b; b = a; a = (t1 + t2) | 0;
+  }
+
+  [a, b, c, d, e, f, g, h].forEach((word, i) => { state[i] += word; });
+}
+
+/** Hashes one 128-byte block at `pos` into the SHA-384/512 state. */
+function compress512(state, W, bytes, pos) {
+  for (let i = 0; i < 32; i++, pos += 4) {
+    W[i] = (bytes[pos] << 24) | (bytes[pos + 1] << 16) | (bytes[pos + 2] << 8) | bytes[pos + 3];
+  }
+  for (let i = 32; i < 160; i += 2) {
+    const h15 = W[i - 30], l15 = W[i - 29];
+    const h2 = W[i - 4], l2 = W[i - 3];
+    const s0h = rotrHi(h15, l15, 1) ^ rotrHi(h15, l15, 8) ^ (h15 >>> 7);
+    const s0l = rotrLo(h15, l15, 1) ^ rotrLo(h15, l15, 8) ^ shrLo(h15, l15, 7);
+    const s1h = rotrHi(h2, l2, 19) ^ rotrHi(h2, l2, 61) ^ (h2 >>> 6);
+    const s1l = rotrLo(h2, l2, 19) ^ rotrLo(h2, l2, 61) ^ shrLo(h2, l2, 6);
+    const lo = (s0l >>> 0) + (s1l >>> 0) + (W[i - 13] >>> 0) + (W[i - 31] >>> 0);
+    W[i] = s0h + s1h + W[i - 14] + W[i - 32] + carry(lo);
+    W[i + 1] = lo;
+  }
+
+  let [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl] = state;
+  for (let i = 0; i < 160; i += 2) {
+    const sum1h = rotrHi(eh, el, 14) ^ rotrHi(eh, el, 18) ^ rotrHi(eh, el, 41);
+    const sum1l = rotrLo(eh, el, 14) ^ rotrLo(eh, el, 18) ^ rotrLo(eh, el, 41);
+    const chooseH = (eh & fh) ^ (~eh & gh);
+    const chooseL = (el & fl) ^ (~el & gl);
+    let lo = (hl >>> 0) + (sum1l >>> 0) + (chooseL >>> 0) + (K512[i + 1] >>> 0) + (W[i + 1] >>> 0);
+    const t1h = (hh + sum1h + chooseH + K512[i] + W[i] + carry(lo)) | 0;
+    const t1l = lo | 0;
+
+    const sum0h = rotrHi(ah, al, 28) ^ rotrHi(ah, al, 34) ^ rotrHi(ah, al, 39);
+    const sum0l = rotrLo(ah, al, 28) ^ rotrLo(ah, al, 34) ^ rotrLo(ah, al, 39);
+    const majorityH = (ah & bh) ^ (ah & ch) ^ (bh & ch);
+    const majorityL = (al & bl) ^ (al & cl) ^ (bl & cl);
+    lo = (sum0l >>> 0) + (majorityL >>> 0);
+    const t2h = (sum0h + majorityH + carry(lo)) | 0;
+    const t2l = lo | 0;
+
+    hh = gh; hl = gl; gh = fh; gl = fl; fh = eh; fl = el;
+    lo = (dl >>> 0) + (t1l >>> 0);
+    eh = (dh + t1h + carry(lo)) | 0; el = lo | 0;
+    dh = ch; dl = cl; ch = bh; cl = bl; bh = ah; bl = al;
+    lo = (t1l >>> 0) + (t2l >>> 0);
+    ah = (t1h + t2h + carry(lo)) | 0; al = lo | 0;
+  }
+
+  const words = [ah, al, bh, bl, ch, cl, dh, dl, eh, el, fh, fl, gh, gl, hh, hl];
+  for (let i = 0; i < 16; i += 2) {
+    const lo = (state[i + 1] >>> 0) + (words[i + 1] >>> 0);
+    state[i] += words[i] + carry(lo);
+    state[i + 1] = lo;
+  }
+}
+
+// ─── Public API ───────────────────────────────────────────────────────────────
+
+const ALGORITHMS = {
+  sha256: { blockSize: 64, digestSize: 32, scheduleSize: 64, compress: compress256 },
+  sha384: { blockSize: 128, digestSize: 48, scheduleSize: 160, compress: compress512 },
+  sha512: { blockSize: 128, digestSize: 64, scheduleSize: 160, compress: compress512 },
+};
+
+/**
+ * Starts an incremental hash. Feed the data in order with update(); digest()
+ * pads the message and returns the hash, after which the hash is used up.
+ * @param {'sha256'|'sha384'|'sha512'} algorithm
+ * @returns {{ update: (bytes: Uint8Array) => void, digest: () => Uint8Array }}
+ */
+export function createHash(algorithm) {
+  const { blockSize, digestSize, scheduleSize, compress } = ALGORITHMS[algorithm];
+  const state = new Int32Array(INITIAL_STATE[algorithm]);
+  const schedule = new Int32Array(scheduleSize);
+  const pending = new Uint8Array(blockSize);
+  let buffered = 0;   // bytes waiting in `pending` for a full block
+  let length = 0;     // bytes hashed so far
+
+  function update(bytes) {
+    length += bytes.byteLength;
+    let pos = 0;
+
+    if (buffered > 0) {
+      pos = Math.min(blockSize - buffered, bytes.byteLength);
+      pending.set(bytes.subarray(0, pos), buffered);
+      buffered += pos;
+      if (buffered < blockSize) return;
+      compress(state, schedule, pending, 0);
+      buffered = 0;
+    }
+
+    for (; pos + blockSize <= bytes.byteLength; pos += blockSize) {
+      compress(state, schedule, bytes, pos);
+    }
+    pending.set(bytes.subarray(pos));
+    buffered = bytes.byteLength - pos;
+  }
+
+  function digest() {
+    // 0x80, zeros up to the end of a block, then the length in bits, big-endian
+    // (8 bytes for SHA-256, 16 for SHA-384/512)
+    const bits = length * 8;
+    const lengthSize = blockSize / 8;
+    const padding = new Uint8Array((buffered + 1 + lengthSize <= blockSize ? blockSize : 2 * blockSize) - buffered);
+    const view = new DataView(padding.buffer);
+    padding[0] = 0x80;
+    view.setUint32(padding.length - 8, Math.floor(bits / 0x100000000));
+    view.setUint32(padding.length - 4, bits >>> 0);
+    update(padding);
+
+    const out = new DataView(new ArrayBuffer(digestSize));
+    for (let i = 0; i < digestSize / 4; i++) out.setInt32(i * 4, state[i]);
+    return new Uint8Array(out.buffer);
+  }
+
+  return { update, digest };
+}
\ No newline at end of file
@@ -8,23 +8,23 @@
  * @returns {Promise<{ usage: number, quota: number, available: number }>}
  */
 export async function getStorageEstimate() {
-  if (!navigator?.storage?.estimate) {
+  if (!globalThis.navigator?.storage?.estimate) {
     return { usage: 0, quota: Infinity, available: Infinity };
   }
-  const { usage = 0, quota = Infinity } = await navigator.storage.estimate();
+  const { usage = 0, quota = Infinity } = await globalThis.navigator.storage.estimate();
   return { usage, quota, available: quota - usage };
 }
 
 /**
- * Returns true if there is sufficient available storage for the given byte count.
- * Reserves 10% of total quota as a safety buffer.
+ * Returns how many bytes are missing to store the given byte count, keeping
+ * 10% of the total quota free as a safety buffer; 0 if there is enough space.
  *
  * @param {number} requiredBytes
- * @returns {Promise<boolean>}
+ * @returns {Promise<number>}
  */
-export async function hasEnoughSpace(requiredBytes) {
+export async function getStorageShortfall(requiredBytes) {
   const { available, quota } = await getStorageEstimate();
-  return available - (quota * 0.1) >= requiredBytes;
+  return Math.max(0, requiredBytes - (available - (quota * 0.1)));
 }
 
 /**
@@ -33,8 +33,8 @@ export async function hasEnoughSpace(requiredBytes) {
  * @returns {Promise<boolean>}
  */
 export async function requestPersistentStorage() {
-  if (!navigator?.storage?.persist) return false;
-  return navigator.storage.persist();
+  if (!globalThis.navigator?.storage?.persist) return false;
+  return globalThis.navigator.storage.persist();
 }
 
 /**
@@ -42,8 +42,8 @@ export async function requestPersistentStorage() {
  * @returns {Promise<boolean>}
  */
 export async function isPersistentStorage() {
-  if (!navigator?.storage?.persisted) return false;
-  return navigator.storage.persisted();
+  if (!globalThis.navigator?.storage?.persisted) return false;
+  return globalThis.navigator.storage.persisted();
 }
 
 /**
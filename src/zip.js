@@ -0,0 +1,132 @@
+/**
+ * zip.js
+ * Minimal ZIP archive reader used to extract downloaded archives.
+ *
+ * Reads the central directory and supports the two compression methods in
+ * practical use: 0 (stored) and 8 (deflate, via DecompressionStream
+ * 'deflate-raw'). Encrypted entries and ZIP64 archives (over 4 GB or 65535
+ * entries) are rejected with an error.
+ *
+ * Entry paths are normalized: backslashes become '/', and leading '/', empty
+ * and '.' segments are dropped. Paths with '..' segments, and paths that
+ * appear more than once, are rejected.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+const EOCD_MIN_SIZE = 22;
+const MAX_COMMENT_SIZE = 0xffff;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATE = 8;
+
+/**
+ * Lists the files in a ZIP archive. Directory entries are skipped.
+ * @param {Uint8Array} bytes
+ * @returns {Array<{ path: string, method: number, compressedSize: number, size: number, dataOffset: number }>}
+ * @throws {Error} if the data is not a readable ZIP archive
+ */
+export function readZipEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd < 0) throw new Error('Not a ZIP archive (end of central directory not found).');
+
+  const count = view.getUint16(eocd + 10, true);
+  const directoryOffset = view.getUint32(eocd + 16, true);
+  if (count === 0xffff || directoryOffset === 0xffffffff) {
+    throw new Error('ZIP64 archives are not supported.');
+  }
+
+  const decoder = new TextDecoder();
+  const entries = [];
+  const paths = new Set();
+  let pos = directoryOffset;
+
+  for (let i = 0; i < count; i++) {
+    if (pos + 46 > view.byteLength || view.getUint32(pos, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP central directory.');
+    }
+
+    const flags = view.getUint16(pos + 8, true);
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const size = view.getUint32(pos + 24, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const rawPath = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength)).replace(/\\/g, '/');
+    pos += 46 + nameLength + extraLength + commentLength;
+
+    if (rawPath.endsWith('/')) continue;
+    const path = normalizePath(rawPath);
+    if (paths.has(path)) throw new Error(`ZIP archive contains "${path}" more than once.`);
+    paths.add(path);
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entry "${path}" is not supported.`);
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATE) {
+      throw new Error(`ZIP entry "${path}" uses unsupported compression method ${method}.`);
+    }
+
+    entries.push({
+      path,
+      method,
+      compressedSize,
+      size,
+      dataOffset: localDataOffset(view, localOffset, path),
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Returns the uncompressed data of one archive entry.
+ * @param {Uint8Array} bytes — the whole archive
+ * @param {{ path: string, method: number, compressedSize: number, size: number, dataOffset: number }} entry
+ * @returns {Promise<Uint8Array>}
+ */
+export async function readZipEntry(bytes, entry) {
+  const raw = bytes.subarray(entry.dataOffset, entry.dataOffset + entry.compressedSize);
+  if (entry.method === METHOD_STORED) return raw.slice();
+
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('ZIP extraction requires DecompressionStream, which this browser does not support.');
+  }
+  const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  const data = new Uint8Array(await new Response(stream).arrayBuffer());
+  if (data.byteLength !== entry.size) {
+    throw new Error(`ZIP entry "${entry.path}" is corrupt (expected ${entry.size} bytes, got ${data.byteLength}).`);
+  }
+  return data;
+}
+
+// ─── Helpers ──────────────────────────────────────────────────────────────────
+
+/** Drops empty and '.' segments from an entry path; throws on '..' or an empty result. */
+function normalizePath(rawPath) {
+  const segments = rawPath.split('/').filter((s) => s !== '' && s !== '.');
+  if (segments.includes('..')) throw new Error(`ZIP entry "${rawPath}" points outside the archive.`);
+  if (segments.length === 0) throw new Error(`ZIP entry "${rawPath}" has no file name.`);
+  return segments.join('/');
+}
+
+/** Scans backwards for the end of central directory record; -1 if missing. */
+function findEndOfCentralDirectory(view) {
+  const last = view.byteLength - EOCD_MIN_SIZE;
+  const first = Math.max(0, last - MAX_COMMENT_SIZE);
+  for (let pos = last; pos >= first; pos--) {
+    if (view.getUint32(pos, true) === EOCD_SIGNATURE) return pos;
+  }
+  return -1;
+}
+
+/** Returns where an entry's data starts, after its local file header. */
+function localDataOffset(view, offset, path) {
+  if (offset + 30 > view.byteLength || view.getUint32(offset, true) !== LOCAL_SIGNATURE) {
+    throw new Error(`Corrupt ZIP local header for "${path}".`);
+  }
+  const nameLength = view.getUint16(offset + 26, true);
+  const extraLength = view.getUint16(offset + 28, true);
+  return offset + 30 + nameLength + extraLength;
+}
\ No newline at end of file
@@ -0,0 +1,51 @@
+/**
+ * Updates the totals after a registry record was written or, with null,
+ * deleted, and tells the other contexts about it. Called by every function
+ * that writes the registry.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object|null} record — the registry record as written
+ */
+export function trackRegistryRecord(ctx: object, id: string, record: object | null): void;
+/**
+ * Discards the totals, e.g. when the storage adapter changes; the next
+ * getStorageUsage() seeds them again.
+ * @param {object} ctx
+ */
+export function resetAccounting(ctx: object): void;
+/**
+ * Returns readers for the bytes stored overall and by each file. They read the
+ * live counters, so calls made in the same synchronous step agree.
+ * @param {object} ctx
+ * @returns {Promise<{ total: () => number, of: (id: string) => number }>}
+ */
+export function getStoredBytes(ctx: object): Promise<{
+    total: () => number;
+    of: (id: string) => number;
+}>;
+/**
+ * Returns the library's own storage totals and their breakdowns.
+ * @param {object} ctx
+ * @returns {Promise<{
+ *   files: number, storedBytes: number, pendingBytes: number, reclaimableBytes: number,
+ *   storedFormatted: string, pendingFormatted: string, reclaimableFormatted: string,
+ *   byMimeType: Object<string, object>, byMetadata: Object<string, Object<string, object>>
+ * }>}
+ */
+export function getStorageUsage(ctx: object): Promise<{
+    files: number;
+    storedBytes: number;
+    pendingBytes: number;
+    reclaimableBytes: number;
+    storedFormatted: string;
+    pendingFormatted: string;
+    reclaimableFormatted: string;
+    byMimeType: {
+        [x: string]: object;
+    };
+    byMetadata: {
+        [x: string]: {
+            [x: string]: object;
+        };
+    };
+}>;
@@ -0,0 +1,69 @@
+/**
+ * Unpacks a ZIP archive in memory. Nothing is stored, so a corrupt archive
+ * fails before any data is written.
+ * @param {Uint8Array} bytes
+ * @returns {Promise<Array<{ path: string, data: Uint8Array }>>}
+ * @throws {Error} if the archive cannot be read
+ */
+export function unpackArchive(bytes: Uint8Array): Promise<Array<{
+    path: string;
+    data: Uint8Array;
+}>>;
+/**
+ * Throws if an unpacked file's child id is taken: by a registered file, or by
+ * a child of another archive (a parent 'a' with 'b/c.json' and a parent 'a/b'
+ * with 'c.json' would share 'a/b/c.json').
+ * @param {object} ctx
+ * @param {string} parentId
+ * @param {Array<{ path: string }>} files
+ * @returns {Promise<void>}
+ */
+export function assertChildIdsFree(ctx: object, parentId: string, files: Array<{
+    path: string;
+}>): Promise<void>;
+/**
+ * Stores unpacked files as children of a parent under the given generation.
+ * Existing children with the same path are switched to the new data; call
+ * removeArchiveFiles() afterwards to drop what the new archive no longer has.
+ * @param {object} ctx
+ * @param {string} parentId
+ * @param {number} generation
+ * @param {Array<{ path: string, data: Uint8Array }>} files
+ * @returns {Promise<string[]>} the child ids
+ */
+export function storeArchiveFiles(ctx: object, parentId: string, generation: number, files: Array<{
+    path: string;
+    data: Uint8Array;
+}>): Promise<string[]>;
+/**
+ * Returns the child file record for an id, or undefined.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<object|undefined>}
+ */
+export function getArchiveFile(ctx: object, id: string): Promise<object | undefined>;
+/**
+ * Returns all child file records of a parent.
+ * @param {object} ctx
+ * @param {string} parentId
+ * @returns {Promise<object[]>}
+ */
+export function getArchiveFiles(ctx: object, parentId: string): Promise<object[]>;
+/**
+ * Removes a parent's child files and their blocks, revoking their object URLs.
+ * @param {object} ctx
+ * @param {string} parentId
+ * @param {number} [keepGeneration] — keep children written for this generation
+ *   and only remove older data
+ * @returns {Promise<void>}
+ */
+export function removeArchiveFiles(ctx: object, parentId: string, keepGeneration?: number): Promise<void>;
+/**
+ * Removes the blocks a set of children held before they were switched to a
+ * new generation.
+ * @param {object} ctx
+ * @param {object[]} previous — child records read before storeArchiveFiles()
+ * @param {number} generation — the new generation
+ * @returns {Promise<void>}
+ */
+export function removeReplacedArchiveData(ctx: object, previous: object[], generation: number): Promise<void>;
@@ -0,0 +1,49 @@
+/**
+ * Returns true if a queue record has stored file data in either layout.
+ * @param {object|undefined} queueEntry
+ * @returns {boolean}
+ */
+export function hasData(queueEntry: object | undefined): boolean;
+/**
+ * Returns the stored size in bytes of a queue record's data.
+ * @param {object} queueEntry
+ * @returns {number}
+ */
+export function getDataSize(queueEntry: object): number;
+/**
+ * Writes file data as a new generation of blocks in one transaction.
+ * @param {object} ctx
+ * @param {string|string[]} id — a registry id, or an extracted file's dataKey
+ * @param {number} generation
+ * @param {Uint8Array} bytes
+ * @returns {Promise<void>}
+ */
+export function writeBlocks(ctx: object, id: string | string[], generation: number, bytes: Uint8Array): Promise<void>;
+/**
+ * Reads a queue record's whole file.
+ * @param {object} ctx
+ * @param {object} queueEntry
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readData(ctx: object, queueEntry: object): Promise<ArrayBuffer>;
+/**
+ * Reads bytes [start, end) of a queue record's file, loading only the blocks
+ * that overlap the range. The caller clamps the range to the file size.
+ *
+ * @param {object} ctx
+ * @param {object} queueEntry
+ * @param {number} start
+ * @param {number} end — exclusive
+ * @returns {Promise<ArrayBuffer>}
+ * @throws {Error} if blocks are missing (e.g. the file was deleted mid-read)
+ */
+export function readRange(ctx: object, queueEntry: object, start: number, end: number): Promise<ArrayBuffer>;
+/**
+ * Removes stored blocks for a file, and its OPFS data files.
+ * @param {object} ctx
+ * @param {string|string[]} id — a registry id, or an extracted file's dataKey
+ * @param {number} [generation] — only this generation; all generations when omitted
+ * @returns {Promise<void>}
+ */
+export function deleteBlocks(ctx: object, id: string | string[], generation?: number): Promise<void>;
+export const BLOCK_SIZE: number;
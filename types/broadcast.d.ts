@@ -0,0 +1,31 @@
+/**
+ * Tells the other contexts that a registry record was written or, with null,
+ * deleted.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object|null} record — the registry record as written
+ */
+export function announceRegistryChange(ctx: object, id: string, record: object | null): void;
+/**
+ * Subscribes to registry writes made by other contexts. Returns an
+ * unsubscribe function.
+ * @param {object} ctx
+ * @param {(change: { id: string, record: object|null }) => void} listener
+ * @returns {Function}
+ */
+export function onRegistryChange(ctx: object, listener: (change: {
+    id: string;
+    record: object | null;
+}) => void): Function;
+/**
+ * Moves the channel to the active adapter after setStorageAdapter(), so
+ * subscribers stop hearing about the previous database.
+ * @param {object} ctx
+ */
+export function resetBroadcast(ctx: object): void;
+/**
+ * Closes the channel. Subscribers stay registered and hear changes again once
+ * the instance announces or subscribes anything.
+ * @param {object} ctx
+ */
+export function closeBroadcast(ctx: object): void;
@@ -0,0 +1,33 @@
+/**
+ * Sets (or with null, removes) the most bytes this manager may store. Raising
+ * or removing it wakes the download loop, so deferred entries are retried.
+ * @param {object} ctx
+ * @param {number|{ percentOfQuota: number }|null} budget
+ */
+export function setStorageBudget(ctx: object, budget: number | {
+    percentOfQuota: number;
+} | null): void;
+/**
+ * Reserves room in the budget for a download of `bytes` (0 if unknown). The
+ * reservation replaces any earlier one for the entry and is only made if the
+ * total stays within the budget.
+ * @param {object} ctx
+ * @param {object} registryEntry
+ * @param {number} bytes
+ * @returns {Promise<number>} 0 if reserved, else how many bytes the total would be over
+ */
+export function reserveBudget(ctx: object, registryEntry: object, bytes: number): Promise<number>;
+/**
+ * Returns the size reserved for an entry, or null if it holds no reservation
+ * (always, without a budget).
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {number|null}
+ */
+export function getReservation(ctx: object, id: string): number | null;
+/**
+ * Releases an entry's reservation once its download has ended.
+ * @param {object} ctx
+ * @param {string} id
+ */
+export function releaseBudget(ctx: object, id: string): void;
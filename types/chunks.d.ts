@@ -0,0 +1,68 @@
+/**
+ * Persists a single downloaded chunk.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} offset — byte offset of the chunk within the file
+ * @param {Uint8Array} bytes
+ * @returns {Promise<void>}
+ */
+export function saveChunk(ctx: object, id: string, offset: number, bytes: Uint8Array): Promise<void>;
+/**
+ * Records chunks whose bytes are on disk in the download's OPFS file. The
+ * records hold no data; they only tell a resume that the chunks are stored.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number[]} offsets
+ * @returns {Promise<void>}
+ */
+export function recordChunks(ctx: object, id: string, offsets: number[]): Promise<void>;
+/**
+ * Returns the offsets of every chunk already stored for a file, in ascending
+ * order. Only the keys are read, so this is cheap even for very large files.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<number[]>}
+ */
+export function getChunkOffsets(ctx: object, id: string): Promise<number[]>;
+/**
+ * Returns the byte length of the chunk starting at `offset`. Every chunk is
+ * CHUNK_SIZE bytes except the last one in the file.
+ * @param {number} offset
+ * @param {number} totalBytes
+ * @returns {number}
+ */
+export function chunkLength(offset: number, totalBytes: number): number;
+/**
+ * Returns the number of bytes stored contiguously from the start of the file,
+ * i.e. the end of the last chunk before the first gap.
+ * @param {Set<number>} offsets — offsets of the stored chunks
+ * @param {number} totalBytes
+ * @returns {number}
+ */
+export function contiguousLength(offsets: Set<number>, totalBytes: number): number;
+/**
+ * Reads every stored chunk for a file and merges them into one contiguous
+ * Uint8Array in offset order.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<Uint8Array>}
+ */
+export function assembleChunks(ctx: object, id: string): Promise<Uint8Array>;
+/**
+ * Streams every stored chunk for a file in offset order, reading one chunk at
+ * a time, so the file can be processed without assembling it.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {ReadableStream<Uint8Array>}
+ */
+export function streamChunks(ctx: object, id: string): ReadableStream<Uint8Array>;
+/**
+ * Removes all stored chunks for a file. With an `opfsGeneration` the OPFS file
+ * the chunks were written into is removed as well.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number|null} [opfsGeneration=null]
+ * @returns {Promise<void>}
+ */
+export function clearChunks(ctx: object, id: string, opfsGeneration?: number | null): Promise<void>;
+export const CHUNK_SIZE: number;
@@ -0,0 +1,185 @@
+/**
+ * Creates the state of a new, independent instance.
+ * @param {object} [options]
+ * @param {string} [options.dbName='offline-data-manager']
+ * @param {number} [options.dbVersion=7]
+ * @param {number} [options.concurrency=2] — default for startDownloads()
+ * @param {number} [options.rangeConcurrency=1] — default for startDownloads()
+ * @param {number|null} [options.opfsThreshold=null] — default for startDownloads()
+ * @param {number|null} [options.maxBytesPerSecond=null] — default for startDownloads()
+ * @returns {Context}
+ */
+export function createContext({ dbName, dbVersion, concurrency, rangeConcurrency, opfsThreshold, maxBytesPerSecond, }?: {
+    dbName?: string | undefined;
+    dbVersion?: number | undefined;
+    concurrency?: number | undefined;
+    rangeConcurrency?: number | undefined;
+    opfsThreshold?: number | null | undefined;
+    maxBytesPerSecond?: number | null | undefined;
+}): Context;
+/**
+ * context.js
+ * Per-instance state of an offline data manager.
+ *
+ * Everything that used to live in module-level variables — the storage
+ * adapter and DB name, event listeners, the download loop, connectivity
+ * monitoring, auth and URL resolvers, object URLs — lives on a context
+ * object instead. Every module function that touches state takes the context
+ * as its first argument, so instances created with createOfflineDataManager()
+ * (see index.js) share no state. The default export of index.js is bound to
+ * defaultContext.
+ */
+/**
+ * @typedef {object} Context
+ * @property {{ name: string, version: number, adapter: object|null, opened: Promise<void>|null }} db
+ *   — the adapter is created on first use unless one is set (see db.js)
+ * @property {object[]} migrations — app steps from registerMigration() (see migrations.js)
+ * @property {Map<string, Set<Function>>} listeners
+ * @property {object} loop — download loop state (see downloader.js)
+ * @property {object} connectivity — monitoring state (see connectivity.js)
+ * @property {{ authProvider: Function|null, urlResolver: Function|null, entryUrlResolvers: Map<string, Function> }} requests
+ * @property {Map<string, any>} scheduledProgress — group → pending 'group-progress' timer
+ * @property {Map<string, { generation: number|null, url: string }>} objectUrls
+ * @property {Map<string, Promise<string>>} pendingObjectUrls
+ * @property {{ policy: string|Function|null, evicting: Set<string> }} eviction — see eviction.js
+ * @property {{ limit: number|{ percentOfQuota: number }|null, reservations: Map<string, number> }} budget
+ *   — see budget.js
+ * @property {{ totals: object|null, shares: Map<string, object>, seeding: Promise<void>|null,
+ *   pending: Map<string, object|null>|null, generation: number, unsubscribe: Function|null }} accounting
+ *   — see accounting.js
+ * @property {{ channel: BroadcastChannel|null, listeners: Set<Function> }} broadcast — see broadcast.js
+ * @property {{ formats: Map<string, Function>, mimeTypes: Map<string, string> }} decoders
+ *   — from registerDecoder() (see decoders.js)
+ */
+export const DEFAULT_DB_NAME: "offline-data-manager";
+export const DEFAULT_DB_VERSION: 7;
+export const DEFAULT_CONCURRENCY: 2;
+export const DEFAULT_RANGE_CONCURRENCY: 1;
+export namespace defaultContext {
+    let db: {
+        name: string;
+        version: number;
+        adapter: object | null;
+        opened: Promise<void> | null;
+    };
+    let migrations: object[];
+    let listeners: Map<string, Set<Function>>;
+    let loop: object;
+    let connectivity: object;
+    let requests: {
+        authProvider: Function | null;
+        urlResolver: Function | null;
+        entryUrlResolvers: Map<string, Function>;
+    };
+    let scheduledProgress: Map<string, any>;
+    let objectUrls: Map<string, {
+        generation: number | null;
+        url: string;
+    }>;
+    let pendingObjectUrls: Map<string, Promise<string>>;
+    let eviction: {
+        policy: string | Function | null;
+        evicting: Set<string>;
+    };
+    let budget: {
+        limit: number | {
+            percentOfQuota: number;
+        } | null;
+        reservations: Map<string, number>;
+    };
+    let accounting: {
+        totals: object | null;
+        shares: Map<string, object>;
+        seeding: Promise<void> | null;
+        pending: Map<string, object | null> | null;
+        generation: number;
+        unsubscribe: Function | null;
+    };
+    let broadcast: {
+        channel: BroadcastChannel | null;
+        listeners: Set<Function>;
+    };
+    let decoders: {
+        formats: Map<string, Function>;
+        mimeTypes: Map<string, string>;
+    };
+}
+export type Context = {
+    /**
+     *   — the adapter is created on first use unless one is set (see db.js)
+     */
+    db: {
+        name: string;
+        version: number;
+        adapter: object | null;
+        opened: Promise<void> | null;
+    };
+    /**
+     * — app steps from registerMigration() (see migrations.js)
+     */
+    migrations: object[];
+    listeners: Map<string, Set<Function>>;
+    /**
+     * — download loop state (see downloader.js)
+     */
+    loop: object;
+    /**
+     * — monitoring state (see connectivity.js)
+     */
+    connectivity: object;
+    requests: {
+        authProvider: Function | null;
+        urlResolver: Function | null;
+        entryUrlResolvers: Map<string, Function>;
+    };
+    /**
+     * — group → pending 'group-progress' timer
+     */
+    scheduledProgress: Map<string, any>;
+    objectUrls: Map<string, {
+        generation: number | null;
+        url: string;
+    }>;
+    pendingObjectUrls: Map<string, Promise<string>>;
+    /**
+     * — see eviction.js
+     */
+    eviction: {
+        policy: string | Function | null;
+        evicting: Set<string>;
+    };
+    /**
+     *   — see budget.js
+     */
+    budget: {
+        limit: number | {
+            percentOfQuota: number;
+        } | null;
+        reservations: Map<string, number>;
+    };
+    /**
+     *   — see accounting.js
+     */
+    accounting: {
+        totals: object | null;
+        shares: Map<string, object>;
+        seeding: Promise<void> | null;
+        pending: Map<string, object | null> | null;
+        generation: number;
+        unsubscribe: Function | null;
+    };
+    /**
+     * — see broadcast.js
+     */
+    broadcast: {
+        channel: BroadcastChannel | null;
+        listeners: Set<Function>;
+    };
+    /**
+     *   — from registerDecoder() (see decoders.js)
+     */
+    decoders: {
+        formats: Map<string, Function>;
+        mimeTypes: Map<string, string>;
+    };
+};
@@ -1,48 +1,202 @@
 /**
  * Overrides the default DB name and version number.
+ * Only applies to the default IndexedDB adapter, before it is first used.
+ * The version is the app's own, for registerMigration() steps; the library
+ * versions its schema separately (see migrations.js).
+ * @param {object} ctx
  * @param {string|undefined} dbName Optional DB name. Default: 'offline-data-manager'
- * @param {number|undefined} dbVersion Optional DB version. Default: 1
+ * @param {number|undefined} dbVersion Optional DB version. Default: 7
  */
-export function setDBInfo(dbName: string | undefined, dbVersion: number | undefined): Promise<void>;
+export function setDBInfo(ctx: object, dbName: string | undefined, dbVersion: number | undefined): Promise<void>;
 /**
- * Opens (or returns the cached) database connection.
- * @returns {Promise<IDBDatabase>}
+ * Replaces the storage backend. Call it before registering or downloading
+ * anything: data is not copied between adapters, and the previous adapter is
+ * closed.
+ * @param {object} ctx
+ * @param {StorageAdapter} adapter — e.g. createMemoryAdapter()
  */
-export function openDB(): Promise<IDBDatabase>;
+export function setStorageAdapter(ctx: object, adapter: StorageAdapter): void;
+/**
+ * Returns the active storage adapter (the IndexedDB default unless
+ * setStorageAdapter() was called).
+ * @param {object} ctx
+ * @returns {StorageAdapter}
+ */
+export function getStorageAdapter(ctx: object): StorageAdapter;
+/**
+ * Opens the active adapter once and returns it. Opening a database whose
+ * library or app version is behind runs the migration steps (see migrations.js).
+ * @param {object} ctx
+ * @returns {Promise<StorageAdapter>}
+ * @throws {Error} with reason 'migration-failed' if a migration step fails
+ * @throws {Error} with reason 'upgrade-blocked' if another connection blocks the upgrade
+ */
+export function openDB(ctx: object): Promise<StorageAdapter>;
+/**
+ * Closes the active adapter's connection. The next helper call opens it again.
+ * @param {object} ctx
+ */
+export function closeDB(ctx: object): void;
 /**
  * Get a single record by key.
+ * @param {object} ctx
  * @param {string} storeName
  * @param {string} key
  * @returns {Promise<any|undefined>}
  */
-export function dbGet(storeName: string, key: string): Promise<any | undefined>;
+export function dbGet(ctx: object, storeName: string, key: string): Promise<any | undefined>;
 /**
  * Get all records from a store.
+ * @param {object} ctx
  * @param {string} storeName
  * @returns {Promise<any[]>}
  */
-export function dbGetAll(storeName: string): Promise<any[]>;
+export function dbGetAll(ctx: object, storeName: string): Promise<any[]>;
 /**
  * Get all record ids from a store.
+ * @param {object} ctx
  * @param {string} storeName
  * @returns {Promise<string[]>}
  */
-export function dbGetAllIds(storeName: string): Promise<string[]>;
+export function dbGetAllIds(ctx: object, storeName: string): Promise<string[]>;
+/**
+ * Get all records whose index value equals `value`.
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {string} indexName
+ * @param {any} value
+ * @returns {Promise<any[]>}
+ */
+export function dbGetAllByIndex(ctx: object, storeName: string, indexName: string, value: any): Promise<any[]>;
+/**
+ * Get all records whose key falls within [lower, upper] (inclusive).
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {any} lower
+ * @param {any} upper
+ * @returns {Promise<any[]>}
+ */
+export function dbGetAllInRange(ctx: object, storeName: string, lower: any, upper: any): Promise<any[]>;
+/**
+ * Get all keys within [lower, upper] (inclusive) without loading the record values.
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {any} lower
+ * @param {any} upper
+ * @returns {Promise<any[]>}
+ */
+export function dbGetKeysInRange(ctx: object, storeName: string, lower: any, upper: any): Promise<any[]>;
 /**
  * Put (insert or replace) a record.
+ * @param {object} ctx
  * @param {string} storeName
  * @param {object} record
  * @returns {Promise<void>}
  */
-export function dbPut(storeName: string, record: object): Promise<void>;
+export function dbPut(ctx: object, storeName: string, record: object): Promise<void>;
+/**
+ * Put (insert or replace) several records in a single transaction, so either
+ * all of them are written or none are.
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {object[]} records
+ * @returns {Promise<void>}
+ */
+export function dbPutMany(ctx: object, storeName: string, records: object[]): Promise<void>;
 /**
  * Delete a record by key.
+ * @param {object} ctx
  * @param {string} storeName
  * @param {string} key
  * @returns {Promise<void>}
  */
-export function dbDelete(storeName: string, key: string): Promise<void>;
+export function dbDelete(ctx: object, storeName: string, key: string): Promise<void>;
+/**
+ * Delete all records whose key falls within [lower, upper] (inclusive).
+ * @param {object} ctx
+ * @param {string} storeName
+ * @param {any} lower
+ * @param {any} upper
+ * @returns {Promise<void>}
+ */
+export function dbDeleteRange(ctx: object, storeName: string, lower: any, upper: any): Promise<void>;
 export namespace STORES {
     let REGISTRY: string;
     let DOWNLOAD_QUEUE: string;
+    let CHUNKS: string;
+    let BLOCKS: string;
+    let ARCHIVE_FILES: string;
+    let META: string;
 }
+/**
+ * Key paths and indexes of each store, passed to the adapter's open().
+ */
+export const SCHEMA: {
+    [STORES.REGISTRY]: {
+        keyPath: string;
+        indexes: {
+            protected: {
+                keyPath: string;
+            };
+            priority: {
+                keyPath: string;
+            };
+            groups: {
+                keyPath: string;
+                multiEntry: boolean;
+            };
+        };
+    };
+    [STORES.DOWNLOAD_QUEUE]: {
+        keyPath: string;
+        indexes: {
+            status: {
+                keyPath: string;
+            };
+            priority: {
+                keyPath: string;
+            };
+        };
+    };
+    [STORES.CHUNKS]: {
+        keyPath: string[];
+    };
+    [STORES.BLOCKS]: {
+        keyPath: string[];
+    };
+    [STORES.ARCHIVE_FILES]: {
+        keyPath: string;
+        indexes: {
+            parentId: {
+                keyPath: string;
+            };
+        };
+    };
+    [STORES.META]: {
+        keyPath: string;
+    };
+};
+export type StorageAdapter = {
+    name?: string | undefined;
+    open: (schema: object, upgrade?: {
+        isPending: (tx: object, versions: {
+            appVersion: number;
+        }) => Promise<boolean>;
+        run: (tx: object, versions: {
+            oldVersion: number;
+            appVersion: number;
+        }) => Promise<void>;
+    }) => Promise<void>;
+    close?: (() => void) | undefined;
+    channelName?: string | undefined;
+    get: (storeName: string, key: any) => Promise<any>;
+    getAll: (storeName: string) => Promise<any[]>;
+    getAllKeys: (storeName: string) => Promise<any[]>;
+    getAllByIndex: (storeName: string, indexName: string, value: any) => Promise<any[]>;
+    getAllInRange: (storeName: string, lower: any, upper: any) => Promise<any[]>;
+    getKeysInRange: (storeName: string, lower: any, upper: any) => Promise<any[]>;
+    put: (storeName: string, record: object) => Promise<void>;
+    putMany: (storeName: string, records: object[]) => Promise<void>;
+    delete: (storeName: string, key: any) => Promise<void>;
+    deleteRange: (storeName: string, lower: any, upper: any) => Promise<void>;
+};
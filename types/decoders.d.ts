@@ -0,0 +1,57 @@
+/**
+ * Registers a decoder for a format name, e.g. 'csv', 'kml', or 'geojsonseq'.
+ * Registering an existing name (including a built-in one) replaces it.
+ *
+ * The decoder receives the stored ArrayBuffer and a context object
+ * { id, mimeType, format, encoding } and may return a value or a Promise.
+ *
+ * @param {object}   ctx
+ * @param {string}   format
+ * @param {Function} decode — (data: ArrayBuffer, context: object) => any
+ * @param {object}   [options]
+ * @param {string[]} [options.mimeTypes] — mime types that select this decoder
+ *   when retrieveAs() is called without a format
+ */
+export function registerDecoder(ctx: object, format: string, decode: Function, { mimeTypes }?: {
+    mimeTypes?: string[] | undefined;
+}): void;
+/**
+ * Picks the format to decode a mime type with when none was requested.
+ * @param {object} ctx
+ * @param {string} mimeType
+ * @returns {string}
+ */
+export function resolveFormat(ctx: object, mimeType: string): string;
+/**
+ * Decodes stored data with the named decoder.
+ * @param {object} ctx
+ * @param {ArrayBuffer} data
+ * @param {{ id: string, mimeType: string, format: string, encoding?: string }} context
+ * @returns {Promise<any>}
+ * @throws {DecodeError} if the format is unknown or decoding fails
+ */
+export function decode(ctx: object, data: ArrayBuffer, context: {
+    id: string;
+    mimeType: string;
+    format: string;
+    encoding?: string;
+}): Promise<any>;
+/**
+ * Thrown when stored data cannot be decoded in the requested format.
+ * The original error is available as `cause`.
+ */
+export class DecodeError extends Error {
+    /**
+     * @param {string} message
+     * @param {{ id: string, mimeType: string, format: string, cause?: unknown }} details
+     */
+    constructor(message: string, { id, mimeType, format, cause }: {
+        id: string;
+        mimeType: string;
+        format: string;
+        cause?: unknown;
+    });
+    id: string;
+    mimeType: string;
+    format: string;
+}
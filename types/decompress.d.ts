@@ -0,0 +1,48 @@
+/**
+ * Returns 'gzip' if the data starts with the gzip magic bytes, otherwise null.
+ * @param {Uint8Array} bytes
+ * @returns {'gzip'|null}
+ */
+export function detectCompression(bytes: Uint8Array): "gzip" | null;
+/**
+ * Returns true if a content type only describes the compression wrapper.
+ * @param {string|null} mimeType
+ * @returns {boolean}
+ */
+export function isCompressedMimeType(mimeType: string | null): boolean;
+/**
+ * Strips a compression extension from a URL's path, e.g.
+ * 'https://host/roads.geojson.gz?v=2' → 'https://host/roads.geojson'.
+ * @param {string} url
+ * @returns {string}
+ */
+export function stripCompressionExtension(url: string): string;
+/**
+ * Decompresses a stream of downloaded data as it is read. 'auto' reads ahead
+ * until it has the first two bytes and passes data without the gzip magic
+ * bytes through unchanged.
+ *
+ * Errors of the source stream reach the reader unchanged; data that is not
+ * valid for the format fails the stream with reason 'decompression-failed'.
+ * @param {ReadableStream<Uint8Array>} source
+ * @param {'gzip'|'deflate'|'auto'} format
+ * @returns {Promise<{ stream: ReadableStream<Uint8Array>, decompressed: boolean }>}
+ *   decompressed is false when 'auto' found no gzip header
+ * @throws {Error} with reason 'decompression-failed' if DecompressionStream is unavailable
+ */
+export function decompressStream(source: ReadableStream<Uint8Array>, format: "gzip" | "deflate" | "auto"): Promise<{
+    stream: ReadableStream<Uint8Array>;
+    decompressed: boolean;
+}>;
+/**
+ * decompress.js
+ * Decompression of downloaded data for registry entries with a `decompress`
+ * option, using the platform DecompressionStream.
+ *
+ * The download is decompressed as it streams in, so the compressed file is
+ * never held in memory as a whole. Progress, the integrity check and resumable
+ * chunks always deal in the compressed bytes the server sent. 'auto'
+ * decompresses only data that starts with the gzip magic bytes and stores
+ * anything else unchanged.
+ */
+export const DECOMPRESS_FORMATS: string[];
@@ -1,25 +1,37 @@
 /**
  * Deletes a single file's array buffer and optionally its registry entry.
  *
+ * @param {object} ctx
  * @param {string} id
  * @param {object}  [options]
  * @param {boolean} [options.removeProtected=false] — force registry removal for protected entries
  * @returns {Promise<{ id: string, registryRemoved: boolean }>}
  */
-export function deleteFile(id: string, { removeProtected }?: {
+export function deleteFile(ctx: object, id: string, { removeProtected }?: {
     removeProtected?: boolean | undefined;
 }): Promise<{
     id: string;
     registryRemoved: boolean;
 }>;
+/**
+ * Removes a file's stored data but keeps its registration: the queue is reset
+ * to 'pending' as deleteFile() does for protected files, so the file downloads
+ * again once there is room. Used by eviction (see eviction.js); emits nothing.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+export function evictFileData(ctx: object, id: string): Promise<void>;
 /**
  * Deletes all files. Protected entries follow the same rules as deleteFile().
  *
+ * @param {object} ctx
  * @param {object}  [options]
  * @param {boolean} [options.removeProtected=false]
  * @returns {Promise<Array<{ id: string, registryRemoved: boolean }>>}
  */
-export function deleteAllFiles({ removeProtected }?: {
+export function deleteAllFiles(ctx: object, { removeProtected }?: {
     removeProtected?: boolean | undefined;
 }): Promise<Array<{
     id: string;
@@ -1,5 +1,5 @@
 /** Called by registerFile() and the connectivity monitor to wake the loop. */
-export function _notifyNewWork(): void;
+export function _notifyNewWork(ctx: any): void;
 /**
  * Starts the persistent download loop.
  *
@@ -11,11 +11,25 @@ export function _notifyNewWork(): void;
  *
  * Idempotent — subsequent calls while already running are a no-op.
  *
+ * Option defaults come from createOfflineDataManager() (see index.js).
+ *
+ * @param {object} ctx
  * @param {object} [options]
- * @param {number} [options.concurrency=2] — max parallel downloads
+ * @param {number} [options.concurrency=2] — max parallel requests across all downloads
+ * @param {number} [options.rangeConcurrency=1] — max parallel Range requests within a
+ *   single chunked file; registry entries can override it. Extra Range requests
+ *   share the `concurrency` budget with whole-file downloads.
+ * @param {number|null} [options.opfsThreshold=null] — store files of at least this many
+ *   bytes in the Origin Private File System instead of IndexedDB, where available.
+ *   null leaves the choice to each entry's `storage` option.
+ * @param {number|null} [options.maxBytesPerSecond=null] — bandwidth limit shared by all
+ *   downloads; null means unlimited. Change it later with setBandwidthLimit().
  */
-export function startDownloads({ concurrency }?: {
+export function startDownloads(ctx: object, { concurrency, rangeConcurrency, opfsThreshold, maxBytesPerSecond, }?: {
     concurrency?: number | undefined;
+    rangeConcurrency?: number | undefined;
+    opfsThreshold?: number | null | undefined;
+    maxBytesPerSecond?: number | null | undefined;
 }): void;
 /**
  * Stops the download loop gracefully.
@@ -23,27 +37,38 @@ export function startDownloads({ concurrency }?: {
  * In-flight downloads are aborted and set to 'paused'. They will resume
  * automatically when startDownloads() is called again.
  */
-export function stopDownloads(): Promise<void>;
+export function stopDownloads(ctx: any): Promise<void>;
+/**
+ * Sets (or with null, removes) the bandwidth limit shared by all downloads.
+ * Takes effect immediately, also for downloads in progress.
+ * @param {object} ctx
+ * @param {number|null} maxBytesPerSecond
+ */
+export function setBandwidthLimit(ctx: object, maxBytesPerSecond: number | null): void;
 /**
  * Re-queues all failed entries and wakes the loop to retry them.
  * Only meaningful when the loop is running via startDownloads().
+ * @param {object} ctx
+ * @param {string[]} [ids] — only retry these entries (used by retryGroup())
  */
-export function retryFailed(): Promise<void>;
+export function retryFailed(ctx: object, ids?: string[]): Promise<void>;
 /**
  * Returns true if the download loop is currently running.
+ * @param {object} ctx
  * @returns {boolean}
  */
-export function isDownloading(): boolean;
+export function isDownloading(ctx: object): boolean;
 /**
  * Aborts a single active download, setting it to 'paused'.
  * The loop will pick it up again on the next drain cycle.
+ * @param {object} ctx
  * @param {string} id
  */
-export function abortDownload(id: string): Promise<void>;
+export function abortDownload(ctx: object, id: string): Promise<void>;
 /**
  * Aborts all active downloads, setting them to 'paused'.
  */
-export function abortAllDownloads(): Promise<void>;
+export function abortAllDownloads(ctx: any): Promise<void>;
 /**
  * Starts monitoring online/offline connectivity.
  *
@@ -53,5 +78,5 @@ export function abortAllDownloads(): Promise<void>;
  * Idempotent — safe to call multiple times.
  * Emits 'connectivity' events: { online: boolean }.
  */
-export function startMonitoring(): void;
+export function startMonitoring(ctx: any): void;
 export { stopConnectivityMonitor as stopMonitoring, isOnline, isMonitoring } from "./connectivity.js";
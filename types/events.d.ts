@@ -1,25 +1,52 @@
+/**
+ * events.js
+ * Lightweight event emitter for download lifecycle events.
+ *
+ * Events emitted:
+ *   'progress'   — { id, bytesDownloaded, totalBytes, percent }
+ *   'complete'   — { id, mimeType, children? }
+ *                  children lists the extracted child ids for entries with extract: true
+ *   'error'      — { id, error, retryCount, willRetry?, reason? } — id is null when no one file failed
+ *                  reason is set for known failure kinds: 'integrity-mismatch',
+ *                  'decompression-failed', 'extract-failed', 'auth-failed', 'url-resolve-failed'
+ *   'deferred'   — { id, reason } — reason: 'insufficient-storage' or 'budget-exceeded'
+ *   'expired'    — { id }
+ *   'revalidated'— { id, expiresAt } — server answered 304; stored data kept, TTL restarted
+ *   'registered' — { id, reason: 'new' | 'version-updated' }
+ *   'deleted'    — { id, registryRemoved }
+ *   'evicted'    — { id, freedBytes, requestedBy } — data removed to make room for the
+ *                  higher-priority download requestedBy; stays registered (see eviction.js)
+ *   'status'     — { id, status }
+ *   'group-progress' — { group, files, ready, statusCounts, bytesDownloaded, totalBytes,
+ *                      progress, progressBasis }
+ *                  combined state of a group, coalesced to at most one event per 250 ms
+ */
 /**
  * Subscribe to an event. Returns an unsubscribe function.
+ * @param {object} ctx
  * @param {string} event
  * @param {Function} listener
  * @returns {Function}
  */
-export function on(event: string, listener: Function): Function;
+export function on(ctx: object, event: string, listener: Function): Function;
 /**
  * Unsubscribe from an event.
+ * @param {object} ctx
  * @param {string} event
  * @param {Function} listener
  */
-export function off(event: string, listener: Function): void;
+export function off(ctx: object, event: string, listener: Function): void;
 /**
  * Emit an event to all registered listeners.
+ * @param {object} ctx
  * @param {string} event
  * @param {object} data
  */
-export function emit(event: string, data: object): void;
+export function emit(ctx: object, event: string, data: object): void;
 /**
  * Subscribe to an event once; auto-removes after first call.
+ * @param {object} ctx
  * @param {string} event
  * @param {Function} listener
  */
-export function once(event: string, listener: Function): void;
+export function once(ctx: object, event: string, listener: Function): void;
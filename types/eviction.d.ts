@@ -0,0 +1,31 @@
+/**
+ * Sets the eviction policy.
+ * @param {object} ctx
+ * @param {'lru'|((candidates: object[], context: { entry: object, requiredBytes: number }) => object[]|Promise<object[]>)|null} policy
+ */
+export function setEvictionPolicy(ctx: object, policy: "lru" | ((candidates: object[], context: {
+    entry: object;
+    requiredBytes: number;
+}) => object[] | Promise<object[]>) | null): void;
+/**
+ * Records that a file was read. Called by the retrieve APIs with the queue
+ * record they read; the time is written to the queue and registry records.
+ * @param {object} ctx
+ * @param {string} id — the registry id (the parent's, for a file extracted from an archive)
+ * @param {number|null} lastAccessedAt — the time currently recorded
+ */
+export function recordAccess(ctx: object, id: string, lastAccessedAt: number | null): Promise<void>;
+/**
+ * Evicts lower-priority files to free `shortfall` bytes for a download.
+ * @param {object} ctx
+ * @param {object} registryEntry — the entry about to be downloaded
+ * @param {number} shortfall — bytes missing, from getStorageShortfall() or reserveBudget()
+ * @returns {Promise<boolean>} true if that many bytes were freed
+ */
+export function makeRoom(ctx: object, registryEntry: object, shortfall: number): Promise<boolean>;
+export namespace EVICTION_POLICIES {
+    export { lru };
+}
+/** Orders candidates least recently used first. */
+declare function lru(candidates: any): any[];
+export {};
@@ -0,0 +1,57 @@
+/**
+ * Parses a single-range `Range: bytes=...` header against a file size.
+ * Supports 'start-end', 'start-' and '-suffix'. Only the first range of a
+ * multi-range request is honoured.
+ *
+ * @param {string|null} header
+ * @param {number} size
+ * @returns {{ start: number, end: number }|null|'unsatisfiable'}
+ *   null when there is no usable Range header (serve the whole file)
+ */
+export function parseRangeHeader(header: string | null, size: number): {
+    start: number;
+    end: number;
+} | null | "unsatisfiable";
+/**
+ * Creates a fetch event handler for a service worker.
+ *
+ * The returned function takes a FetchEvent. When the request matches a
+ * registered file it calls event.respondWith() and returns true; otherwise it
+ * returns false and leaves the request alone. Until the URL list has loaded,
+ * no request is intercepted, so none waits on the database. If loading the
+ * list fails, an 'error' event with reason 'fetch-handler-load-failed' is
+ * emitted and the load is retried after LOAD_RETRY_MS.
+ *
+ * The handler also exposes:
+ *   respond(request) — Promise<Response|null>; null when the request does not
+ *                      match a registered file. For custom fetch listeners;
+ *                      waits for the URL list and rejects if it fails to load.
+ *   refresh()        — reloads the URL list from the registry; the promise
+ *                      rejects if that fails. It reloads automatically on
+ *                      'registered'/'deleted' events in this context, and
+ *                      follows registry writes from other contexts (e.g. the
+ *                      page) over the adapter's channel (see broadcast.js).
+ *                      Adapters without a channelName need refresh() after
+ *                      files are registered elsewhere.
+ *   dispose()        — stops following registry changes and retrying a failed
+ *                      load; the handler keeps the URL list it has.
+ *
+ * @param {object} ctx
+ * @param {object}   [options]
+ * @param {Function} [options.mapUrl] — (url: string) => string|null; maps a
+ *   request URL to a file id instead of matching registered downloadUrls
+ * @param {boolean}  [options.fallbackToNetwork=true] — fetch from the network
+ *   when the matched file is not ready; otherwise respond 503
+ * @param {boolean}  [options.allowStale=false] — serve data past its
+ *   stale-while-revalidate window
+ * @returns {Function & { respond: Function, refresh: Function, dispose: Function }}
+ */
+export function createFetchHandler(ctx: object, { mapUrl, fallbackToNetwork, allowStale, }?: {
+    mapUrl?: Function | undefined;
+    fallbackToNetwork?: boolean | undefined;
+    allowStale?: boolean | undefined;
+}): Function & {
+    respond: Function;
+    refresh: Function;
+    dispose: Function;
+};
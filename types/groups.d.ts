@@ -0,0 +1,68 @@
+/**
+ * Schedules a coalesced 'group-progress' event for each of the given groups.
+ * Called whenever a member's mirrored status fields change.
+ * @param {object} ctx
+ * @param {string[]|undefined} groups
+ */
+export function scheduleGroupProgress(ctx: object, groups: string[] | undefined): void;
+/**
+ * Returns the combined state of a group.
+ *
+ * totalBytes is null until the size of every member is known (from a
+ * totalBytes hint or the download probe). Until then progress is the
+ * percentage of members that are ready, and progressBasis is 'files'.
+ *
+ * @param {object} ctx
+ * @param {string} group
+ * @returns {Promise<{
+ *   group: string,
+ *   files: number,
+ *   ready: number,
+ *   statusCounts: Record<string, number>,
+ *   bytesDownloaded: number,
+ *   totalBytes: number|null,
+ *   progress: number|null,
+ *   progressBasis: 'bytes'|'files',
+ *   items: object[]
+ * }>}
+ */
+export function getGroupStatus(ctx: object, group: string): Promise<{
+    group: string;
+    files: number;
+    ready: number;
+    statusCounts: Record<string, number>;
+    bytesDownloaded: number;
+    totalBytes: number | null;
+    progress: number | null;
+    progressBasis: "bytes" | "files";
+    items: object[];
+}>;
+/**
+ * Returns true if the group has members and all of them have usable data.
+ * @param {object} ctx
+ * @param {string} group
+ * @returns {Promise<boolean>}
+ */
+export function isGroupReady(ctx: object, group: string): Promise<boolean>;
+/**
+ * Deletes every member of a group. Protected entries follow the same rules
+ * as deleteFile().
+ * @param {object} ctx
+ * @param {string} group
+ * @param {object}  [options]
+ * @param {boolean} [options.removeProtected=false]
+ * @returns {Promise<Array<{ id: string, registryRemoved: boolean }>>}
+ */
+export function deleteGroup(ctx: object, group: string, { removeProtected }?: {
+    removeProtected?: boolean | undefined;
+}): Promise<Array<{
+    id: string;
+    registryRemoved: boolean;
+}>>;
+/**
+ * Resets the failed members of a group to pending and wakes the download loop.
+ * @param {object} ctx
+ * @param {string} group
+ * @returns {Promise<void>}
+ */
+export function retryGroup(ctx: object, group: string): Promise<void>;
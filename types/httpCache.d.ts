@@ -0,0 +1,28 @@
+/**
+ * httpCache.js
+ * Freshness calculation from HTTP caching headers, used by registry entries
+ * with ttl: 'http'.
+ *
+ * Follows the RFC 9111 freshness model, simplified for a client-side store:
+ *
+ *   lifetime = Cache-Control max-age
+ *           ?? Cache-Control s-maxage
+ *           ?? Expires − Date (or Expires − now when Date is missing)
+ *   ttl      = lifetime − Age
+ *
+ * no-store and no-cache are treated as a lifetime of 0 (stale immediately, so
+ * the next drain cycle refreshes it; with an ETag that is a cheap 304). A
+ * response with no freshness information at all never expires, which matches
+ * how a numeric ttl of 0 behaves.
+ */
+/**
+ * Reads freshness information from a response's headers.
+ * @param {Headers} headers
+ * @returns {{ ttl: number|null, staleWhileRevalidate: number|null }}
+ *   ttl — remaining freshness in seconds, or null when the response carries none
+ *   staleWhileRevalidate — the stale-while-revalidate directive in seconds, if any
+ */
+export function parseFreshness(headers: Headers): {
+    ttl: number | null;
+    staleWhileRevalidate: number | null;
+};
@@ -1,74 +1,884 @@
-export default OfflineDataManager;
-declare namespace OfflineDataManager {
-    export { setDBInfo };
-    export { dbGetAllIds };
-    export { registerFile };
-    export { registerFiles };
-    export { startDownloads };
-    export { stopDownloads };
-    export { retryFailed };
-    export { isDownloading };
-    export { abortDownload };
-    export { abortAllDownloads };
-    export { startMonitoring };
-    export { stopMonitoring };
-    export { isOnline };
-    export { isMonitoring };
-    export { updateConnectivityStatus };
-    export { retrieve };
-    export { getAllStatus };
-    export { getStatus };
-    export { isReady };
-    export { deleteFile as delete };
-    export { deleteAllFiles as deleteAll };
-    export { on };
-    export { off };
-    export { once };
-    export { getStorageEstimate };
-    export { requestPersistentStorage };
-    export { isPersistentStorage };
-}
-import { registerFile } from './registry.js';
-import { registerFiles } from './registry.js';
-import { updateRegistryMetadata } from './registry.js';
-import { startDownloads } from './downloader.js';
-import { stopDownloads } from './downloader.js';
-import { retryFailed } from './downloader.js';
-import { isDownloading } from './downloader.js';
-import { abortDownload } from './downloader.js';
-import { abortAllDownloads } from './downloader.js';
-import { startMonitoring } from './downloader.js';
-import { stopMonitoring } from './downloader.js';
-import { isOnline } from './downloader.js';
-import { isMonitoring } from './downloader.js';
-import { updateConnectivityStatus } from './connectivity.js';
 /**
- * Retrieves the stored file data for a registered file.
- * Returns the array buffer and content type.
+ * Creates an independent manager with its own database, event listeners,
+ * download loop, and connectivity monitoring, e.g. one per signed-in user or
+ * one per map product. Give each instance its own dbName; instances sharing a
+ * database would run competing download loops over the same queue.
  *
- * Returns the data even if the file is expired; expiry only means a refresh is
- * queued, not that the data is gone.
- *
- * @param {string} id
- * @returns {Promise<{ data: ArrayBuffer, mimeType: string }>}
- * @throws {Error} if the file is not registered or has no data yet
+ * @param {object} [options]
+ * @param {string} [options.dbName='offline-data-manager'] — IndexedDB database (and OPFS directory) name
+ * @param {number} [options.dbVersion=7]
+ * @param {object} [options.storageAdapter] — e.g. createMemoryAdapter(); defaults to IndexedDB
+ * @param {object[]} [options.migrations] — migration steps, as for registerMigration()
+ * @param {number} [options.concurrency=2] — default for startDownloads()
+ * @param {number} [options.rangeConcurrency=1] — default for startDownloads()
+ * @param {number|null} [options.opfsThreshold=null] — default for startDownloads()
+ * @param {number|null} [options.maxBytesPerSecond=null] — default for startDownloads()
+ * @returns {ReturnType<typeof createAPI>} an object with the same API as the default export
  */
-export function retrieve(id: string): Promise<{
+export function createOfflineDataManager({ storageAdapter, migrations: steps, ...options }?: {
+    dbName?: string | undefined;
+    dbVersion?: number | undefined;
+    storageAdapter?: object | undefined;
+    migrations?: object[] | undefined;
+    concurrency?: number | undefined;
+    rangeConcurrency?: number | undefined;
+    opfsThreshold?: number | null | undefined;
+    maxBytesPerSecond?: number | null | undefined;
+}): ReturnType<typeof createAPI>;
+export default OfflineDataManager;
+export const setStorageAdapter: (adapter: db.StorageAdapter) => void;
+export const registerMigration: (args_0?: {
+    version: number;
+    migrate: Function;
+    description?: string | undefined;
+} | undefined) => void;
+export const registerFile: (entry: object) => Promise<void>;
+export const registerFiles: (entries: object[]) => Promise<{
+    registered: string[];
+}>;
+export const syncManifest: (urlOrObject: string | object | object[], args_1?: {
+    prune?: boolean | undefined;
+} | undefined) => Promise<{
+    added: string[];
+    updated: string[];
+    unchanged: string[];
+    removed: string[];
+    failed: Array<{
+        id: string | undefined;
+        error: string;
+    }>;
+    source: "network" | "cache" | "object";
+}>;
+export const updateRegistryMetadata: (id: string, metadata: Object) => Promise<void>;
+export const startDownloads: (args_0?: {
+    concurrency?: number | undefined;
+    rangeConcurrency?: number | undefined;
+    opfsThreshold?: number | null | undefined;
+    maxBytesPerSecond?: number | null | undefined;
+} | undefined) => void;
+export const setBandwidthLimit: (maxBytesPerSecond: number | null) => void;
+export const stopDownloads: () => Promise<void>;
+export const retryFailed: (ids?: string[] | undefined) => Promise<void>;
+export const setAuthProvider: (provider: ((entry: object, context: {
+    refresh: boolean;
+}) => Promise<object | Headers | null>) | null) => void;
+export const setUrlResolver: (resolver: ((entry: object, context: {
+    refresh: boolean;
+    status: number | null;
+}) => Promise<string | URL>) | null) => void;
+export const isDownloading: () => boolean;
+export const abortDownload: (id: string) => Promise<void>;
+export const abortAllDownloads: () => Promise<void>;
+export const startMonitoring: () => void;
+export const stopMonitoring: () => void;
+export const isOnline: () => boolean;
+export const isMonitoring: () => boolean;
+export const updateConnectivityStatus: (online: boolean) => void;
+export const retrieve: (id: string, args_1?: {
+    allowStale?: boolean | undefined;
+} | undefined) => Promise<{
+    data: ArrayBuffer;
+    mimeType: string;
+}>;
+export const retrieveRange: (id: string, start: number, end?: number | undefined, args_3?: {
+    allowStale?: boolean | undefined;
+} | undefined) => Promise<{
     data: ArrayBuffer;
     mimeType: string;
+    totalBytes: number;
+}>;
+export const retrieveStream: (id: string, args_1?: {
+    allowStale?: boolean | undefined;
+} | undefined) => Promise<ReadableStream<Uint8Array<ArrayBufferLike>>>;
+export const retrieveBlob: (id: string, args_1?: {
+    allowStale?: boolean | undefined;
+} | undefined) => Promise<Blob>;
+export const retrieveAs: (id: string, format?: string | undefined, args_2?: {
+    encoding?: string | undefined;
+    allowStale?: boolean | undefined;
+} | undefined) => Promise<any>;
+export const retrieveJSON: (id: string, options?: {
+    encoding?: string;
+    allowStale?: boolean;
+} | undefined) => Promise<any>;
+export const retrieveText: (id: string, options?: {
+    encoding?: string;
+    allowStale?: boolean;
+} | undefined) => Promise<string>;
+export const registerDecoder: (format: string, decode: Function, args_2?: {
+    mimeTypes?: string[] | undefined;
+} | undefined) => void;
+export const getObjectURL: (id: string, args_1?: {
+    allowStale?: boolean | undefined;
+} | undefined) => Promise<string>;
+export const revokeObjectURL: (id: string) => boolean;
+export const createFetchHandler: (args_0?: {
+    mapUrl?: Function | undefined;
+    fallbackToNetwork?: boolean | undefined;
+    allowStale?: boolean | undefined;
+} | undefined) => Function & {
+    respond: Function;
+    refresh: Function;
+    dispose: Function;
+};
+export const getAllStatus: () => Promise<{
+    items: object[];
+    storage: object;
+}>;
+export const getStorageUsage: () => Promise<{
+    files: number;
+    storedBytes: number;
+    pendingBytes: number;
+    reclaimableBytes: number;
+    storedFormatted: string;
+    pendingFormatted: string;
+    reclaimableFormatted: string;
+    byMimeType: {
+        [x: string]: object;
+    };
+    byMetadata: {
+        [x: string]: {
+            [x: string]: object;
+        };
+    };
 }>;
-import { getAllStatus } from './registry.js';
-import { getStatus } from './registry.js';
-import { isReady } from './registry.js';
-import { deleteFile } from './deleter.js';
-import { deleteAllFiles } from './deleter.js';
-import { on } from './events.js';
-import { off } from './events.js';
-import { once } from './events.js';
-import { emit } from './events.js';
+export const getStatus: (id: string) => Promise<object | null>;
+export const isReady: (id: string) => Promise<boolean>;
+export const getGroupStatus: (group: string) => Promise<{
+    group: string;
+    files: number;
+    ready: number;
+    statusCounts: Record<string, number>;
+    bytesDownloaded: number;
+    totalBytes: number | null;
+    progress: number | null;
+    progressBasis: "bytes" | "files";
+    items: object[];
+}>;
+export const isGroupReady: (group: string) => Promise<boolean>;
+export const deleteGroup: (group: string, args_1?: {
+    removeProtected?: boolean | undefined;
+} | undefined) => Promise<{
+    id: string;
+    registryRemoved: boolean;
+}[]>;
+export const retryGroup: (group: string) => Promise<void>;
+export const deleteFile: (id: string, args_1?: {
+    removeProtected?: boolean | undefined;
+} | undefined) => Promise<{
+    id: string;
+    registryRemoved: boolean;
+}>;
+export const deleteAllFiles: (args_0?: {
+    removeProtected?: boolean | undefined;
+} | undefined) => Promise<{
+    id: string;
+    registryRemoved: boolean;
+}[]>;
+export const on: (event: string, listener: Function) => Function;
+export const off: (event: string, listener: Function) => void;
+export const once: (event: string, listener: Function) => void;
+export const setEvictionPolicy: (policy: "lru" | ((candidates: object[], context: {
+    entry: object;
+    requiredBytes: number;
+}) => object[] | Promise<object[]>) | null) => void;
+export const setStorageBudget: (budget: number | {
+    percentOfQuota: number;
+} | null) => void;
+export function emit(event: string, data: object): void;
+/**
+ * Builds the public API over one instance's state: every function that reads
+ * or changes state is bound to ctx, so instances never see each other's data,
+ * events, or download loop.
+ * @param {object} ctx — from createContext()
+ */
+declare function createAPI(ctx: object): {
+    /**
+     * Overrides the default DB name and version number.
+     * @param {string|undefined} dbName Optional DB name. Default: 'offline-data-manager'
+     * @param {number|undefined} dbVersion Optional DB version, for registerMigration() steps. Default: 7
+     */
+    setDBInfo: (dbName: string | undefined, dbVersion: number | undefined) => Promise<void>;
+    /**
+     * Replaces the storage backend (IndexedDB by default). Call it before
+     * registering or downloading anything; data is not copied between adapters.
+     * See db.js for the adapter interface.
+     * @param {object} adapter — e.g. createMemoryAdapter()
+     */
+    setStorageAdapter: (adapter: db.StorageAdapter) => void;
+    /**
+     * Adds a migration step that upgrades existing records when the database is
+     * opened with a higher version (see setDBInfo()). Steps run in version order
+     * inside the upgrade transaction; if one throws, the database is left
+     * untouched and every call rejects with an error whose reason is
+     * 'migration-failed'. Register steps before the database is first used.
+     * @param {{ version: number, migrate: Function, description?: string }} step
+     *   — migrate(tx, { oldVersion, newVersion }); tx has get, getAll, getAllKeys, put, delete
+     */
+    registerMigration: (args_0?: {
+        version: number;
+        migrate: Function;
+        description?: string | undefined;
+    } | undefined) => void;
+    /**
+     * Creates an IndexedDB storage adapter, e.g. to use a different database
+     * than setDBInfo() configured.
+     * @param {object} [options]
+     * @param {string} [options.dbName='offline-data-manager']
+     * @param {number} [options.dbVersion=7]
+     */
+    createIndexedDBAdapter: typeof createIndexedDBAdapter;
+    /**
+     * Creates an in-memory storage adapter for tests, Node, or browsers where
+     * IndexedDB is unavailable. Nothing survives a reload.
+     */
+    createMemoryAdapter: typeof createMemoryAdapter;
+    /**
+     * Get all record ids from a store.
+     * @param {string} storeName
+     * @returns {Promise<string[]>}
+     */
+    dbGetAllIds: (storeName: string) => Promise<string[]>;
+    /**
+     * Shuts the instance down: stops the download loop and connectivity
+     * monitoring, cancels pending 'group-progress' events, and closes the
+     * database connection. Calling any other method afterwards opens it again.
+     * @returns {Promise<void>}
+     */
+    close: () => Promise<void>;
+    /**
+     * Registers a single file entry.
+     *
+     * - New entry: added to registry, fresh pending queue entry created.
+     * - Existing, version increased: registry updated, queue reset to pending.
+     *   Existing array buffer remains accessible until the new download completes.
+     * - Existing, version unchanged or lower: no-op.
+     *
+     * @param {object} entry
+     * @returns {Promise<void>}
+     */
+    registerFile: (entry: object) => Promise<void>;
+    /**
+    * Registers an array of file entries.
+    * If a registry item is already registered, the version will be checked to see if there is new information.
+     *
+     * @param {object[]} entries
+     * @returns {Promise<{ registered: string[] }>}
+     */
+    registerFiles: (entries: object[]) => Promise<{
+        registered: string[];
+    }>;
+    /**
+     * Syncs the registry with a JSON manifest (URL or object): registers new and
+     * version-bumped entries and, with { prune: true }, deletes non-protected
+     * files missing from it. Fetched manifests are cached for offline use.
+     * @param {string|object|object[]} urlOrObject
+     * @param {{ prune?: boolean }} [options]
+     * @returns {Promise<{ added: string[], updated: string[], unchanged: string[], removed: string[], failed: object[], source: string }>}
+     */
+    syncManifest: (urlOrObject: string | object | object[], args_1?: {
+        prune?: boolean | undefined;
+    } | undefined) => Promise<{
+        added: string[];
+        updated: string[];
+        unchanged: string[];
+        removed: string[];
+        failed: Array<{
+            id: string | undefined;
+            error: string;
+        }>;
+        source: "network" | "cache" | "object";
+    }>;
+    /**
+     * Merges metadata into a registry entry's existing metadata.
+     * @param {string} id
+     * @param {object} metadata
+     * @returns {Promise<void>}
+     */
+    updateRegistryMetadata: (id: string, metadata: Object) => Promise<void>;
+    /**
+     * Starts the persistent download loop.
+     *
+     * Drains all actionable queue entries, then waits for new work without
+     * polling. Wakes automatically when registerFile() adds a new entry, when
+     * the browser comes back online, or when retryFailed() is called.
+     *
+     * Idempotent — safe to call multiple times; subsequent calls while already
+     * running are a no-op.
+     *
+     * @param {object} [options]
+     * @param {number} [options.concurrency=2] — max parallel requests across all downloads
+     * @param {number} [options.rangeConcurrency=1] — max parallel Range requests within one
+     *   chunked file; shares the `concurrency` budget. Registry entries can override it.
+     * @param {number|null} [options.opfsThreshold=null] — store files of at least this many
+     *   bytes in the Origin Private File System instead of IndexedDB, where available
+     * @param {number|null} [options.maxBytesPerSecond=null] — bandwidth limit shared by all
+     *   downloads; null means unlimited
+     */
+    startDownloads: (args_0?: {
+        concurrency?: number | undefined;
+        rangeConcurrency?: number | undefined;
+        opfsThreshold?: number | null | undefined;
+        maxBytesPerSecond?: number | null | undefined;
+    } | undefined) => void;
+    /**
+     * Changes the bandwidth limit shared by all downloads, or removes it with
+     * null. Applies at once, also to downloads in progress: response bodies are
+     * read no faster than the limit and Range requests are spaced out to match.
+     * @param {number|null} maxBytesPerSecond
+     */
+    setBandwidthLimit: (maxBytesPerSecond: number | null) => void;
+    /**
+     * Stops the download loop gracefully.
+     * In-flight downloads are aborted and set to 'paused'. Call startDownloads()
+     * again to resume.
+     */
+    stopDownloads: () => Promise<void>;
+    /**
+     * Re-queues all failed entries and wakes the loop to retry them.
+     */
+    retryFailed: (ids?: string[] | undefined) => Promise<void>;
+    /**
+     * Sets the function that supplies auth headers for download requests, or
+     * removes it with null. Called before every HEAD/GET/Range request, and
+     * again with { refresh: true } after a 401 before the request is repeated.
+     * @param {((entry: object, context: { refresh: boolean }) => Promise<object|null>)|null} provider
+     */
+    setAuthProvider: (provider: ((entry: object, context: {
+        refresh: boolean;
+    }) => Promise<object | Headers | null>) | null) => void;
+    /**
+     * Sets the URL resolver for entries without their own resolveUrl, or removes
+     * it with null. Called before each download attempt, and again with
+     * { refresh: true } when a request is rejected with 401/403 or an expired-URL
+     * 400. The resolved URL is never written to the registry.
+     * @param {((entry: object, context: { refresh: boolean, status: number|null }) => Promise<string>)|null} resolver
+     */
+    setUrlResolver: (resolver: ((entry: object, context: {
+        refresh: boolean;
+        status: number | null;
+    }) => Promise<string | URL>) | null) => void;
+    /**
+     * Returns true if the download loop is currently running.
+     * @returns {boolean}
+     */
+    isDownloading: () => boolean;
+    /**
+     * Aborts a single active download, setting it to 'paused'.
+     * The loop will pick it up again automatically on the next drain cycle.
+     * @param {string} id
+     */
+    abortDownload: (id: string) => Promise<void>;
+    /**
+     * Aborts all active downloads, setting them to 'paused'.
+     */
+    abortAllDownloads: () => Promise<void>;
+    /**
+     * Starts monitoring online/offline connectivity.
+     *
+     * - Going offline: all active downloads are paused immediately.
+     * - Coming back online: the download loop resumes automatically (via startMonitoring())
+     *   same options as the most recent explicit call.
+     *
+     * Idempotent — safe to call multiple times. Call stopConnectivityMonitor()
+     * to remove the listeners (useful in tests or cleanup).
+     */
+    startMonitoring: () => void;
+    /**
+     * Stops monitoring and removes event listeners.
+     * After calling this, online/offline events will no longer trigger pause/resume.
+     */
+    stopMonitoring: () => void;
+    /**
+     * Returns the current online status from navigator.onLine.
+     * Note: true does not guarantee the download servers are reachable,
+     * only that the browser believes it has a network connection.
+     * @returns {boolean}
+     */
+    isOnline: () => boolean;
+    /**
+     * Returns true if connectivity monitoring is currently active.
+     * @returns {boolean}
+     */
+    isMonitoring: () => boolean;
+    /**
+   * A manual override option for setting the online/offline status.
+   * seful when running this solution in a worker that doesn't have access to the window event for monitoring this status.
+   * @param {boolean} online True if online, false otherwise.
+   */
+    updateConnectivityStatus: (online: boolean) => void;
+    /**
+     * Returns the stored file data for a completed or expired file.
+     * @param {string} id
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<{ data: ArrayBuffer, mimeType: string }>}
+     */
+    retrieve: (id: string, args_1?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<{
+        data: ArrayBuffer;
+        mimeType: string;
+    }>;
+    /**
+     * Returns bytes [start, end) of a stored file, reading only the stored
+     * blocks that overlap the range. `end` defaults to the end of the file.
+     * @param {string} id
+     * @param {number} start
+     * @param {number} [end]
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<{ data: ArrayBuffer, mimeType: string, totalBytes: number }>}
+     */
+    retrieveRange: (id: string, start: number, end?: number | undefined, args_3?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<{
+        data: ArrayBuffer;
+        mimeType: string;
+        totalBytes: number;
+    }>;
+    /**
+     * Returns the stored file data as a ReadableStream<Uint8Array>, read from
+     * IndexedDB one block at a time. Errors if the file is deleted mid-read.
+     * @param {string} id
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<ReadableStream<Uint8Array>>}
+     */
+    retrieveStream: (id: string, args_1?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<ReadableStream<Uint8Array<ArrayBufferLike>>>;
+    /**
+     * Returns the stored file data as a Blob typed with the stored mimeType.
+     * @param {string} id
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<Blob>}
+     */
+    retrieveBlob: (id: string, args_1?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<Blob>;
+    /**
+     * Returns a stored file decoded into a usable value. Without a format the
+     * stored mimeType picks the decoder ('json', 'xml', 'text', or 'arraybuffer').
+     * @param {string} id
+     * @param {string} [format] — 'arraybuffer' | 'blob' | 'text' | 'json' | 'xml' | a registered format
+     * @param {{ encoding?: string, allowStale?: boolean }} [options]
+     * @returns {Promise<any>}
+     */
+    retrieveAs: (id: string, format?: string | undefined, args_2?: {
+        encoding?: string | undefined;
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<any>;
+    /**
+     * Returns a stored file parsed as JSON. Throws a DecodeError if it is not valid JSON.
+     * @param {string} id
+     * @param {{ encoding?: string, allowStale?: boolean }} [options]
+     * @returns {Promise<any>}
+     */
+    retrieveJSON: (id: string, options?: {
+        encoding?: string;
+        allowStale?: boolean;
+    } | undefined) => Promise<any>;
+    /**
+     * Returns a stored file decoded as text (default encoding 'utf-8').
+     * @param {string} id
+     * @param {{ encoding?: string, allowStale?: boolean }} [options]
+     * @returns {Promise<string>}
+     */
+    retrieveText: (id: string, options?: {
+        encoding?: string;
+        allowStale?: boolean;
+    } | undefined) => Promise<string>;
+    /**
+     * Registers a decoder for retrieveAs(), e.g. for CSV, KML, or GeoJSONSeq.
+     * Pass { mimeTypes } to have it chosen automatically for those types.
+     * @param {string} format
+     * @param {Function} decode — (data: ArrayBuffer, { id, mimeType, format, encoding }) => any
+     * @param {{ mimeTypes?: string[] }} [options]
+     */
+    registerDecoder: (format: string, decode: Function, args_2?: {
+        mimeTypes?: string[] | undefined;
+    } | undefined) => void;
+    /** Error class thrown when stored data cannot be decoded. Has id, mimeType, and format. */
+    DecodeError: typeof decoders.DecodeError;
+    /**
+     * Returns an object URL for the stored file. The URL is reused across calls
+     * and revoked automatically when the file is deleted or its data replaced.
+     * @param {string} id
+     * @param {{ allowStale?: boolean }} [options]
+     * @returns {Promise<string>}
+     */
+    getObjectURL: (id: string, args_1?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<string>;
+    /**
+     * Revokes the object URL created by getObjectURL() for a file, if any.
+     * @param {string} id
+     * @returns {boolean} true if a URL was revoked
+     */
+    revokeObjectURL: (id: string) => boolean;
+    /**
+     * Creates a service worker fetch handler that answers requests for registered
+     * downloadUrls (or a custom URL mapping) from stored files, with Range support.
+     * Falls back to the network when the file is not ready.
+     * @param {{ mapUrl?: Function, fallbackToNetwork?: boolean, allowStale?: boolean }} [options]
+     * @returns {Function}
+     */
+    createFetchHandler: (args_0?: {
+        mapUrl?: Function | undefined;
+        fallbackToNetwork?: boolean | undefined;
+        allowStale?: boolean | undefined;
+    } | undefined) => Function & {
+        respond: Function;
+        refresh: Function;
+        dispose: Function;
+    };
+    /**
+     * Returns all registry entries merged with download state, plus storage summary.
+     * storage.library holds the library's own totals, as from getStorageUsage().
+     * @returns {Promise<{ items: object[], storage: object }>}
+     */
+    getAllStatus: () => Promise<{
+        items: object[];
+        storage: object;
+    }>;
+    /**
+     * Returns the library's own storage totals: bytes stored, bytes still to
+     * download (from known sizes), and bytes reclaimable from non-protected
+     * files, overall, per mimeType, and per metadata key and value. Kept as
+     * running counters, so it does not read every record.
+     * @returns {Promise<object>}
+     */
+    getStorageUsage: () => Promise<{
+        files: number;
+        storedBytes: number;
+        pendingBytes: number;
+        reclaimableBytes: number;
+        storedFormatted: string;
+        pendingFormatted: string;
+        reclaimableFormatted: string;
+        byMimeType: {
+            [x: string]: object;
+        };
+        byMetadata: {
+            [x: string]: {
+                [x: string]: object;
+            };
+        };
+    }>;
+    /**
+     * Returns the full status object for a single file, or null if not registered.
+     * Also accepts the id of a file extracted from an archive.
+     * @param {string} id
+     * @returns {Promise<object|null>}
+     */
+    getStatus: (id: string) => Promise<object | null>;
+    /**
+     * Returns true if the file has data available (status: complete or expired).
+     * @param {string} id
+     * @returns {Promise<boolean>}
+     */
+    isReady: (id: string) => Promise<boolean>;
+    /**
+     * Returns the combined state of all files in a group: file and ready counts,
+     * status counts, bytes, percent, and each member's status.
+     * @param {string} group
+     * @returns {Promise<object>}
+     */
+    getGroupStatus: (group: string) => Promise<{
+        group: string;
+        files: number;
+        ready: number;
+        statusCounts: Record<string, number>;
+        bytesDownloaded: number;
+        totalBytes: number | null;
+        progress: number | null;
+        progressBasis: "bytes" | "files";
+        items: object[];
+    }>;
+    /**
+     * Returns true if the group has members and all of them have data available.
+     * @param {string} group
+     * @returns {Promise<boolean>}
+     */
+    isGroupReady: (group: string) => Promise<boolean>;
+    /**
+     * Deletes every file in a group, following the protected rules of delete().
+     * @param {string} group
+     * @param {{ removeProtected?: boolean }} [options]
+     */
+    deleteGroup: (group: string, args_1?: {
+        removeProtected?: boolean | undefined;
+    } | undefined) => Promise<{
+        id: string;
+        registryRemoved: boolean;
+    }[]>;
+    /**
+     * Re-queues the failed files of a group.
+     * @param {string} group
+     */
+    retryGroup: (group: string) => Promise<void>;
+    /**
+     * Deletes a file's data.
+     * Protected entries: data cleared, queue reset to pending, registry survives.
+     * Non-protected entries: fully removed including registry.
+     * @param {string} id
+     * @param {{ removeProtected?: boolean }} [options]
+     */
+    delete: (id: string, args_1?: {
+        removeProtected?: boolean | undefined;
+    } | undefined) => Promise<{
+        id: string;
+        registryRemoved: boolean;
+    }>;
+    /**
+     * Deletes all files following the same protected/non-protected rules.
+     * @param {{ removeProtected?: boolean }} [options]
+     */
+    deleteAll: (args_0?: {
+        removeProtected?: boolean | undefined;
+    } | undefined) => Promise<{
+        id: string;
+        registryRemoved: boolean;
+    }[]>;
+    /**
+    * Subscribe to an event. Returns an unsubscribe function.
+    * Events: 'progress' | 'complete' | 'error' | 'deferred' | 'expired' |
+    *         'revalidated' | 'registered' | 'deleted' | 'evicted' | 'status' | 'group-progress'
+    * @param {string} event
+    * @param {Function} listener
+    * @returns {Function}
+    */
+    on: (event: string, listener: Function) => Function;
+    /**
+     * Unsubscribe from an event.
+     * @param {string} event
+     * @param {Function} listener
+     */
+    off: (event: string, listener: Function) => void;
+    /**
+     * Emit an event to all registered listeners.
+     * @param {string} event
+     * @param {object} data
+     */
+    once: (event: string, listener: Function) => void;
+    /**
+     * Returns current storage usage and quota from the browser Storage API.
+     * @returns {Promise<{ usage: number, quota: number, available: number }>}
+     */
+    getStorageEstimate: typeof getStorageEstimate;
+    /**
+     * Requests persistent storage from the browser.
+     * Persistent storage is less likely to be evicted under storage pressure.
+     * @returns {Promise<boolean>}
+     */
+    requestPersistentStorage: typeof requestPersistentStorage;
+    /**
+     * Returns true if persistent storage is already granted.
+     * @returns {Promise<boolean>}
+     */
+    isPersistentStorage: typeof isPersistentStorage;
+    /**
+     * Sets how files are chosen for eviction when a download does not fit in
+     * the available storage. Only non-protected files with a lower priority
+     * than the download are evicted; each eviction emits 'evicted'. Evicted
+     * files keep their registration and download again once there is room.
+     * 'lru' (the default) evicts the least recently retrieved first; a function
+     * receives the candidates' statuses and returns them in eviction order;
+     * null turns eviction off, so the download is deferred.
+     * @param {'lru'|((candidates: object[], context: { entry: object, requiredBytes: number }) => object[]|Promise<object[]>)|null} policy
+     */
+    setEvictionPolicy: (policy: "lru" | ((candidates: object[], context: {
+        entry: object;
+        requiredBytes: number;
+    }) => object[] | Promise<object[]>) | null) => void;
+    /**
+     * Limits the bytes this manager stores, independent of the browser quota
+     * (which covers the whole origin), or removes the limit with null. Stored
+     * data and the expected size of running downloads count against it; a
+     * download that would exceed it is deferred with reason 'budget-exceeded'
+     * unless evicting lower-priority files makes room.
+     * @param {number|{ percentOfQuota: number }|null} budget — bytes, or a share (0–100) of the quota
+     */
+    setStorageBudget: (budget: number | {
+        percentOfQuota: number;
+    } | null) => void;
+};
+declare namespace OfflineDataManager {
+    export { createOfflineDataManager };
+    export let setDBInfo: (dbName: string | undefined, dbVersion: number | undefined) => Promise<void>;
+    export let setStorageAdapter: (adapter: db.StorageAdapter) => void;
+    export let registerMigration: (args_0?: {
+        version: number;
+        migrate: Function;
+        description?: string | undefined;
+    } | undefined) => void;
+    export { createIndexedDBAdapter };
+    export { createMemoryAdapter };
+    export let dbGetAllIds: (storeName: string) => Promise<string[]>;
+    export function close(): Promise<void>;
+    export let registerFile: (entry: object) => Promise<void>;
+    export let registerFiles: (entries: object[]) => Promise<{
+        registered: string[];
+    }>;
+    export let syncManifest: (urlOrObject: string | object | object[], args_1?: {
+        prune?: boolean | undefined;
+    } | undefined) => Promise<{
+        added: string[];
+        updated: string[];
+        unchanged: string[];
+        removed: string[];
+        failed: Array<{
+            id: string | undefined;
+            error: string;
+        }>;
+        source: "network" | "cache" | "object";
+    }>;
+    export let updateRegistryMetadata: (id: string, metadata: Object) => Promise<void>;
+    export let startDownloads: (args_0?: {
+        concurrency?: number | undefined;
+        rangeConcurrency?: number | undefined;
+        opfsThreshold?: number | null | undefined;
+        maxBytesPerSecond?: number | null | undefined;
+    } | undefined) => void;
+    export let setBandwidthLimit: (maxBytesPerSecond: number | null) => void;
+    export let stopDownloads: () => Promise<void>;
+    export let retryFailed: (ids?: string[] | undefined) => Promise<void>;
+    export let setAuthProvider: (provider: ((entry: object, context: {
+        refresh: boolean;
+    }) => Promise<object | Headers | null>) | null) => void;
+    export let setUrlResolver: (resolver: ((entry: object, context: {
+        refresh: boolean;
+        status: number | null;
+    }) => Promise<string | URL>) | null) => void;
+    export let isDownloading: () => boolean;
+    export let abortDownload: (id: string) => Promise<void>;
+    export let abortAllDownloads: () => Promise<void>;
+    export let startMonitoring: () => void;
+    export let stopMonitoring: () => void;
+    export let isOnline: () => boolean;
+    export let isMonitoring: () => boolean;
+    export let updateConnectivityStatus: (online: boolean) => void;
+    export let retrieve: (id: string, args_1?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<{
+        data: ArrayBuffer;
+        mimeType: string;
+    }>;
+    export let retrieveRange: (id: string, start: number, end?: number | undefined, args_3?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<{
+        data: ArrayBuffer;
+        mimeType: string;
+        totalBytes: number;
+    }>;
+    export let retrieveStream: (id: string, args_1?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<ReadableStream<Uint8Array<ArrayBufferLike>>>;
+    export let retrieveBlob: (id: string, args_1?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<Blob>;
+    export let retrieveAs: (id: string, format?: string | undefined, args_2?: {
+        encoding?: string | undefined;
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<any>;
+    export let retrieveJSON: (id: string, options?: {
+        encoding?: string;
+        allowStale?: boolean;
+    } | undefined) => Promise<any>;
+    export let retrieveText: (id: string, options?: {
+        encoding?: string;
+        allowStale?: boolean;
+    } | undefined) => Promise<string>;
+    export let registerDecoder: (format: string, decode: Function, args_2?: {
+        mimeTypes?: string[] | undefined;
+    } | undefined) => void;
+    export { DecodeError };
+    export let getObjectURL: (id: string, args_1?: {
+        allowStale?: boolean | undefined;
+    } | undefined) => Promise<string>;
+    export let revokeObjectURL: (id: string) => boolean;
+    export let createFetchHandler: (args_0?: {
+        mapUrl?: Function | undefined;
+        fallbackToNetwork?: boolean | undefined;
+        allowStale?: boolean | undefined;
+    } | undefined) => Function & {
+        respond: Function;
+        refresh: Function;
+        dispose: Function;
+    };
+    export let getAllStatus: () => Promise<{
+        items: object[];
+        storage: object;
+    }>;
+    export let getStorageUsage: () => Promise<{
+        files: number;
+        storedBytes: number;
+        pendingBytes: number;
+        reclaimableBytes: number;
+        storedFormatted: string;
+        pendingFormatted: string;
+        reclaimableFormatted: string;
+        byMimeType: {
+            [x: string]: object;
+        };
+        byMetadata: {
+            [x: string]: {
+                [x: string]: object;
+            };
+        };
+    }>;
+    export let getStatus: (id: string) => Promise<object | null>;
+    export let isReady: (id: string) => Promise<boolean>;
+    export let getGroupStatus: (group: string) => Promise<{
+        group: string;
+        files: number;
+        ready: number;
+        statusCounts: Record<string, number>;
+        bytesDownloaded: number;
+        totalBytes: number | null;
+        progress: number | null;
+        progressBasis: "bytes" | "files";
+        items: object[];
+    }>;
+    export let isGroupReady: (group: string) => Promise<boolean>;
+    export let deleteGroup: (group: string, args_1?: {
+        removeProtected?: boolean | undefined;
+    } | undefined) => Promise<{
+        id: string;
+        registryRemoved: boolean;
+    }[]>;
+    export let retryGroup: (group: string) => Promise<void>;
+    let _delete: (id: string, args_1?: {
+        removeProtected?: boolean | undefined;
+    } | undefined) => Promise<{
+        id: string;
+        registryRemoved: boolean;
+    }>;
+    export { _delete as delete };
+    export let deleteAll: (args_0?: {
+        removeProtected?: boolean | undefined;
+    } | undefined) => Promise<{
+        id: string;
+        registryRemoved: boolean;
+    }[]>;
+    export let on: (event: string, listener: Function) => Function;
+    export let off: (event: string, listener: Function) => void;
+    export let once: (event: string, listener: Function) => void;
+    export { getStorageEstimate };
+    export { requestPersistentStorage };
+    export { isPersistentStorage };
+    export let setEvictionPolicy: (policy: "lru" | ((candidates: object[], context: {
+        entry: object;
+        requiredBytes: number;
+    }) => object[] | Promise<object[]>) | null) => void;
+    export let setStorageBudget: (budget: number | {
+        percentOfQuota: number;
+    } | null) => void;
+}
+import * as db from './db.js';
+import { createIndexedDBAdapter } from './indexedDBAdapter.js';
+import { createMemoryAdapter } from './memoryAdapter.js';
+import { DecodeError } from './decoders.js';
 import { getStorageEstimate } from './storage.js';
 import { requestPersistentStorage } from './storage.js';
 import { isPersistentStorage } from './storage.js';
-import { setDBInfo } from './db.js';
-import { dbGetAllIds } from './db.js';
-export { registerFile, registerFiles, updateRegistryMetadata, startDownloads, stopDownloads, retryFailed, isDownloading, abortDownload, abortAllDownloads, startMonitoring, stopMonitoring, isOnline, isMonitoring, updateConnectivityStatus, getAllStatus, getStatus, isReady, deleteFile, deleteAllFiles, on, off, once, emit, getStorageEstimate, requestPersistentStorage, isPersistentStorage };
+import * as decoders from './decoders.js';
+export { createIndexedDBAdapter, createMemoryAdapter, DecodeError, getStorageEstimate, requestPersistentStorage, isPersistentStorage };
@@ -0,0 +1,31 @@
+/**
+ * indexedDBAdapter.js
+ * Storage adapter backed by IndexedDB — the default backend (see db.js for the
+ * adapter interface).
+ *
+ * Each store in the schema becomes an object store. The IndexedDB version is
+ * the adapter's own: dbVersion is the app's version, which migrations.js
+ * records in the meta store next to the library's. open() checks the database
+ * and, if a store or index in the schema is missing or a migration is
+ * pending, reopens it one IndexedDB version higher. That upgrade creates the
+ * missing stores and indexes and runs the migration steps in the same
+ * versionchange transaction; if one fails the transaction is aborted, which
+ * also undoes the new stores and indexes and leaves the database unchanged.
+ *
+ * An upgrade has to wait until every other connection to the database is
+ * closed. The connection this adapter keeps closes itself as soon as another
+ * one asks to upgrade (another tab, or the service worker), and is opened
+ * again on next use. Connections that do not step aside block the upgrade:
+ * open() then rejects with reason 'upgrade-blocked' instead of waiting.
+ */
+/**
+ * Creates an IndexedDB storage adapter. The database is opened by open().
+ * @param {object} [options]
+ * @param {string} [options.dbName='offline-data-manager']
+ * @param {number} [options.dbVersion=7] — the app's version, for registerMigration() steps
+ * @returns {import('./db.js').StorageAdapter}
+ */
+export function createIndexedDBAdapter({ dbName, dbVersion }?: {
+    dbName?: string | undefined;
+    dbVersion?: number | undefined;
+}): import("./db.js").StorageAdapter;
@@ -0,0 +1,27 @@
+/**
+ * Parses an integrity string into its hash tokens.
+ * Unknown algorithms are ignored; an options suffix ('?...') is stripped.
+ * @param {string} integrity
+ * @returns {Array<{ alg: string, digest: string }>}
+ */
+export function parseIntegrity(integrity: string): Array<{
+    alg: string;
+    digest: string;
+}>;
+/**
+ * Returns true if `data` matches the integrity string.
+ * @param {ArrayBuffer|Uint8Array} data
+ * @param {string} integrity
+ * @returns {Promise<boolean>}
+ */
+export function verifyIntegrity(data: ArrayBuffer | Uint8Array, integrity: string): Promise<boolean>;
+/**
+ * Starts checking data that arrives in pieces against the integrity string.
+ * Feed the pieces in order with update(), then call matches() once.
+ * @param {string} integrity
+ * @returns {{ update: (bytes: Uint8Array) => void, matches: () => boolean }}
+ */
+export function createIntegrityHasher(integrity: string): {
+    update: (bytes: Uint8Array) => void;
+    matches: () => boolean;
+};
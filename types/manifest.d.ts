@@ -0,0 +1,35 @@
+/**
+ * Brings the registry in line with a manifest.
+ *
+ * New entries and entries with a higher version are registered with
+ * registerFile(); entries at the same or a lower version are left alone. With
+ * `prune`, registered non-protected files that are not in the manifest are
+ * removed with deleteFile(). Protected files are never pruned.
+ *
+ * @param {object} ctx
+ * @param {string|object|object[]} urlOrObject — manifest URL, or the manifest itself
+ * @param {object}  [options]
+ * @param {boolean} [options.prune=false] — delete non-protected files missing from the manifest
+ * @returns {Promise<{
+ *   added: string[],
+ *   updated: string[],
+ *   unchanged: string[],
+ *   removed: string[],
+ *   failed: Array<{ id: string|undefined, error: string }>,
+ *   source: 'network'|'cache'|'object'
+ * }>}
+ * @throws {Error} if the manifest cannot be loaded and is not cached, or is malformed
+ */
+export function syncManifest(ctx: object, urlOrObject: string | object | object[], { prune }?: {
+    prune?: boolean | undefined;
+}): Promise<{
+    added: string[];
+    updated: string[];
+    unchanged: string[];
+    removed: string[];
+    failed: Array<{
+        id: string | undefined;
+        error: string;
+    }>;
+    source: "network" | "cache" | "object";
+}>;
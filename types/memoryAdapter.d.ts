@@ -0,0 +1,5 @@
+/**
+ * Creates an in-memory storage adapter. Each adapter has its own empty data.
+ * @returns {import('./db.js').StorageAdapter}
+ */
+export function createMemoryAdapter(): import("./db.js").StorageAdapter;
@@ -0,0 +1,69 @@
+/**
+ * Adds an app migration step, run the next time the database is opened with
+ * a version at or above the step's version (from an older one). Register
+ * steps before the database is first used.
+ * @param {object} ctx
+ * @param {object} step
+ * @param {number} step.version — positive integer
+ * @param {Function} step.migrate — (tx, { oldVersion, newVersion }) => Promise<void>
+ * @param {string} [step.description]
+ */
+export function registerMigration(ctx: object, { version, migrate, description }?: {
+    version: number;
+    migrate: Function;
+    description?: string | undefined;
+}): void;
+/**
+ * Returns the library's and the app's steps, to run when opening the database.
+ * @param {object} ctx
+ * @returns {{ library: object[], app: object[] }}
+ * @throws {Error} if an app step is for a version above the database version
+ */
+export function getMigrations(ctx: object): {
+    library: object[];
+    app: object[];
+};
+/**
+ * Returns true if the database needs an upgrade: it has no versions record,
+ * or the library or app version is behind. Called by the adapter when it
+ * opens the database.
+ * @param {object} tx — a transaction on the meta store
+ * @param {{ appVersion: number }} versions
+ * @returns {Promise<boolean>}
+ * @throws {Error} if the database's app version is above appVersion
+ */
+export function isUpgradePending(tx: object, { appVersion }: {
+    appVersion: number;
+}): Promise<boolean>;
+/**
+ * Runs the pending library and app steps and records the new versions. Called
+ * by the adapter inside its upgrade transaction.
+ * @param {{ library: object[], app: object[] }} steps — from getMigrations()
+ * @param {object} tx — the adapter's upgrade transaction
+ * @param {{ oldVersion: number, appVersion: number }} versions — oldVersion is
+ *   the adapter's own version before the upgrade, 0 for a new database
+ * @returns {Promise<void>}
+ * @throws {Error} with reason 'migration-failed' if a step throws
+ */
+export function runMigrations(steps: {
+    library: object[];
+    app: object[];
+}, tx: object, { oldVersion, appVersion }: {
+    oldVersion: number;
+    appVersion: number;
+}): Promise<void>;
+/**
+ * The library's schema version. Stores and indexes added by a version (chunks
+ * in 2, blocks in 3, archiveFiles in 4, meta in 5, the registry 'groups' index
+ * in 6) come from SCHEMA.
+ */
+export const LIBRARY_SCHEMA_VERSION: 7;
+/**
+ * The library's own steps, which move existing records into the layout of
+ * their version.
+ */
+export const LIBRARY_MIGRATIONS: {
+    version: number;
+    description: string;
+    migrate(tx: any): Promise<void>;
+}[];
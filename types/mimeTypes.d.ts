@@ -5,3 +5,10 @@
  * @returns
  */
 export function getMimeType(urlOrFileName: string): any;
+/**
+ * Helper function that classifies a MIME type by how its data should be decoded.
+ * Recognises the structured syntax suffixes '+json' and '+xml' (e.g. 'model/gltf+json').
+ * @param {string} mimeType The MIME type. Any parameters such as charset are ignored.
+ * @returns {'json'|'xml'|'text'|'binary'}
+ */
+export function getMimeTypeFormat(mimeType: string): "json" | "xml" | "text" | "binary";
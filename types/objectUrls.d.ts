@@ -0,0 +1,32 @@
+/**
+ * objectUrls.js
+ * Tracks the object URLs handed out by getObjectURL().
+ *
+ * One URL is kept per file id, tagged with the stored generation it was made
+ * from. deleter.js revokes it when the file is deleted and downloader.js
+ * revokes it when a new download replaces the stored data, so callers never
+ * need to call URL.revokeObjectURL() themselves.
+ */
+/**
+ * Returns the tracked URL for a file if it was made from the given generation.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number|null} generation
+ * @returns {string|null}
+ */
+export function getTrackedURL(ctx: object, id: string, generation: number | null): string | null;
+/**
+ * Starts tracking a URL for a file, revoking any URL it replaces.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number|null} generation
+ * @param {string} url
+ */
+export function trackURL(ctx: object, id: string, generation: number | null, url: string): void;
+/**
+ * Revokes the tracked object URL for a file, if any.
+ * @param {object} ctx
+ * @param {string} id
+ * @returns {boolean} true if a URL was revoked
+ */
+export function revokeObjectURL(ctx: object, id: string): boolean;
@@ -0,0 +1,62 @@
+/**
+ * Returns true if the Origin Private File System can be written from this
+ * context (navigator.storage.getDirectory and FileSystemFileHandle.createWritable).
+ * @returns {boolean}
+ */
+export function isOPFSAvailable(): boolean;
+/**
+ * Opens the file for a new generation of a file's data for writing. The file
+ * is replaced if it exists (e.g. from an interrupted attempt). Nothing is
+ * visible to readers until close().
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} generation
+ * @returns {Promise<FileSystemWritableFileStream>}
+ */
+export function createOPFSWriter(ctx: object, id: string, generation: number): Promise<FileSystemWritableFileStream>;
+/**
+ * Returns the stored data of one generation as a File, or throws if it is missing.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} generation
+ * @returns {Promise<File>}
+ */
+export function getOPFSFile(ctx: object, id: string, generation: number): Promise<File>;
+/**
+ * Reads bytes [start, end) of one generation of a file.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} generation
+ * @param {number} start
+ * @param {number} end — exclusive
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function readOPFSRange(ctx: object, id: string, generation: number, start: number, end: number): Promise<ArrayBuffer>;
+/**
+ * Removes stored data files for a file.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} [generation] — only this generation; all generations when omitted
+ * @returns {Promise<void>}
+ */
+export function deleteOPFSFiles(ctx: object, id: string, generation?: number): Promise<void>;
+/**
+ * Opens one generation's file for writing Range chunks at their offsets. What
+ * earlier attempts wrote is kept, and the file is sized to totalBytes.
+ *
+ * In dedicated workers the file is written through a sync access handle and
+ * every write is on disk once it resolves (durable: true). Elsewhere one
+ * FileSystemWritableFileStream takes all writes, and they only reach the file
+ * when close() resolves (durable: false). Close the writer after a failure
+ * too, so the chunks written so far are kept for a resume.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} generation
+ * @param {number} totalBytes
+ * @returns {Promise<{ durable: boolean, write: (offset: number, bytes: Uint8Array) => Promise<void>, close: () => Promise<void> }>}
+ */
+export function openOPFSChunkWriter(ctx: object, id: string, generation: number, totalBytes: number): Promise<{
+    durable: boolean;
+    write: (offset: number, bytes: Uint8Array) => Promise<void>;
+    close: () => Promise<void>;
+}>;
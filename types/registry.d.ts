@@ -2,25 +2,57 @@
  * Patches status fields onto the registry record so status reads
  * only need to query the registry store, never the download queue.
  * Exported so downloader.js can call it via updateQueue.
+ * Members of groups also get a (coalesced) 'group-progress' event.
+ * @param {object} ctx
  * @param {string} id
  * @param {object} patch
  */
-export function syncStatusToRegistry(id: string, patch: object): Promise<void>;
+export function syncStatusToRegistry(ctx: object, id: string, patch: object): Promise<void>;
 /**
  * Computes the expiresAt timestamp from a completedAt time and a ttl (seconds).
  * Returns null if ttl is absent, zero, or falsy (meaning never expires).
  *
+ * With ttl: 'http' the freshness read from the response headers is used
+ * instead. A lifetime of 0 (e.g. no-cache) expires immediately; a response
+ * with no freshness information never expires.
+ *
  * @param {number} completedAt — ms timestamp
- * @param {number|undefined} ttl — seconds
+ * @param {number|'http'|undefined} ttl — seconds, or 'http'
+ * @param {{ ttl: number|null }|null} [freshness] — from parseFreshness()
+ * @returns {number|null}
+ */
+export function computeExpiresAt(completedAt: number, ttl: number | "http" | undefined, freshness?: {
+    ttl: number | null;
+} | null): number | null;
+/**
+ * Computes the staleUntil timestamp — the end of the stale-while-revalidate
+ * window that starts at expiresAt. The registry entry's staleWhileRevalidate
+ * wins; entries with ttl: 'http' fall back to the header's
+ * stale-while-revalidate directive. Returns null when there is no window,
+ * meaning expired data stays usable until it is replaced.
+ *
+ * @param {number|null} expiresAt — ms timestamp
+ * @param {object} registryEntry
+ * @param {{ staleWhileRevalidate: number|null }|null} [freshness] — from parseFreshness()
  * @returns {number|null}
  */
-export function computeExpiresAt(completedAt: number, ttl: number | undefined): number | null;
+export function computeStaleUntil(expiresAt: number | null, registryEntry: object, freshness?: {
+    staleWhileRevalidate: number | null;
+} | null): number | null;
 /**
  * Returns true if an expiresAt timestamp has passed.
  * @param {number|null} expiresAt
  * @returns {boolean}
  */
 export function isExpired(expiresAt: number | null): boolean;
+/**
+ * Returns true if a queue or registry record has data that may be used: the
+ * status is complete or expired and any stale-while-revalidate window has not
+ * run out.
+ * @param {object|undefined} record
+ * @returns {boolean}
+ */
+export function isUsable(record: object | undefined): boolean;
 /**
  * Registers a single file entry.
  *
@@ -29,43 +61,51 @@ export function isExpired(expiresAt: number | null): boolean;
  *   Existing array buffer remains accessible until the new download completes.
  * - Existing, version unchanged or lower: no-op.
  *
+ * An entry's resolveUrl function is not stored; each call replaces (or, when
+ * omitted, removes) the one kept in memory for the id, whatever the version.
+ *
+ * @param {object} ctx
  * @param {object} entry
  * @returns {Promise<void>}
  */
-export function registerFile(entry: object): Promise<void>;
+export function registerFile(ctx: object, entry: object): Promise<void>;
 /**
  * Registers an array of file entries.
  * If a registry item is already registered, the version will be checked to see if there is new information.
  *
+ * @param {object} ctx
  * @param {object[]} entries
  * @returns {Promise<{ registered: string[] }>}
  */
-export function registerFiles(entries: object[]): Promise<{
+export function registerFiles(ctx: object, entries: object[]): Promise<{
     registered: string[];
 }>;
 /**
  * Updates the metadata in the registry. Adds to, doesn't replace it. Pass in an empty object to clear as null will be ignored.
+ * @param {object} ctx
  * @param {string} id The of the registry record to update.
  * @param {Object} metadata The metadata object to merge.
  * @returns {Promise<void>}
  */
-export function updateRegistryMetadata(id: string, metadata: Object): Promise<void>;
+export function updateRegistryMetadata(ctx: object, id: string, metadata: Object): Promise<void>;
 /**
  * Checks all complete queue entries against their TTL and flips any that have
  * expired to `expired` status, queuing them for re-download.
  *
  * Called internally by the download loop before each drain cycle.
+ * @param {object} ctx
  * @returns {Promise<string[]>} IDs of entries that were marked expired
  */
-export function evaluateExpiry(): Promise<string[]>;
+export function evaluateExpiry(ctx: object): Promise<string[]>;
 /**
  * Returns a merged view of all registry entries with their current download
  * state, plus a storage summary. Status fields are read directly from the
  * registry — the download queue is not consulted.
  *
+ * @param {object} ctx
  * @returns {Promise<{ items: object[], storage: object }>}
  */
-export function getAllStatus(): Promise<{
+export function getAllStatus(ctx: object): Promise<{
     items: object[];
     storage: object;
 }>;
@@ -74,18 +114,66 @@ export function getAllStatus(): Promise<{
  * or null if not registered. Status fields are read directly from the
  * registry — the download queue is not consulted.
  *
+ * Ids of files extracted from an archive return a smaller status object
+ * whose download state is the parent's.
+ *
+ * @param {object} ctx
  * @param {string} id
  * @returns {Promise<object|null>}
  */
-export function getStatus(id: string): Promise<object | null>;
+export function getStatus(ctx: object, id: string): Promise<object | null>;
+/**
+ * Takes a registry entry and processes it to create a status response.
+ * Exported for the group status in groups.js.
+ * @param {*} reg The registry item.
+ * @returns The enhanced status information for the registry.
+ */
+export function processStatus(reg: any): {
+    id: any;
+    downloadUrl: any;
+    mimeType: any;
+    version: any;
+    protected: any;
+    priority: any;
+    ttl: any;
+    staleWhileRevalidate: any;
+    totalBytes: any;
+    rangeConcurrency: any;
+    integrity: any;
+    decompress: any;
+    extract: any;
+    groups: any;
+    dependsOn: any;
+    storage: any;
+    request: any;
+    metadata: any;
+    registeredAt: any;
+    updatedAt: any;
+    downloadStatus: any;
+    bytesDownloaded: any;
+    progress: number | null;
+    retryCount: any;
+    lastAttemptAt: any;
+    errorMessage: any;
+    deferredReason: any;
+    blockedBy: any;
+    storedIn: any;
+    storedBytes: any;
+    completedAt: any;
+    expiresAt: any;
+    staleUntil: any;
+    lastAccessedAt: any;
+};
 /**
  * Returns true if a file has data available (complete or expired).
- * An expired file still has a valid array buffer — it is simply due for refresh.
+ * An expired file still has a valid array buffer — it is simply due for refresh —
+ * unless it has a stale-while-revalidate window that has run out.
  *
+ * @param {object} ctx
  * @param {string} id
  * @returns {Promise<boolean>}
  */
-export function isReady(id: string): Promise<boolean>;
+export function isReady(ctx: object, id: string): Promise<boolean>;
 export namespace DOWNLOAD_STATUS {
     let PENDING: string;
     let IN_PROGRESS: string;
@@ -94,5 +182,7 @@ export namespace DOWNLOAD_STATUS {
     let EXPIRED: string;
     let FAILED: string;
     let DEFERRED: string;
+    let BLOCKED: string;
 }
 export const READY_STATUSES: Set<string>;
+export const STORAGE_BACKENDS: string[];
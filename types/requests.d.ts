@@ -0,0 +1,106 @@
+/**
+ * Sets (or with null, removes) the function that supplies auth headers for
+ * download requests.
+ * @param {object} ctx
+ * @param {((entry: object, context: { refresh: boolean }) => Promise<object|Headers|null>)|null} provider
+ *   — receives the registry entry; `refresh` is true after a 401
+ */
+export function setAuthProvider(ctx: object, provider: ((entry: object, context: {
+    refresh: boolean;
+}) => Promise<object | Headers | null>) | null): void;
+/**
+ * Sets (or with null, removes) the URL resolver used for entries that have no
+ * resolveUrl of their own.
+ * @param {object} ctx
+ * @param {((entry: object, context: { refresh: boolean, status: number|null }) => Promise<string|URL>)|null} resolver
+ *   — receives the registry entry; `refresh` is true when the previous URL was rejected
+ */
+export function setUrlResolver(ctx: object, resolver: ((entry: object, context: {
+    refresh: boolean;
+    status: number | null;
+}) => Promise<string | URL>) | null): void;
+/**
+ * Remembers (or with null, forgets) an entry's own URL resolver. Called by
+ * registerFile() and deleteFile().
+ * @param {object} ctx
+ * @param {string} id
+ * @param {Function|null} resolver
+ */
+export function setEntryUrlResolver(ctx: object, id: string, resolver: Function | null): void;
+/**
+ * Throws if an entry's `request` option is malformed. Called by registerFile().
+ * @param {object} entry
+ */
+export function validateRequestOptions(entry: object): void;
+/**
+ * Starts a download attempt: resolves the URL to fetch for an entry. Pass the
+ * returned target to every fetchForEntry() call of the attempt.
+ * @param {object} ctx
+ * @param {object} entry — registry entry
+ * @returns {Promise<{ entry: object, url: string, refreshing: Promise<void>|null, authRefresh: Promise<object|Headers|null>|null }>}
+ * @throws {Error} with reason 'url-resolve-failed' if the resolver throws
+ */
+export function createDownloadTarget(ctx: object, entry: object): Promise<{
+    entry: object;
+    url: string;
+    refreshing: Promise<void> | null;
+    authRefresh: Promise<object | Headers | null> | null;
+}>;
+/**
+ * Fetches the target's URL with the entry's request options and auth headers.
+ * A 401 is repeated once with refreshed auth headers; a request that is then
+ * still rejected as unauthorized or expired is repeated once with a freshly
+ * resolved URL, which the target keeps for later requests.
+ * @param {object} ctx
+ * @param {{ entry: object, url: string, refreshing: Promise<void>|null, authRefresh: Promise<object|Headers|null>|null }} target
+ * @param {object} [init]
+ * @param {string} [init.method='GET']
+ * @param {object} [init.headers] — request-specific headers (Range, If-None-Match, ...);
+ *   these take precedence over the entry's and the auth provider's
+ * @param {AbortSignal} [init.signal]
+ * @returns {Promise<Response>}
+ * @throws {Error} with reason 'auth-failed' if the auth provider throws
+ */
+export function fetchForEntry(ctx: object, target: {
+    entry: object;
+    url: string;
+    refreshing: Promise<void> | null;
+    authRefresh: Promise<object | Headers | null> | null;
+}, { method, headers, signal }?: {
+    method?: string | undefined;
+    headers?: object | undefined;
+    signal?: AbortSignal | undefined;
+}): Promise<Response>;
+/**
+ * requests.js
+ * Builds the fetch() calls the downloader makes for a registry entry: the URL
+ * from the URL resolver, the entry's `request` options, and headers from the
+ * auth provider.
+ *
+ * Entry request options shape:
+ * {
+ *   headers:        object — extra request headers, e.g. { 'X-Api-Key': '...' }
+ *   credentials:    'omit'|'same-origin'|'include'
+ *   mode:           'cors'|'same-origin'
+ *   referrerPolicy: string — any fetch() referrerPolicy value
+ * }
+ *
+ * The auth provider registered with setAuthProvider() is called before every
+ * HEAD, GET, and Range request, so it can hand out the current token from its
+ * own cache. When a request is answered with 401 it is called once more with
+ * { refresh: true } and the request is repeated with the new headers; only if
+ * that also fails does the attempt count against the retry limit. The refresh
+ * is made once per download attempt: parallel Range requests rejected with 401
+ * all wait for it and repeat with its headers.
+ *
+ * URL resolvers are for short-lived signed URLs (presigned S3, SAS, ...). A
+ * resolver — the entry's `resolveUrl`, else the one set with setUrlResolver() —
+ * is called before each download attempt, and again with { refresh: true }
+ * when a request still fails with 401/403 or a 400 that reports an expired
+ * URL; the request is then repeated once with the new URL. The resolved URL
+ * only lives for the attempt (see createDownloadTarget()), so the registry
+ * always keeps the canonical downloadUrl. Requests running in parallel share
+ * one refresh.
+ */
+export const REQUEST_CREDENTIALS: string[];
+export const REQUEST_MODES: string[];
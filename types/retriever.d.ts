@@ -0,0 +1,151 @@
+/**
+ * Retrieves the stored file data for a registered file.
+ * Returns the array buffer and content type.
+ *
+ * Returns the data even if the file is expired; expiry only means a refresh is
+ * queued, not that the data is gone. Entries with a staleWhileRevalidate window
+ * are the exception: once the window has run out the data is hard-stale and
+ * is only returned with { allowStale: true }.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<{ data: ArrayBuffer, mimeType: string }>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export function retrieve(ctx: object, id: string, { allowStale }?: {
+    allowStale?: boolean | undefined;
+}): Promise<{
+    data: ArrayBuffer;
+    mimeType: string;
+}>;
+/**
+ * Retrieves a stored file decoded into a usable value. With no format, the
+ * stored mimeType chooses the decoder (see decoders.js); custom formats are
+ * added with registerDecoder().
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {string} [format] — 'arraybuffer', 'blob', 'text', 'json', 'xml', or a registered format
+ * @param {object}  [options]
+ * @param {string}  [options.encoding='utf-8'] — text encoding for text-based formats
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<any>}
+ * @throws {DecodeError} if the data cannot be decoded
+ */
+export function retrieveAs(ctx: object, id: string, format?: string, { encoding, allowStale }?: {
+    encoding?: string | undefined;
+    allowStale?: boolean | undefined;
+}): Promise<any>;
+/**
+ * Retrieves a stored file parsed as JSON.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {{ encoding?: string, allowStale?: boolean }} [options]
+ * @returns {Promise<any>}
+ * @throws {DecodeError} if the data is not valid JSON
+ */
+export function retrieveJSON(ctx: object, id: string, options?: {
+    encoding?: string;
+    allowStale?: boolean;
+}): Promise<any>;
+/**
+ * Retrieves a stored file decoded as text.
+ * @param {object} ctx
+ * @param {string} id
+ * @param {{ encoding?: string, allowStale?: boolean }} [options]
+ * @returns {Promise<string>}
+ * @throws {DecodeError} if the encoding is not supported
+ */
+export function retrieveText(ctx: object, id: string, options?: {
+    encoding?: string;
+    allowStale?: boolean;
+}): Promise<string>;
+/**
+ * Retrieves the stored file data as a Blob typed with the stored mimeType.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<Blob>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export function retrieveBlob(ctx: object, id: string, { allowStale }?: {
+    allowStale?: boolean | undefined;
+}): Promise<Blob>;
+/**
+ * Returns an object URL for the stored file, for use as an <img>, <video>,
+ * font, or model loader source.
+ *
+ * The URL is cached per file and reused by later calls. It is revoked
+ * automatically when the file is deleted or a new download replaces its
+ * data; the next call then returns a fresh URL. revokeObjectURL(id) releases
+ * it early.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<string>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export function getObjectURL(ctx: object, id: string, { allowStale }?: {
+    allowStale?: boolean | undefined;
+}): Promise<string>;
+/**
+ * Retrieves bytes [start, end) of a stored file without loading the rest of
+ * it — only the blocks overlapping the range are read. The range is clamped
+ * to the file size, like ArrayBuffer.prototype.slice().
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {number} start — first byte (inclusive)
+ * @param {number} [end] — last byte (exclusive); defaults to the end of the file
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — return data past its stale-while-revalidate window
+ * @returns {Promise<{ data: ArrayBuffer, mimeType: string, totalBytes: number }>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export function retrieveRange(ctx: object, id: string, start: number, end?: number, { allowStale }?: {
+    allowStale?: boolean | undefined;
+}): Promise<{
+    data: ArrayBuffer;
+    mimeType: string;
+    totalBytes: number;
+}>;
+/**
+ * Returns the stored data of a file as a ReadableStream, reading one stored
+ * block at a time so the whole file is never held in memory. Pipe it through
+ * DecompressionStream, TextDecoderStream, or a line parser as needed.
+ *
+ * The readiness checks run when the stream is created. If the file is deleted
+ * or replaced by a newer download while it is being read, the stream errors
+ * instead of mixing data from two versions.
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {object}  [options]
+ * @param {boolean} [options.allowStale=false] — stream data past its stale-while-revalidate window
+ * @returns {Promise<ReadableStream<Uint8Array>>}
+ * @throws {Error} if the file is not registered, has no data yet, or is hard-stale
+ */
+export function retrieveStream(ctx: object, id: string, { allowStale }?: {
+    allowStale?: boolean | undefined;
+}): Promise<ReadableStream<Uint8Array>>;
+/**
+ * Returns the mime type and size of a stored file without reading its data.
+ * Applies the same checks as retrieve().
+ *
+ * @param {object} ctx
+ * @param {string} id
+ * @param {{ allowStale?: boolean }} [options]
+ * @returns {Promise<{ mimeType: string, totalBytes: number }>}
+ */
+export function getStoredFileInfo(ctx: object, id: string, { allowStale }?: {
+    allowStale?: boolean;
+}): Promise<{
+    mimeType: string;
+    totalBytes: number;
+}>;
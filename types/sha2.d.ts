@@ -0,0 +1,10 @@
+/**
+ * Starts an incremental hash. Feed the data in order with update(); digest()
+ * pads the message and returns the hash, after which the hash is used up.
+ * @param {'sha256'|'sha384'|'sha512'} algorithm
+ * @returns {{ update: (bytes: Uint8Array) => void, digest: () => Uint8Array }}
+ */
+export function createHash(algorithm: "sha256" | "sha384" | "sha512"): {
+    update: (bytes: Uint8Array) => void;
+    digest: () => Uint8Array;
+};
@@ -12,13 +12,13 @@ export function getStorageEstimate(): Promise<{
     available: number;
 }>;
 /**
- * Returns true if there is sufficient available storage for the given byte count.
- * Reserves 10% of total quota as a safety buffer.
+ * Returns how many bytes are missing to store the given byte count, keeping
+ * 10% of the total quota free as a safety buffer; 0 if there is enough space.
  *
  * @param {number} requiredBytes
- * @returns {Promise<boolean>}
+ * @returns {Promise<number>}
  */
-export function hasEnoughSpace(requiredBytes: number): Promise<boolean>;
+export function getStorageShortfall(requiredBytes: number): Promise<number>;
 /**
  * Requests persistent storage from the browser.
  * Persistent storage is less likely to be evicted under storage pressure.
@@ -0,0 +1,26 @@
+/**
+ * Lists the files in a ZIP archive. Directory entries are skipped.
+ * @param {Uint8Array} bytes
+ * @returns {Array<{ path: string, method: number, compressedSize: number, size: number, dataOffset: number }>}
+ * @throws {Error} if the data is not a readable ZIP archive
+ */
+export function readZipEntries(bytes: Uint8Array): Array<{
+    path: string;
+    method: number;
+    compressedSize: number;
+    size: number;
+    dataOffset: number;
+}>;
+/**
+ * Returns the uncompressed data of one archive entry.
+ * @param {Uint8Array} bytes — the whole archive
+ * @param {{ path: string, method: number, compressedSize: number, size: number, dataOffset: number }} entry
+ * @returns {Promise<Uint8Array>}
+ */
+export function readZipEntry(bytes: Uint8Array, entry: {
+    path: string;
+    method: number;
+    compressedSize: number;
+    size: number;
+    dataOffset: number;
+}): Promise<Uint8Array>;